@@ -0,0 +1,225 @@
+/**
+ * AvatarConfigLoader.js - Read VRChat's per-avatar OSC config files
+ *
+ * VRChat writes one JSON file per avatar that lists every OSC-enabled parameter,
+ * its input/output address and its type (Int, Float or Bool). This file reads
+ * those configs, registers the parameters in an OSCQueryServer tree with proper
+ * OSC types, and checks incoming values against them.
+ *
+ * Config files live in:
+ *   %USERPROFILE%/AppData/LocalLow/VRChat/VRChat/OSC/usr_{userId}/Avatars/avtr_{avatarId}.json
+ *
+ * File format (as written by VRChat):
+ * {
+ *   "id": "avtr_...",
+ *   "name": "My Avatar",
+ *   "parameters": [
+ *     {
+ *       "name": "VRCEmote",
+ *       "input":  { "address": "/avatar/parameters/VRCEmote", "type": "Int" },
+ *       "output": { "address": "/avatar/parameters/VRCEmote", "type": "Int" }
+ *     }
+ *   ]
+ * }
+ *
+ * Usage in other projects:
+ * const { loadAvatarConfig, registerAvatarConfig } = require('./AvatarConfigLoader');
+ * const config = await loadAvatarConfig('./avtr_1234.json');
+ * registerAvatarConfig(server, config);
+ */
+
+// Required Node.js modules for file access
+const fs = require('fs');          // File system access
+const os = require('os');          // Home directory lookup
+const path = require('path');      // Path manipulation
+const { OSCTypeSimple, OSCQAccess } = require('./OSCNode'); // OSC type and access constants
+
+// ============================================================================
+// Constants
+// ============================================================================
+
+/**
+ * VRChat parameter type names mapped to OSC types
+ *
+ * Bools are declared as "T" (boolean) and arrive as either "T" or "F".
+ */
+const VRCHAT_TYPE_MAP = {
+    Int: OSCTypeSimple.INT,
+    Float: OSCTypeSimple.FLOAT,
+    Bool: OSCTypeSimple.TRUE,
+};
+
+// ============================================================================
+// Parsing
+// ============================================================================
+
+/**
+ * Convert one input/output endpoint of a parameter
+ *
+ * @param {Object|undefined} endpoint - { address, type } as written by VRChat
+ * @returns {{address: string, type: string, oscType: string}|null} Endpoint with its OSC type, or null
+ * @throws {Error} If the type is not one VRChat uses
+ */
+function parseEndpoint(endpoint) {
+    if (!endpoint || !endpoint.address) return null;
+    const oscType = VRCHAT_TYPE_MAP[endpoint.type];
+    if (!oscType) {
+        throw new Error(`Unknown VRChat parameter type "${endpoint.type}" for ${endpoint.address}`);
+    }
+    return { address: endpoint.address, type: endpoint.type, oscType };
+}
+
+/**
+ * Validate and normalize a parsed avatar config
+ *
+ * A parameter with a type VRChat doesn't use is left out and listed in
+ * `skipped`, so one odd entry doesn't cost the whole avatar its schema.
+ *
+ * @param {Object} json - Parsed config file contents
+ * @returns {{id: string, name: string, parameters: Array<Object>,
+ *   skipped: Array<{name: string, reason: string}>}} Normalized config.
+ *   Each parameter has name, address, oscType, input and output.
+ * @throws {Error} If the config is missing required fields
+ */
+function parseAvatarConfig(json) {
+    if (!json || typeof json.id !== 'string' || !Array.isArray(json.parameters)) {
+        throw new Error("Not a VRChat avatar OSC config (expected id and parameters)");
+    }
+
+    const parameters = [];
+    const skipped = [];
+    for (const param of json.parameters) {
+        let input, output;
+        try {
+            input = parseEndpoint(param.input);
+            output = parseEndpoint(param.output);
+        } catch (error) {
+            skipped.push({ name: param.name, reason: error.message });
+            continue;
+        }
+        const main = output || input;
+        if (!main) continue; // Neither input nor output - nothing to register
+        parameters.push({
+            name: param.name,
+            address: main.address,
+            oscType: main.oscType,
+            input,   // VRChat accepts values here (we may send)
+            output,  // VRChat sends values here (we receive)
+        });
+    }
+
+    return { id: json.id, name: json.name, parameters, skipped };
+}
+
+/**
+ * Read and parse an avatar config file
+ *
+ * @param {string} file - Path to the JSON file
+ * @returns {Promise<Object>} Normalized config (see parseAvatarConfig)
+ * @throws {Error} If the file can't be read or isn't an avatar config
+ */
+async function loadAvatarConfig(file) {
+    // VRChat writes these files with a UTF-8 byte order mark
+    const text = (await fs.promises.readFile(file, 'utf8')).replace(/^\uFEFF/, "");
+    try {
+        return parseAvatarConfig(JSON.parse(text));
+    } catch (error) {
+        throw new Error(`Can't load avatar config ${file}: ${error.message}`);
+    }
+}
+
+/**
+ * Read all avatar configs in a directory (searched recursively)
+ *
+ * JSON files that can't be read or are not avatar configs are skipped and
+ * passed to opts.onError.
+ *
+ * @param {string} dir - Directory to search (e.g. the VRChat OSC folder)
+ * @param {Object} [opts] - Options
+ * @param {function(string, Error)} [opts.onError] - Called with the file and the error for every skipped file
+ * @returns {Promise<Map<string, Object>>} Avatar id -> normalized config
+ */
+async function loadAvatarConfigDirectory(dir, opts = {}) {
+    const configs = new Map();
+    const entries = await fs.promises.readdir(dir, { withFileTypes: true });
+
+    for (const entry of entries) {
+        const full = path.join(dir, entry.name);
+        if (entry.isDirectory()) {
+            for (const [id, config] of await loadAvatarConfigDirectory(full, opts)) {
+                configs.set(id, config);
+            }
+        } else if (entry.isFile() && entry.name.toLowerCase().endsWith('.json')) {
+            try {
+                const config = await loadAvatarConfig(full);
+                configs.set(config.id, config);
+            } catch (error) {
+                if (opts.onError) opts.onError(full, error);
+            }
+        }
+    }
+
+    return configs;
+}
+
+/**
+ * Default location of VRChat's OSC config folder on Windows
+ *
+ * @returns {string} Path to .../AppData/LocalLow/VRChat/VRChat/OSC
+ */
+function defaultAvatarConfigDirectory() {
+    return path.join(os.homedir(), 'AppData', 'LocalLow', 'VRChat', 'VRChat', 'OSC');
+}
+
+// ============================================================================
+// Registration and Validation
+// ============================================================================
+
+/**
+ * Register every parameter of an avatar config in an OSCQueryServer tree
+ *
+ * Parameters VRChat sends (output) are READWRITE: VRChat writes them and
+ * OSC Query clients can read the latest value. Parameters VRChat only accepts
+ * (input) are WRITEONLY.
+ *
+ * @param {OSCQueryServer} server - Server to register the parameters in
+ * @param {Object} config - Normalized config (see parseAvatarConfig)
+ */
+function registerAvatarConfig(server, config) {
+    for (const param of config.parameters) {
+        server.addMethod(param.address, {
+            description: `VRChat Avatar Parameter ${param.name} (${(param.output || param.input).type})`,
+            access: param.output ? OSCQAccess.READWRITE : OSCQAccess.WRITEONLY,
+            arguments: [{ type: param.oscType }],
+        });
+    }
+}
+
+/**
+ * Check whether an incoming value matches a parameter's declared type
+ *
+ * @param {Object} param - Parameter from a normalized config
+ * @param {{type: string}} arg - Typed value as decoded from OSC
+ * @returns {boolean} True if the value's OSC type fits the parameter
+ */
+function validateAvatarParameter(param, arg) {
+    if (!arg) return false;
+    if (param.oscType === OSCTypeSimple.TRUE) {
+        return arg.type === OSCTypeSimple.TRUE || arg.type === OSCTypeSimple.FALSE;
+    }
+    return arg.type === param.oscType;
+}
+
+// ============================================================================
+// Module Exports
+// ============================================================================
+
+module.exports = {
+    VRCHAT_TYPE_MAP,               // VRChat type names -> OSC types
+    parseAvatarConfig,             // Normalize parsed config JSON
+    loadAvatarConfig,              // Read one config file
+    loadAvatarConfigDirectory,     // Read all config files in a folder
+    defaultAvatarConfigDirectory,  // VRChat's OSC folder on Windows
+    registerAvatarConfig,          // Add a config's parameters to an OSCQueryServer
+    validateAvatarParameter,       // Check an incoming value against the schema
+};
@@ -0,0 +1,152 @@
+/**
+ * AvatarParameterStore.js - Latest known values of VRChat avatar parameters
+ *
+ * VRChat sends avatar parameters one update at a time. This store keeps the most
+ * recent value of every parameter, together with its OSC type and the time it was
+ * received, so consumers don't have to rebuild that map themselves.
+ *
+ * Key Features:
+ * - Latest value, OSC type and timestamp per parameter
+ * - "change" events with old and new value
+ * - reset() for avatar changes, with a "reset" event so schemas can be reloaded
+ *
+ * Usage in other projects:
+ * const { AvatarParameterStore } = require('./AvatarParameterStore');
+ * const store = new AvatarParameterStore();
+ * store.on('change', (name, newValue, oldValue) => console.log(name, oldValue, '->', newValue));
+ * store.set('VRCEmote', 3, 'i');
+ * store.get('VRCEmote'); // 3
+ */
+
+const { EventEmitter } = require('events'); // Event emitter base class
+
+// ============================================================================
+// AvatarParameterStore Class
+// ============================================================================
+
+/**
+ * AvatarParameterStore - Cache of the current avatar's parameter values
+ *
+ * Events:
+ * - "change" (name, newValue, oldValue, entry) - A parameter got a different value
+ * - "reset" (avatarId, previousAvatarId) - All values were dropped (e.g. on /avatar/change)
+ */
+class AvatarParameterStore extends EventEmitter {
+    /**
+     * Create an empty store
+     */
+    constructor() {
+        super();
+        this._entries = new Map();  // Parameter name -> { value, type, timestamp }
+        this._avatarId = null;      // Id of the current avatar, if known
+    }
+
+    /**
+     * Id of the current avatar (from the last /avatar/change), or null if unknown
+     * @returns {string|null}
+     */
+    get avatarId() {
+        return this._avatarId;
+    }
+
+    /**
+     * Number of parameters with a known value
+     * @returns {number}
+     */
+    get size() {
+        return this._entries.size;
+    }
+
+    /**
+     * Record a new parameter value
+     *
+     * The timestamp is always updated. A "change" event is emitted only if the
+     * value actually differs from the previous one.
+     *
+     * @param {string} name - Parameter name (e.g., "VRCEmote")
+     * @param {*} value - New value
+     * @param {string} [type] - OSCTypeSimple code the value arrived with
+     * @returns {boolean} True if the value changed
+     */
+    set(name, value, type) {
+        const previous = this._entries.get(name);
+        const entry = {
+            value,
+            type: type ?? (previous ? previous.type : undefined),
+            timestamp: Date.now(),
+        };
+        this._entries.set(name, entry);
+
+        const oldValue = previous ? previous.value : undefined;
+        if (previous && Object.is(oldValue, value)) {
+            return false;
+        }
+        this.emit('change', name, value, oldValue, entry);
+        return true;
+    }
+
+    /**
+     * Get the latest value of a parameter
+     *
+     * @param {string} name - Parameter name
+     * @returns {*} The value, or undefined if it was never received
+     */
+    get(name) {
+        const entry = this._entries.get(name);
+        return entry ? entry.value : undefined;
+    }
+
+    /**
+     * Get the latest value of a parameter with its type and timestamp
+     *
+     * @param {string} name - Parameter name
+     * @returns {{value: *, type: string, timestamp: number}|undefined} The entry, or undefined
+     */
+    getEntry(name) {
+        const entry = this._entries.get(name);
+        return entry ? { ...entry } : undefined;
+    }
+
+    /**
+     * Check whether a value is known for a parameter
+     *
+     * @param {string} name - Parameter name
+     * @returns {boolean}
+     */
+    has(name) {
+        return this._entries.has(name);
+    }
+
+    /**
+     * Get the latest values of all parameters
+     *
+     * @returns {Object} Plain object of parameter name -> value
+     */
+    getAll() {
+        const all = {};
+        for (const [name, entry] of this._entries) {
+            all[name] = entry.value;
+        }
+        return all;
+    }
+
+    /**
+     * Drop all values, e.g. because the avatar changed
+     *
+     * @param {string|null} [avatarId=null] - Id of the new avatar
+     */
+    reset(avatarId = null) {
+        const previousAvatarId = this._avatarId;
+        this._entries.clear();
+        this._avatarId = avatarId;
+        this.emit('reset', avatarId, previousAvatarId);
+    }
+}
+
+// ============================================================================
+// Module Exports
+// ============================================================================
+
+module.exports = {
+    AvatarParameterStore, // Cache of avatar parameter values
+};
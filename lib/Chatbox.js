@@ -0,0 +1,394 @@
+/**
+ * Chatbox.js - Write to VRChat's chatbox within the game's limits
+ *
+ * VRChat shows at most 144 characters per chatbox message and drops messages
+ * that arrive too quickly after each other. This file splits long text into
+ * messages that fit, sends them one after the other with a pause in between,
+ * and keeps the typing indicator on while more messages are waiting.
+ *
+ * OSC addresses used (as documented by VRChat):
+ * - /chatbox/input s b n - Text, immediate (true) or open the keyboard (false), notification sound
+ * - /chatbox/typing b    - Typing indicator on/off
+ *
+ * Key Features:
+ * - Splitting at 144 characters on word boundaries
+ * - Message queue with configurable spacing
+ * - Typing indicator while queued messages are waiting
+ * - Immediate or keyboard mode, with or without the notification sound
+ * - Persistent status line that is re-sent periodically while the queue is empty
+ *
+ * Usage in other projects:
+ * const { Chatbox } = require('./Chatbox');
+ * const chatbox = new Chatbox(vrchat, { spacing: 1500 });
+ * await chatbox.say('A long message that is split into several chatbox messages ...');
+ * chatbox.setStatus(() => `Heart rate: ${bpm}`, { interval: 5000 });
+ */
+
+const { EventEmitter } = require('events'); // Event emitter base class
+
+// ============================================================================
+// Constants
+// ============================================================================
+
+/**
+ * Longest text VRChat shows in one chatbox message (characters)
+ */
+const CHATBOX_MAX_LENGTH = 144;
+
+/**
+ * Default pause between two chatbox messages (ms)
+ *
+ * Messages sent closer together may be dropped by VRChat's rate limit.
+ */
+const CHATBOX_DEFAULT_SPACING = 1500;
+
+/**
+ * Default refresh interval of the status line (ms)
+ */
+const CHATBOX_DEFAULT_STATUS_INTERVAL = 10000;
+
+// ============================================================================
+// Text Splitting
+// ============================================================================
+
+/**
+ * Split text into chatbox-sized parts on word boundaries
+ *
+ * Lengths are counted in characters (code points), so emoji and other
+ * characters outside the BMP are never cut in half. Words longer than
+ * maxLength are split inside the word. Whitespace at the split points is
+ * dropped, line breaks within a part are kept.
+ *
+ * @param {string} text - Text to split
+ * @param {number} [maxLength=CHATBOX_MAX_LENGTH] - Longest part (characters)
+ * @returns {Array<string>} Parts in order (empty for blank text)
+ */
+function splitChatboxText(text, maxLength = CHATBOX_MAX_LENGTH) {
+    const parts = [];
+    let current = [];  // Characters of the part being built
+
+    const flush = () => {
+        const part = current.join("").trim();
+        if (part) parts.push(part);
+        current = [];
+    };
+
+    // Alternating words and whitespace runs
+    for (const token of String(text).split(/(\s+)/)) {
+        const chars = Array.from(token);
+        if (chars.length === 0) continue;
+
+        if (/^\s+$/.test(token)) {
+            // Whitespace never starts a part, and is dropped if it doesn't fit
+            if (current.length > 0 && current.length + chars.length < maxLength) {
+                current.push(...chars);
+            } else {
+                flush();
+            }
+            continue;
+        }
+
+        if (current.length + chars.length > maxLength) {
+            flush();
+        }
+        // Hard-split words that don't fit into a part of their own
+        while (chars.length > maxLength) {
+            parts.push(chars.splice(0, maxLength).join(""));
+        }
+        current.push(...chars);
+    }
+    flush();
+
+    return parts;
+}
+
+// ============================================================================
+// Chatbox Class
+// ============================================================================
+
+/**
+ * Chatbox - Queued, rate-limited writer for VRChat's chatbox
+ *
+ * Events:
+ * - "sent" (text, options) - A message went out to /chatbox/input
+ * - "typing" (typing) - The typing indicator was switched
+ * - "error" (error) - Sending failed (only emitted if someone listens - say() rejects as well)
+ *
+ * Example Usage:
+ * const chatbox = new Chatbox(vrchat);
+ * chatbox.say('Hello!');                                   // Immediately, with notification sound
+ * chatbox.say('Quiet one', { notify: false });
+ * chatbox.say('Edit me', { immediate: false });           // Opens the keyboard with this text
+ * chatbox.setStatus('AFK - back in 5', { interval: 15000 });
+ */
+class Chatbox extends EventEmitter {
+    /**
+     * Create a new chatbox writer
+     *
+     * @param {{send: function(string, ...*): Promise}} sender - Sends OSC messages (e.g. a VRChatOSCQuery)
+     * @param {Object} [opts] - Configuration options
+     * @param {number} [opts.spacing=1500] - Pause between two messages (ms)
+     * @param {number} [opts.maxLength=144] - Longest message (characters)
+     * @param {boolean} [opts.typingIndicator=true] - Show the typing indicator while messages are queued
+     */
+    constructor(sender, opts = {}) {
+        super();
+        this._sender = sender;                                         // Object with send(address, ...args)
+        this._spacing = opts.spacing ?? CHATBOX_DEFAULT_SPACING;       // ms between two messages
+        this._maxLength = opts.maxLength ?? CHATBOX_MAX_LENGTH;        // Characters per message
+        this._typingIndicator = opts.typingIndicator ?? true;          // Automatic typing indicator
+        this._queue = [];                                              // Waiting messages: { text, immediate, notify, resolve, reject }
+        this._timer = null;                                            // Timer for the next queued message
+        this._lastSent = 0;                                            // Time the last message went out (ms)
+        this._typing = false;                                          // Current typing indicator state
+        this._status = null;                                           // { text: string|function, interval } or null
+        this._statusTimer = null;                                      // Timer for the next status refresh
+    }
+
+    /**
+     * Number of messages waiting to be sent
+     * @returns {number}
+     */
+    get pending() {
+        return this._queue.length;
+    }
+
+    /**
+     * Queue text for the chatbox
+     *
+     * Text longer than maxLength is split into several messages on word
+     * boundaries. All parts are sent in order, with the configured spacing
+     * between them and any earlier messages.
+     *
+     * @param {string} text - Text to show
+     * @param {Object} [options] - Message options
+     * @param {boolean} [options.immediate=true] - Show right away (false opens the keyboard with the text instead)
+     * @param {boolean} [options.notify=true] - Play the notification sound
+     * @returns {Promise<boolean>} Resolves with true when the last part has been sent, or with false
+     *   if clear() or stop() dropped parts of it. Rejects if sending failed.
+     */
+    say(text, { immediate = true, notify = true } = {}) {
+        const parts = splitChatboxText(text, this._maxLength);
+        if (parts.length === 0) return Promise.resolve(true);
+
+        const sent = parts.map(part => new Promise((resolve, reject) => {
+            this._queue.push({ text: part, immediate, notify, resolve, reject });
+        }));
+        this._schedule();
+        return Promise.all(sent).then(results => results.every(Boolean));
+    }
+
+    /**
+     * Drop all queued messages and switch the typing indicator off
+     *
+     * Promises of dropped messages resolve with false. The status line is kept.
+     */
+    clear() {
+        this._dropQueue();
+        this._setTypingIndicator(false);
+        this._scheduleStatus();
+    }
+
+    /**
+     * Switch the typing indicator on or off
+     *
+     * While typingIndicator is enabled, the queue switches it on and off on its
+     * own as well.
+     *
+     * @param {boolean} typing - Whether to show the indicator
+     * @returns {Promise} Resolves when the message has been handed to the network
+     */
+    setTyping(typing) {
+        this._typing = Boolean(typing);
+        this.emit('typing', this._typing);
+        return this._sender.send('/chatbox/typing', this._typing);
+    }
+
+    /**
+     * Show a status line that is re-sent periodically
+     *
+     * The status is sent without the notification sound whenever the queue is
+     * empty, and refreshed every interval so it stays visible. Queued messages
+     * take priority; the status comes back once they are through.
+     *
+     * @param {string|function(): string} text - Status text, or a function returning the current text
+     * @param {Object} [options] - Status options
+     * @param {number} [options.interval=10000] - Refresh interval (ms)
+     */
+    setStatus(text, { interval = CHATBOX_DEFAULT_STATUS_INTERVAL } = {}) {
+        this._status = { text, interval };
+        clearTimeout(this._statusTimer);
+        this._statusTimer = null;
+        this._scheduleStatus(0);
+    }
+
+    /**
+     * Stop refreshing the status line
+     *
+     * @param {Object} [options] - Options
+     * @param {boolean} [options.erase=true] - Also clear the chatbox right away (sends empty text)
+     * @returns {Promise} Resolves when the chatbox has been cleared
+     */
+    clearStatus({ erase = true } = {}) {
+        this._status = null;
+        clearTimeout(this._statusTimer);
+        this._statusTimer = null;
+        if (!erase) return Promise.resolve();
+        return this._sender.send('/chatbox/input', "", true, false);
+    }
+
+    /**
+     * Stop all timers, drop queued messages and stop the status line
+     *
+     * Nothing more is sent afterwards, not even to clear the chatbox.
+     */
+    stop() {
+        this._status = null;
+        clearTimeout(this._statusTimer);
+        this._statusTimer = null;
+        this._dropQueue();
+    }
+
+    /**
+     * Empty the queue, resolving the dropped messages with false
+     *
+     * @private
+     */
+    _dropQueue() {
+        const dropped = this._queue;
+        this._queue = [];
+        clearTimeout(this._timer);
+        this._timer = null;
+        for (const entry of dropped) {
+            entry.resolve(false);
+        }
+    }
+
+    /**
+     * Send the next queued message once the spacing allows it
+     *
+     * @private
+     */
+    _schedule() {
+        if (this._timer || this._queue.length === 0) return;
+
+        // Queued messages have priority over the status line
+        clearTimeout(this._statusTimer);
+        this._statusTimer = null;
+        if (this._queue.length > 1 || Date.now() - this._lastSent < this._spacing) {
+            this._setTypingIndicator(true);
+        }
+
+        const wait = Math.max(0, this._lastSent + this._spacing - Date.now());
+        this._timer = setTimeout(() => {
+            this._timer = null;
+            this._sendNext();
+        }, wait);
+    }
+
+    /**
+     * Send the first queued message
+     *
+     * @private
+     */
+    _sendNext() {
+        const entry = this._queue.shift();
+        if (!entry) return;
+
+        this._lastSent = Date.now();
+        this._sendInput(entry.text, entry.immediate, entry.notify).then(() => entry.resolve(true), entry.reject);
+
+        if (this._queue.length > 0) {
+            this._schedule();
+        } else {
+            this._setTypingIndicator(false);
+            this._scheduleStatus();
+        }
+    }
+
+    /**
+     * Send one message to /chatbox/input
+     *
+     * @param {string} text - Message text (at most maxLength characters)
+     * @param {boolean} immediate - Show right away instead of opening the keyboard
+     * @param {boolean} notify - Play the notification sound
+     * @returns {Promise} Resolves when the message has been handed to the network
+     * @private
+     */
+    _sendInput(text, immediate, notify) {
+        // Send synchronously, so the message goes out before a typing indicator switched right after it
+        const sent = new Promise(resolve => resolve(this._sender.send('/chatbox/input', text, immediate, notify)));
+        sent.then(() => this.emit('sent', text, { immediate, notify }), error => {
+            if (this.listenerCount('error') > 0) this.emit('error', error);
+        });
+        return sent;
+    }
+
+    /**
+     * Switch the automatic typing indicator, if enabled and not already in that state
+     *
+     * @param {boolean} typing - Whether to show the indicator
+     * @private
+     */
+    _setTypingIndicator(typing) {
+        if (!this._typingIndicator || this._typing === typing) return;
+        this.setTyping(typing).catch(error => {
+            if (this.listenerCount('error') > 0) this.emit('error', error);
+        });
+    }
+
+    /**
+     * Plan the next status refresh
+     *
+     * @param {number} [delay] - ms until the refresh (default: spacing after the
+     *   last message, then every interval)
+     * @private
+     */
+    _scheduleStatus(delay) {
+        if (!this._status || this._statusTimer || this._queue.length > 0) return;
+
+        const wait = delay ?? this._spacing;
+        this._statusTimer = setTimeout(() => {
+            this._statusTimer = null;
+            this._sendStatus();
+        }, Math.max(wait, this._lastSent + this._spacing - Date.now()));
+    }
+
+    /**
+     * Send the status line and plan its next refresh
+     *
+     * @private
+     */
+    _sendStatus() {
+        if (!this._status || this._queue.length > 0) return;
+
+        const { text, interval } = this._status;
+        let current = null;
+        try {
+            current = splitChatboxText(typeof text === "function" ? text() : text, this._maxLength)[0] || "";
+        } catch (error) {
+            if (this.listenerCount('error') > 0) this.emit('error', error); // Status function failed - try again next time
+        }
+        if (current !== null) {
+            this._lastSent = Date.now();
+            this._sendInput(current, true, false).catch(() => { /* Reported through the 'error' event */ });
+        }
+
+        this._statusTimer = setTimeout(() => {
+            this._statusTimer = null;
+            this._sendStatus();
+        }, interval);
+    }
+}
+
+// ============================================================================
+// Module Exports
+// ============================================================================
+
+module.exports = {
+    Chatbox,                          // Queued, rate-limited chatbox writer
+    splitChatboxText,                 // Split text into chatbox-sized parts
+    CHATBOX_MAX_LENGTH,               // Characters per chatbox message
+    CHATBOX_DEFAULT_SPACING,          // Default pause between messages (ms)
+    CHATBOX_DEFAULT_STATUS_INTERVAL,  // Default status refresh interval (ms)
+};
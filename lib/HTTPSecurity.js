@@ -0,0 +1,195 @@
+/**
+ * HTTPSecurity.js - Access restrictions for the OSC Query HTTP server
+ *
+ * OSCQueryServer binds to all interfaces by default, so anyone on the network
+ * (and any web page, through the browser) can read the namespace and, with HTTP
+ * writes turned on, change values. This file holds the checks the server uses
+ * to narrow that down.
+ *
+ * Key Features:
+ * - Allowlist of client IPs and subnets (IPv4 and IPv6, CIDR notation)
+ * - Bearer token check for mutating requests
+ * - Origin allowlist for browser requests, with matching CORS headers
+ *
+ * Usage in other projects:
+ * const { HTTPSecurity } = require('./HTTPSecurity');
+ * const security = new HTTPSecurity({ allowedClients: ['127.0.0.1', '192.168.1.0/24'], authToken: 'secret' });
+ * security.isClientAllowed('192.168.1.20'); // true
+ */
+
+// Required Node.js modules for address matching and token comparison
+const net = require('net');        // IP address parsing and subnet matching (BlockList)
+const crypto = require('crypto');  // Constant-time token comparison
+
+// ============================================================================
+// Utility Functions
+// ============================================================================
+
+/**
+ * Build a matcher for a list of IP addresses and subnets
+ *
+ * IPv4-mapped IPv6 addresses (e.g. "::ffff:127.0.0.1", as reported for IPv4
+ * clients of a dual-stack server) match their IPv4 entries.
+ *
+ * @param {Array<string>} entries - Addresses ("127.0.0.1", "::1") or subnets ("192.168.1.0/24", "fd00::/8")
+ * @returns {net.BlockList} Matcher with a check(address, family) method
+ * @throws {Error} If an entry is not a valid address or subnet
+ */
+function createAddressList(entries) {
+    const list = new net.BlockList();
+    for (const entry of entries) {
+        const [address, prefix] = String(entry).split("/");
+        const family = net.isIPv6(address) ? "ipv6" : "ipv4";
+        if (!net.isIP(address)) {
+            throw new Error(`Invalid client address or subnet: ${entry}`);
+        }
+        if (prefix === undefined) {
+            list.addAddress(address, family);
+        } else {
+            list.addSubnet(address, Number(prefix), family);
+        }
+    }
+    return list;
+}
+
+/**
+ * Compare two strings without leaking their common prefix through timing
+ *
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {boolean} True if both are equal
+ */
+function safeEqual(a, b) {
+    const bufA = Buffer.from(String(a));
+    const bufB = Buffer.from(String(b));
+    return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB);
+}
+
+/**
+ * Check whether an Origin header refers to the host the request was sent to
+ *
+ * @param {string} origin - Origin header (e.g. "http://192.168.1.5:8080")
+ * @param {string} [host] - Host header (e.g. "192.168.1.5:8080")
+ * @returns {boolean} True for same-origin requests
+ */
+function isSameOrigin(origin, host) {
+    try {
+        return host !== undefined && new URL(origin).host === host;
+    } catch (error) {
+        return false; // "null" and other opaque origins
+    }
+}
+
+// ============================================================================
+// HTTPSecurity Class
+// ============================================================================
+
+/**
+ * HTTPSecurity - Client, token and origin checks for OSC Query HTTP requests
+ *
+ * Every option is off by default, which keeps the server open like before:
+ * - Without allowedClients, every client address is accepted
+ * - Without authToken, mutating requests need no token
+ * - Without allowedOrigins, browser requests from other origins may read, but not write
+ *
+ * Example Usage:
+ * const security = new HTTPSecurity({
+ *     allowedClients: ['127.0.0.1', '::1', '10.0.0.0/8'],
+ *     authToken: process.env.OSCQUERY_TOKEN,
+ *     allowedOrigins: ['http://localhost:5173'],
+ * });
+ */
+class HTTPSecurity {
+    /**
+     * Create a new set of HTTP restrictions
+     *
+     * @param {Object} [opts] - Configuration options
+     * @param {Array<string>} [opts.allowedClients] - Client IPs and subnets that may connect at all
+     * @param {string} [opts.authToken] - Bearer token required for mutating requests (PUT/POST)
+     * @param {Array<string>|string} [opts.allowedOrigins] - Browser origins that may use the server
+     *   ("*" for any origin)
+     * @throws {Error} If an allowedClients entry is invalid
+     */
+    constructor(opts = {}) {
+        this._clients = opts.allowedClients ? createAddressList(opts.allowedClients) : null; // null = everyone
+        this._token = opts.authToken || null;                                                // null = no token needed
+        this._origins = opts.allowedOrigins === undefined ? null : [].concat(opts.allowedOrigins); // null = not configured
+    }
+
+    /**
+     * Check whether a client address may use the server
+     *
+     * @param {string} address - Remote address of the connection (req.socket.remoteAddress)
+     * @returns {boolean} True if the address is allowed
+     */
+    isClientAllowed(address) {
+        if (!this._clients) return true;
+        if (!address) return false;
+        return this._clients.check(address, net.isIPv6(address) ? "ipv6" : "ipv4");
+    }
+
+    /**
+     * Check whether a browser origin may use the server
+     *
+     * Requests without an Origin header (VRChat, curl, other OSC Query apps) and
+     * same-origin requests always pass. Cross-origin requests pass if the origin is
+     * allowlisted. Without an allowlist, cross-origin reads pass and writes don't,
+     * so an arbitrary web page can't change values.
+     *
+     * @param {http.IncomingMessage} req - HTTP request object
+     * @param {boolean} mutating - Whether the request changes anything
+     * @returns {boolean} True if the origin is allowed
+     */
+    isOriginAllowed(req, mutating) {
+        const origin = req.headers.origin;
+        if (!origin || isSameOrigin(origin, req.headers.host)) return true;
+        if (!this._origins) return !mutating;
+        return this._origins.includes("*") || this._origins.includes(origin);
+    }
+
+    /**
+     * Check the bearer token of a mutating request
+     *
+     * @param {http.IncomingMessage} req - HTTP request object
+     * @returns {boolean} True if no token is configured or the Authorization header carries it
+     */
+    isAuthorized(req) {
+        if (!this._token) return true;
+        const match = /^Bearer\s+(.+)$/i.exec(req.headers.authorization || "");
+        return match !== null && safeEqual(match[1].trim(), this._token);
+    }
+
+    /**
+     * Set the CORS headers for a browser request
+     *
+     * Allowlisted origins get their origin echoed back. Without an allowlist,
+     * reads are open to any origin ("*"), so browser-based OSC Query explorers
+     * work, and writes get no CORS headers. Nothing is set for requests without
+     * an Origin header.
+     *
+     * @param {http.IncomingMessage} req - HTTP request object
+     * @param {http.ServerResponse} res - HTTP response object
+     * @param {boolean} mutating - Whether the request changes anything
+     */
+    setCorsHeaders(req, res, mutating) {
+        const origin = req.headers.origin;
+        if (!origin) return;
+        if (!this._origins) {
+            if (!mutating) res.setHeader("Access-Control-Allow-Origin", "*");
+            return;
+        }
+        if (this._origins.includes("*") || this._origins.includes(origin)) {
+            res.setHeader("Access-Control-Allow-Origin", origin);
+            res.setHeader("Vary", "Origin");
+        }
+    }
+}
+
+// ============================================================================
+// Module Exports
+// ============================================================================
+
+module.exports = {
+    HTTPSecurity,       // Client, token and origin checks
+    createAddressList,  // IP/subnet allowlist matcher
+};
@@ -0,0 +1,198 @@
+/**
+ * Logger.js - Pluggable, leveled logging for OSC Query JS
+ *
+ * The library doesn't write to the console on its own. Instead, components log
+ * through a Logger that forwards to whatever the application passes in: console,
+ * pino, bunyan, winston or anything else with level methods. Every line has a
+ * subsystem ("osc", "http", "discovery", ...) and structured fields (address,
+ * values, port, peer, ...), and each subsystem can have its own verbosity.
+ *
+ * Key Features:
+ * - Levels: trace, debug, info, warn, error (and silent)
+ * - pino/bunyan style targets get (fields, message), console style targets
+ *   get ("[name] message", fields)
+ * - Per-subsystem levels, e.g. OSC traffic at debug but discovery only at warn
+ * - Silent without a target, so the library stays quiet unless asked
+ *
+ * Usage in other projects:
+ * const { Logger } = require('./Logger');
+ * const logger = new Logger({ logger: console, level: 'info', levels: { osc: 'debug' } });
+ * const log = logger.child('osc');
+ * log.debug('Received OSC', { address: '/avatar/parameters/VRCEmote', values: [3] });
+ */
+
+// ============================================================================
+// Constants
+// ============================================================================
+
+/**
+ * Log levels, ordered by severity (same numbers as pino and bunyan)
+ */
+const LOG_LEVELS = Object.freeze({
+    trace: 10,
+    debug: 20,
+    info: 30,
+    warn: 40,
+    error: 50,
+    silent: Infinity, // Nothing gets logged
+});
+
+/**
+ * Subsystems the library logs under
+ */
+const LOG_SUBSYSTEMS = Object.freeze({
+    APP: "app",             // Lifecycle, configuration, subscriptions
+    OSC: "osc",             // OSC receiving and sending
+    HTTP: "http",           // OSC Query HTTP server and its clients
+    DISCOVERY: "discovery", // mDNS advertisement and peer discovery
+    AVATAR: "avatar",       // Avatar parameters, schemas and VRChat's parameter tree
+});
+
+// ============================================================================
+// Utility Functions
+// ============================================================================
+
+/**
+ * Convert a level name into its number
+ *
+ * @param {string} level - Level name (e.g. "debug")
+ * @returns {number} Level number
+ * @throws {Error} If the level is unknown
+ */
+function levelValue(level) {
+    const value = LOG_LEVELS[level];
+    if (value === undefined) {
+        throw new Error(`Unknown log level: ${level}`);
+    }
+    return value;
+}
+
+/**
+ * Check whether a logger takes structured fields first (pino, bunyan)
+ *
+ * Both have a child() method and describe their levels in a `levels` property,
+ * which console and most console-like objects don't.
+ *
+ * @param {Object} target - Logger passed in by the application
+ * @returns {boolean} True for (fields, message) style loggers
+ */
+function takesFieldsFirst(target) {
+    return typeof target.child === "function" && typeof target.levels === "object" && target.levels !== null;
+}
+
+// ============================================================================
+// Logger Class
+// ============================================================================
+
+/**
+ * Logger - Routes log lines to an application-provided logger
+ *
+ * Example Usage:
+ * const logger = new Logger({ logger: pino(), name: 'MyApp', levels: { discovery: 'warn' } });
+ * logger.child('discovery').info('Found peer', { peer: 'VRChat-Client-ABC123', port: 9000 });
+ */
+class Logger {
+    /**
+     * Create a new logger
+     *
+     * @param {Object} [opts] - Configuration options
+     * @param {Object} [opts.logger] - Target with trace/debug/info/warn/error methods
+     *   (console, pino, ...). Nothing is logged without one.
+     * @param {string} [opts.name] - Name put in front of console lines and into the fields as "name"
+     * @param {string} [opts.level='info'] - Lowest level logged
+     * @param {Object<string, string>} [opts.levels] - Lowest level per subsystem, overriding level
+     * @throws {Error} If a level is unknown
+     */
+    constructor(opts = {}) {
+        this._target = opts.logger || null;                         // Application logger, null = silent
+        this._name = opts.name;                                     // Application name for every line
+        this._level = levelValue(opts.level || "info");             // Default lowest level
+        this._levels = new Map();                                   // Subsystem -> lowest level
+        this._fieldsFirst = this._target ? takesFieldsFirst(this._target) : false;
+        for (const [subsystem, level] of Object.entries(opts.levels || {})) {
+            this._levels.set(subsystem, levelValue(level));
+        }
+    }
+
+    /**
+     * Change the lowest level, for all subsystems or for one
+     *
+     * @param {string} level - Level name
+     * @param {string} [subsystem] - Subsystem to change (all without a per-subsystem level if omitted)
+     * @throws {Error} If the level is unknown
+     */
+    setLevel(level, subsystem) {
+        if (subsystem === undefined) {
+            this._level = levelValue(level);
+        } else {
+            this._levels.set(subsystem, levelValue(level));
+        }
+    }
+
+    /**
+     * Check whether a line would be logged
+     *
+     * Use it to skip building expensive fields for lines nobody sees.
+     *
+     * @param {string} level - Level name
+     * @param {string} subsystem - Subsystem name
+     * @returns {boolean} True if the line would reach the target
+     */
+    isEnabled(level, subsystem) {
+        const lowest = this._levels.has(subsystem) ? this._levels.get(subsystem) : this._level;
+        return this._target !== null && LOG_LEVELS[level] >= lowest;
+    }
+
+    /**
+     * Log one line
+     *
+     * @param {string} level - Level name ("trace" to "error")
+     * @param {string} subsystem - Subsystem name (see LOG_SUBSYSTEMS)
+     * @param {string} message - Human-readable message
+     * @param {Object} [fields] - Structured fields (address, values, port, peer, err, ...)
+     */
+    log(level, subsystem, message, fields = {}) {
+        if (!this.isEnabled(level, subsystem)) return;
+
+        const all = { name: this._name, subsystem, ...fields };
+        if (this._fieldsFirst) {
+            this._target[level](all, message);
+            return;
+        }
+
+        // console.trace prints a stack trace, so trace lines go to debug there
+        const method = [level === "trace" ? "debug" : level, "log"].find(m => typeof this._target[m] === "function");
+        if (!method) return;
+        const prefix = this._name ? `[${this._name}] ` : "";
+        if (Object.keys(fields).length > 0) {
+            this._target[method](`${prefix}${message}`, fields);
+        } else {
+            this._target[method](`${prefix}${message}`);
+        }
+    }
+
+    /**
+     * Get a logger bound to one subsystem
+     *
+     * @param {string} subsystem - Subsystem name (see LOG_SUBSYSTEMS)
+     * @returns {{trace: Function, debug: Function, info: Function, warn: Function, error: Function,
+     *   isEnabled: function(string): boolean}} Level methods taking (message, fields)
+     */
+    child(subsystem) {
+        const child = { isEnabled: level => this.isEnabled(level, subsystem) };
+        for (const level of ["trace", "debug", "info", "warn", "error"]) {
+            child[level] = (message, fields) => this.log(level, subsystem, message, fields);
+        }
+        return child;
+    }
+}
+
+// ============================================================================
+// Module Exports
+// ============================================================================
+
+module.exports = {
+    Logger,          // Routes log lines to an application logger
+    LOG_LEVELS,      // Level names and numbers
+    LOG_SUBSYSTEMS,  // Subsystem names used by the library
+};
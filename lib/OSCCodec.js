@@ -0,0 +1,668 @@
+/**
+ * OSCCodec.js - Binary encoding and decoding of OSC packets
+ *
+ * This file converts between OSC packets and JavaScript values, following the
+ * binary format of the OSC 1.0 specification. It covers every type listed in
+ * OSCTypeSimple, so the library can tell an int 1 from a float 1.0 on both the
+ * sending and the receiving side.
+ *
+ * Key Features:
+ * - 4-byte aligned string and blob encoding
+ * - Type tag strings built from OSCTypeSimple codes
+ * - Argument types taken from explicit wrappers, OSC Query argument definitions,
+ *   or inferred from plain values
+ * - Typed value wrappers for int vs float, doubles, 64-bit ints, chars,
+ *   RGBA colors, MIDI messages, NTP timetags and blobs
+ * - Decoding that keeps the type tag of every argument
+ * - OSC bundles with NTP timetags for scheduled delivery
+ *
+ * Usage in other projects:
+ * const { encodeMessage, decodePacket, OSCFloat } = require('./OSCCodec');
+ * const packet = encodeMessage('/avatar/parameters/Size', [new OSCFloat(1)]);
+ * const { address, args } = decodePacket(packet); // args[0].type === 'f'
+ */
+
+const { OSCTypeSimple } = require('./OSCNode'); // OSC type constants
+
+/**
+ * Seconds between the NTP epoch (1900-01-01) and the Unix epoch (1970-01-01)
+ */
+const NTP_EPOCH_OFFSET = 2208988800;
+
+// ============================================================================
+// Typed Value Wrappers - Pin a value to a specific OSC type
+// ============================================================================
+
+/**
+ * OSCTypedValue - A value together with its OSC type tag
+ *
+ * Base class of all typed wrappers. Any object with `type` and `value`
+ * properties is treated the same way by the encoder, so OSC Query argument
+ * definitions can be passed directly as well.
+ *
+ * Decoded arguments are always OSCTypedValue instances (or one of the subclasses).
+ */
+class OSCTypedValue {
+    /**
+     * @param {string|Array} type - OSCTypeSimple code (or array of codes for OSC arrays)
+     * @param {*} value - The value
+     */
+    constructor(type, value) {
+        this.type = type;
+        this.value = value;
+    }
+
+    /**
+     * Allow typed numbers to be used in arithmetic and comparisons
+     * @returns {*} The wrapped value
+     */
+    valueOf() {
+        return this.value;
+    }
+}
+
+/** 32-bit signed integer ("i") */
+class OSCInt extends OSCTypedValue {
+    /** @param {number} value - Integer value */
+    constructor(value) {
+        super(OSCTypeSimple.INT, value);
+    }
+}
+
+/** 32-bit float ("f") */
+class OSCFloat extends OSCTypedValue {
+    /** @param {number} value - Float value */
+    constructor(value) {
+        super(OSCTypeSimple.FLOAT, value);
+    }
+}
+
+/** 64-bit float ("d") */
+class OSCDouble extends OSCTypedValue {
+    /** @param {number} value - Double value */
+    constructor(value) {
+        super(OSCTypeSimple.DOUBLE, value);
+    }
+}
+
+/** 64-bit signed integer ("h") */
+class OSCBigInt extends OSCTypedValue {
+    /** @param {bigint|number} value - 64-bit integer value */
+    constructor(value) {
+        super(OSCTypeSimple.BIGINT, BigInt(value));
+    }
+}
+
+/** Alternate string / symbol ("S") */
+class OSCSymbol extends OSCTypedValue {
+    /** @param {string} value - Symbol text */
+    constructor(value) {
+        super(OSCTypeSimple.ALTSTRING, String(value));
+    }
+}
+
+/** Single ASCII character ("c") */
+class OSCChar extends OSCTypedValue {
+    /** @param {string} value - A one-character string */
+    constructor(value) {
+        super(OSCTypeSimple.CHAR, String(value).charAt(0));
+    }
+}
+
+/** Binary blob ("b") */
+class OSCBlob extends OSCTypedValue {
+    /** @param {Buffer|Uint8Array|Array<number>} data - Blob contents */
+    constructor(data) {
+        super(OSCTypeSimple.BLOB, Buffer.from(data));
+    }
+}
+
+/** RGBA color, one byte per channel ("r") */
+class OSCColor extends OSCTypedValue {
+    /**
+     * @param {number} r - Red (0-255)
+     * @param {number} g - Green (0-255)
+     * @param {number} b - Blue (0-255)
+     * @param {number} [a=255] - Alpha (0-255)
+     */
+    constructor(r, g, b, a = 255) {
+        super(OSCTypeSimple.COLOR, { r, g, b, a });
+    }
+}
+
+/** 4-byte MIDI message ("m") */
+class OSCMidi extends OSCTypedValue {
+    /**
+     * @param {number} port - MIDI port id
+     * @param {number} status - Status byte (e.g., 0x90 for note on, channel 1)
+     * @param {number} data1 - First data byte
+     * @param {number} data2 - Second data byte
+     */
+    constructor(port, status, data1, data2) {
+        super(OSCTypeSimple.MIDI, { port, status, data1, data2 });
+    }
+}
+
+/**
+ * OSCTimetag - 64-bit NTP timestamp ("t")
+ *
+ * The value holds the whole seconds since 1900-01-01 and the fractional part
+ * in units of 1/2^32 seconds. The special value (0, 1) means "immediately".
+ */
+class OSCTimetag extends OSCTypedValue {
+    /**
+     * @param {number} seconds - Whole seconds since the NTP epoch (1900-01-01)
+     * @param {number} [fraction=0] - Fraction of a second in 1/2^32 units
+     */
+    constructor(seconds, fraction = 0) {
+        super(OSCTypeSimple.TIMETAG, { seconds, fraction });
+    }
+
+    /**
+     * Create a timetag for a point in time
+     * @param {Date|number} date - Date or Unix time in milliseconds
+     * @returns {OSCTimetag}
+     */
+    static fromDate(date) {
+        const ms = (date instanceof Date) ? date.getTime() : Number(date);
+        const seconds = Math.floor(ms / 1000);
+        const fraction = Math.round(((ms - seconds * 1000) / 1000) * 0x100000000);
+        return new OSCTimetag(seconds + NTP_EPOCH_OFFSET, Math.min(fraction, 0xffffffff));
+    }
+
+    /**
+     * Create a timetag for now, optionally shifted into the future
+     * @param {number} [offsetMs=0] - Milliseconds to add to the current time
+     * @returns {OSCTimetag}
+     */
+    static now(offsetMs = 0) {
+        return OSCTimetag.fromDate(Date.now() + offsetMs);
+    }
+
+    /**
+     * The special "immediately" timetag
+     * @returns {OSCTimetag}
+     */
+    static immediate() {
+        return new OSCTimetag(0, 1);
+    }
+
+    /**
+     * Whether this is the special "immediately" timetag
+     * @returns {boolean}
+     */
+    isImmediate() {
+        return this.value.seconds === 0 && this.value.fraction === 1;
+    }
+
+    /**
+     * Convert to Unix time in milliseconds
+     * @returns {number}
+     */
+    toMillis() {
+        return (this.value.seconds - NTP_EPOCH_OFFSET) * 1000 + (this.value.fraction / 0x100000000) * 1000;
+    }
+
+    /**
+     * Convert to a Date
+     * @returns {Date}
+     */
+    toDate() {
+        return new Date(this.toMillis());
+    }
+}
+
+// ============================================================================
+// Low-level Encoding Helpers
+// ============================================================================
+
+/**
+ * Encode a string as a null-terminated, 4-byte padded OSC string
+ *
+ * @param {string} str - String to encode
+ * @returns {Buffer} Encoded string
+ */
+function encodeString(str) {
+    const bytes = Buffer.from(String(str), 'utf8');
+    // Always at least one null terminator, then pad to a multiple of 4
+    const size = (bytes.length + 4) & ~3;
+    const buf = Buffer.alloc(size);
+    bytes.copy(buf);
+    return buf;
+}
+
+/**
+ * Encode a blob as a 32-bit size followed by 4-byte padded data
+ *
+ * @param {Buffer|Uint8Array} data - Blob contents
+ * @returns {Buffer} Encoded blob
+ */
+function encodeBlob(data) {
+    const bytes = Buffer.from(data);
+    const buf = Buffer.alloc(4 + ((bytes.length + 3) & ~3));
+    buf.writeInt32BE(bytes.length, 0);
+    bytes.copy(buf, 4);
+    return buf;
+}
+
+/**
+ * Encode an NTP timetag
+ *
+ * @param {{seconds: number, fraction: number}|Date|number} value - Timetag value, Date, or Unix ms
+ * @returns {Buffer} 8-byte timetag
+ */
+function encodeTimetag(value) {
+    const tag = (value instanceof Date || typeof value === 'number') ? OSCTimetag.fromDate(value).value : value;
+    const buf = Buffer.alloc(8);
+    buf.writeUInt32BE(tag.seconds >>> 0, 0);
+    buf.writeUInt32BE(tag.fraction >>> 0, 4);
+    return buf;
+}
+
+/**
+ * Guess the OSC type of a plain JavaScript value
+ *
+ * Used when an argument carries no explicit type. Integers become "i",
+ * other numbers "f", booleans "T"/"F", null "N", bigints "h", Dates "t"
+ * and buffers "b".
+ *
+ * @param {*} value - Value to inspect
+ * @returns {string} OSCTypeSimple code
+ */
+function inferType(value) {
+    if (value === null || value === undefined) return OSCTypeSimple.NIL;
+    if (typeof value === 'boolean') return value ? OSCTypeSimple.TRUE : OSCTypeSimple.FALSE;
+    if (typeof value === 'bigint') return OSCTypeSimple.BIGINT;
+    if (typeof value === 'number') {
+        if (value === Infinity) return OSCTypeSimple.INFINITUM;
+        return Number.isInteger(value) ? OSCTypeSimple.INT : OSCTypeSimple.FLOAT;
+    }
+    if (value instanceof Date) return OSCTypeSimple.TIMETAG;
+    if (Buffer.isBuffer(value) || value instanceof Uint8Array) return OSCTypeSimple.BLOB;
+    return OSCTypeSimple.STRING;
+}
+
+/**
+ * Check whether an argument carries its own type
+ *
+ * @param {*} arg - Message argument
+ * @returns {boolean} True for OSCTypedValue instances and { type, value } objects
+ */
+function isTyped(arg) {
+    return arg !== null && typeof arg === 'object' && 'type' in arg && 'value' in arg;
+}
+
+/**
+ * Encode a single typed argument
+ *
+ * Returns the type tag characters and the binary payload for the argument.
+ * Array types (e.g. ["f", "f"]) are wrapped in "[" and "]" tags.
+ *
+ * @param {string|Array} type - OSCTypeSimple code or array of codes
+ * @param {*} value - Argument value
+ * @returns {{tags: string, data: Buffer}} Encoded argument
+ * @throws {Error} If the type is not supported
+ */
+function encodeArgument(type, value) {
+    // Nested typed values (e.g. inside arrays) bring their own type
+    if (isTyped(value)) {
+        return encodeArgument(value.type, value.value);
+    }
+
+    if (Array.isArray(type)) {
+        const values = Array.isArray(value) ? value : [];
+        const parts = type.map((t, i) => encodeArgument(t, values[i]));
+        return {
+            tags: "[" + parts.map(p => p.tags).join("") + "]",
+            data: Buffer.concat(parts.map(p => p.data)),
+        };
+    }
+
+    let data;
+    switch (type) {
+        case OSCTypeSimple.INT:
+            data = Buffer.alloc(4);
+            data.writeInt32BE(Math.trunc(Number(value)), 0);
+            return { tags: type, data };
+        case OSCTypeSimple.FLOAT:
+            data = Buffer.alloc(4);
+            data.writeFloatBE(Number(value), 0);
+            return { tags: type, data };
+        case OSCTypeSimple.DOUBLE:
+            data = Buffer.alloc(8);
+            data.writeDoubleBE(Number(value), 0);
+            return { tags: type, data };
+        case OSCTypeSimple.BIGINT:
+            data = Buffer.alloc(8);
+            data.writeBigInt64BE(BigInt(value), 0);
+            return { tags: type, data };
+        case OSCTypeSimple.STRING:
+        case OSCTypeSimple.ALTSTRING:
+            return { tags: type, data: encodeString(value) };
+        case OSCTypeSimple.BLOB:
+            return { tags: type, data: encodeBlob(value) };
+        case OSCTypeSimple.CHAR:
+            // Chars are sent as 32 bits, the character in the lowest byte
+            data = Buffer.alloc(4);
+            data.writeUInt32BE(typeof value === 'number' ? value : String(value).charCodeAt(0), 0);
+            return { tags: type, data };
+        case OSCTypeSimple.COLOR:
+            data = Buffer.from([value.r, value.g, value.b, value.a ?? 255]);
+            return { tags: type, data };
+        case OSCTypeSimple.MIDI:
+            data = Buffer.from([value.port, value.status, value.data1, value.data2]);
+            return { tags: type, data };
+        case OSCTypeSimple.TIMETAG:
+            return { tags: type, data: encodeTimetag(value) };
+        case OSCTypeSimple.TRUE:
+        case OSCTypeSimple.FALSE:
+            // Booleans carry no data, the tag itself is the value
+            return { tags: value ? OSCTypeSimple.TRUE : OSCTypeSimple.FALSE, data: Buffer.alloc(0) };
+        case OSCTypeSimple.NIL:
+        case OSCTypeSimple.INFINITUM:
+            return { tags: type, data: Buffer.alloc(0) };
+        default:
+            throw new Error(`Unsupported OSC type: ${type}`);
+    }
+}
+
+// ============================================================================
+// Low-level Decoding Helpers
+// ============================================================================
+
+/**
+ * Read a null-terminated, 4-byte padded OSC string
+ *
+ * @param {Buffer} buf - Packet data
+ * @param {number} offset - Where the string starts
+ * @returns {{value: string, offset: number}} The string and the offset after its padding
+ * @throws {Error} If the string is not terminated
+ */
+function readString(buf, offset) {
+    const end = buf.indexOf(0, offset);
+    if (end === -1) {
+        throw new Error("OSC string is not null-terminated");
+    }
+    return {
+        value: buf.toString('utf8', offset, end),
+        offset: (end + 4) & ~3,
+    };
+}
+
+/**
+ * Make sure a packet has enough bytes left
+ *
+ * @param {Buffer} buf - Packet data
+ * @param {number} offset - Read position
+ * @param {number} size - Bytes needed
+ * @throws {Error} If the packet is too short
+ */
+function ensureBytes(buf, offset, size) {
+    if (offset + size > buf.length) {
+        throw new Error("OSC packet is truncated");
+    }
+}
+
+/**
+ * Decode the arguments of a message from its type tags
+ *
+ * @param {string} tags - Type tag string without the leading ","
+ * @param {Buffer} buf - Packet data
+ * @param {number} offset - Where the argument data starts
+ * @returns {Array<OSCTypedValue>} Decoded arguments
+ * @throws {Error} On unknown type tags or truncated data
+ */
+function decodeArguments(tags, buf, offset) {
+    const stack = [[]];   // Nested argument lists for "[" ... "]" arrays
+    let size;
+
+    for (const tag of tags) {
+        const args = stack[stack.length - 1];
+        switch (tag) {
+            case OSCTypeSimple.INT:
+                ensureBytes(buf, offset, 4);
+                args.push(new OSCInt(buf.readInt32BE(offset)));
+                offset += 4;
+                break;
+            case OSCTypeSimple.FLOAT:
+                ensureBytes(buf, offset, 4);
+                args.push(new OSCFloat(buf.readFloatBE(offset)));
+                offset += 4;
+                break;
+            case OSCTypeSimple.DOUBLE:
+                ensureBytes(buf, offset, 8);
+                args.push(new OSCDouble(buf.readDoubleBE(offset)));
+                offset += 8;
+                break;
+            case OSCTypeSimple.BIGINT:
+                ensureBytes(buf, offset, 8);
+                args.push(new OSCBigInt(buf.readBigInt64BE(offset)));
+                offset += 8;
+                break;
+            case OSCTypeSimple.STRING:
+            case OSCTypeSimple.ALTSTRING: {
+                const str = readString(buf, offset);
+                args.push(new OSCTypedValue(tag, str.value));
+                offset = str.offset;
+                break;
+            }
+            case OSCTypeSimple.BLOB:
+                ensureBytes(buf, offset, 4);
+                size = buf.readInt32BE(offset);
+                ensureBytes(buf, offset + 4, size);
+                args.push(new OSCBlob(buf.subarray(offset + 4, offset + 4 + size)));
+                offset += 4 + ((size + 3) & ~3);
+                break;
+            case OSCTypeSimple.CHAR:
+                ensureBytes(buf, offset, 4);
+                args.push(new OSCChar(String.fromCharCode(buf.readUInt32BE(offset))));
+                offset += 4;
+                break;
+            case OSCTypeSimple.COLOR:
+                ensureBytes(buf, offset, 4);
+                args.push(new OSCColor(buf[offset], buf[offset + 1], buf[offset + 2], buf[offset + 3]));
+                offset += 4;
+                break;
+            case OSCTypeSimple.MIDI:
+                ensureBytes(buf, offset, 4);
+                args.push(new OSCMidi(buf[offset], buf[offset + 1], buf[offset + 2], buf[offset + 3]));
+                offset += 4;
+                break;
+            case OSCTypeSimple.TIMETAG:
+                ensureBytes(buf, offset, 8);
+                args.push(new OSCTimetag(buf.readUInt32BE(offset), buf.readUInt32BE(offset + 4)));
+                offset += 8;
+                break;
+            case OSCTypeSimple.TRUE:
+                args.push(new OSCTypedValue(tag, true));
+                break;
+            case OSCTypeSimple.FALSE:
+                args.push(new OSCTypedValue(tag, false));
+                break;
+            case OSCTypeSimple.NIL:
+                args.push(new OSCTypedValue(tag, null));
+                break;
+            case OSCTypeSimple.INFINITUM:
+                args.push(new OSCTypedValue(tag, Infinity));
+                break;
+            case "[":
+                stack.push([]);
+                break;
+            case "]": {
+                if (stack.length === 1) {
+                    throw new Error("Unbalanced ']' in OSC type tags");
+                }
+                const items = stack.pop();
+                stack[stack.length - 1].push(new OSCTypedValue(items.map(a => a.type), items.map(a => a.value)));
+                break;
+            }
+            default:
+                throw new Error(`Unsupported OSC type tag: ${tag}`);
+        }
+    }
+
+    if (stack.length !== 1) {
+        throw new Error("Unbalanced '[' in OSC type tags");
+    }
+    return stack[0];
+}
+
+// ============================================================================
+// Public Encoding/Decoding API
+// ============================================================================
+
+/**
+ * Encode an OSC message
+ *
+ * Each argument may be a plain value (type is inferred), a typed wrapper
+ * such as OSCFloat, or an object of the form { type, value } as used by
+ * OSC Query argument definitions.
+ *
+ * @param {string} address - OSC address (e.g., "/avatar/parameters/VRCEmote")
+ * @param {Array} args - Message arguments
+ * @returns {Buffer} Encoded OSC packet
+ *
+ * Example:
+ * encodeMessage('/chatbox/input', ['Hello', true]);
+ * encodeMessage('/avatar/parameters/Size', [new OSCFloat(1)]);
+ */
+function encodeMessage(address, args = []) {
+    let tags = ",";
+    const payload = [];
+
+    for (const arg of args) {
+        const encoded = isTyped(arg) ? encodeArgument(arg.type, arg.value) : encodeArgument(inferType(arg), arg);
+        tags += encoded.tags;
+        payload.push(encoded.data);
+    }
+
+    return Buffer.concat([encodeString(address), encodeString(tags), ...payload]);
+}
+
+/**
+ * Encode an OSC bundle
+ *
+ * Elements may be already encoded packets (Buffers), messages given as
+ * { address, args } or [address, ...args], or nested bundles given as
+ * { timetag, elements }.
+ *
+ * @param {OSCTimetag|Date|number} [timetag] - When to apply the bundle (Date, Unix ms, or timetag).
+ *   Omit for "immediately".
+ * @param {Array} elements - Bundle contents
+ * @returns {Buffer} Encoded OSC bundle
+ *
+ * Example:
+ * encodeBundle(OSCTimetag.now(500), [
+ *     ['/avatar/parameters/LightR', new OSCFloat(1)],
+ *     ['/avatar/parameters/LightG', new OSCFloat(0.5)],
+ * ]);
+ */
+function encodeBundle(timetag, elements = []) {
+    let tag;
+    if (timetag === undefined || timetag === null) {
+        tag = OSCTimetag.immediate().value;
+    } else {
+        tag = isTyped(timetag) ? timetag.value : timetag;
+    }
+
+    const parts = [encodeString("#bundle"), encodeTimetag(tag)];
+    for (const element of elements) {
+        let packet;
+        if (Buffer.isBuffer(element)) {
+            packet = element;
+        } else if (Array.isArray(element)) {
+            packet = encodeMessage(element[0], element.slice(1));
+        } else if (element.elements) {
+            packet = encodeBundle(element.timetag, element.elements);
+        } else {
+            packet = encodeMessage(element.address, element.args);
+        }
+        const size = Buffer.alloc(4);
+        size.writeInt32BE(packet.length, 0);
+        parts.push(size, packet);
+    }
+
+    return Buffer.concat(parts);
+}
+
+/**
+ * Decode an OSC message
+ *
+ * @param {Buffer} buf - Encoded OSC message
+ * @returns {{address: string, args: Array<OSCTypedValue>}} Address and typed arguments
+ * @throws {Error} If the packet is malformed
+ */
+function decodeMessage(buf) {
+    const address = readString(buf, 0);
+    if (!address.value.startsWith("/")) {
+        throw new Error(`Invalid OSC address: ${address.value}`);
+    }
+
+    // A message without type tags is allowed by OSC 1.0 and has no arguments
+    if (address.offset >= buf.length) {
+        return { address: address.value, args: [] };
+    }
+
+    const tags = readString(buf, address.offset);
+    if (!tags.value.startsWith(",")) {
+        throw new Error("OSC type tag string must start with ','");
+    }
+
+    return {
+        address: address.value,
+        args: decodeArguments(tags.value.substring(1), buf, tags.offset),
+    };
+}
+
+/**
+ * Decode an OSC packet (message or bundle)
+ *
+ * Bundles are returned as { timetag, elements } where each element is again
+ * a decoded message or bundle.
+ *
+ * @param {Buffer} buf - Encoded OSC packet
+ * @returns {Object} Decoded message ({ address, args }) or bundle ({ timetag, elements })
+ * @throws {Error} If the packet is malformed
+ */
+function decodePacket(buf) {
+    if (buf.length >= 8 && buf.toString('ascii', 0, 8) === "#bundle\0") {
+        ensureBytes(buf, 8, 8);
+        const timetag = new OSCTimetag(buf.readUInt32BE(8), buf.readUInt32BE(12));
+        const elements = [];
+        let offset = 16;
+        while (offset < buf.length) {
+            ensureBytes(buf, offset, 4);
+            const size = buf.readInt32BE(offset);
+            ensureBytes(buf, offset + 4, size);
+            elements.push(decodePacket(buf.subarray(offset + 4, offset + 4 + size)));
+            offset += 4 + size;
+        }
+        return { timetag, elements };
+    }
+    return decodeMessage(buf);
+}
+
+// ============================================================================
+// Module Exports
+// ============================================================================
+
+module.exports = {
+    encodeMessage,  // Build a binary OSC message
+    encodeBundle,   // Build a binary OSC bundle
+    decodeMessage,  // Parse a binary OSC message
+    decodePacket,   // Parse a binary OSC message or bundle
+    inferType,      // Guess the OSC type of a plain value
+
+    // Typed value wrappers
+    OSCTypedValue,
+    OSCInt,
+    OSCFloat,
+    OSCDouble,
+    OSCBigInt,
+    OSCSymbol,
+    OSCChar,
+    OSCBlob,
+    OSCColor,
+    OSCMidi,
+    OSCTimetag,
+};
@@ -8,12 +8,17 @@
  * Key Components:
  * - OSCTypeSimple: Standard OSC data types
  * - OSCQAccess: Access control flags (read/write permissions)
+ * - OSCClipMode: How out-of-range values are handled
+ * - OSCValueError: Error thrown for values that break a parameter's constraints
  * - OSCNode: Tree node class representing OSC parameters and containers
  * 
  * Usage in other projects:
  * const { OSCNode, OSCTypeSimple, OSCQAccess } = require('./OSCNode');
  */
 
+// Required Node.js modules
+const util = require('util'); // Printing rejected values (including BigInt) in error messages
+
 // ============================================================================
 // OSC Type Definitions - Standard data types supported by OSC
 // ============================================================================
@@ -71,6 +76,75 @@ const OSCQAccess = {
     RW: 3,          // Same as READWRITE
 };
 
+/**
+ * OSC Query clip modes
+ * 
+ * Define what happens to values outside an argument's MIN/MAX range.
+ * Sides named by the clip mode are clamped to the range, values outside
+ * the other sides are rejected with an OSCValueError.
+ */
+const OSCClipMode = {
+    NONE: "none",   // Out-of-range values are rejected
+    LOW: "low",     // Values below MIN are raised to MIN, values above MAX are rejected
+    HIGH: "high",   // Values above MAX are lowered to MAX, values below MIN are rejected
+    BOTH: "both",   // Values are clamped to MIN..MAX
+};
+
+// ============================================================================
+// OSCValueError - Structured error for rejected values
+// ============================================================================
+
+/**
+ * Error thrown when a value doesn't fit a parameter's type or range,
+ * or when a parameter can't be written at all
+ * 
+ * Codes:
+ * - "TYPE_MISMATCH": The value is not of the argument's OSC type
+ * - "OUT_OF_RANGE": The value is below MIN or above MAX and the clip mode doesn't clamp that side
+ * - "NOT_ALLOWED": The value is not one of the argument's VALS
+ * - "READ_ONLY": The parameter's access doesn't allow writes
+ * - "ARGUMENT_COUNT": A write has more or fewer values than the parameter has arguments
+ */
+class OSCValueError extends Error {
+    /**
+     * @param {string} code - Error code (see above)
+     * @param {string} message - Human-readable message
+     * @param {Object} [details] - Extra information
+     * @param {number} [details.argIndex] - Index of the offending argument
+     * @param {*} [details.value] - The rejected value
+     * @param {string|Array} [details.type] - The argument's OSC type
+     * @param {Object} [details.range] - The argument's range ({ min, max, vals })
+     */
+    constructor(code, message, details = {}) {
+        super(message);
+        this.name = "OSCValueError";
+        this.code = code;                   // Machine-readable error code
+        this.argIndex = details.argIndex;   // Argument the error refers to
+        this.value = details.value;         // Rejected value
+        this.type = details.type;           // Expected OSC type
+        this.range = details.range;         // Range the value had to fit
+    }
+}
+
+/**
+ * Error thrown when a write was accepted but the node's onWrite callback failed
+ * 
+ * The values were checked (and stored, with store: true) before the callback
+ * ran, so callers can still treat the write as accepted. The callback's error
+ * is available as cause.
+ */
+class OSCWriteHandlerError extends Error {
+    /**
+     * @param {Error} cause - Error thrown by the onWrite callback
+     * @param {Array} values - The accepted (possibly clamped) values
+     */
+    constructor(cause, values) {
+        super(`onWrite callback failed: ${cause && cause.message}`, { cause });
+        this.name = "OSCWriteHandlerError";
+        this.values = values;               // Values the write was accepted with
+    }
+}
+
 // ============================================================================
 // Utility Functions - Helper functions for type and range handling
 // ============================================================================
@@ -111,9 +185,9 @@ function serializeRange(range) {
     } else {
         if (range !== null) {
             return {
-                MAX: range.max,    // Maximum allowed value
-                MIN: range.min,    // Minimum allowed value  
-                VALS: range.vals,  // Array of allowed discrete values
+                MAX: toJsonValue(range.max),    // Maximum allowed value
+                MIN: toJsonValue(range.min),    // Minimum allowed value  
+                VALS: toJsonValue(range.vals),  // Array of allowed discrete values
             };
         } else {
             return null;
@@ -121,6 +195,162 @@ function serializeRange(range) {
     }
 }
 
+/**
+ * Check whether a JavaScript value can be sent as a given OSC type
+ * 
+ * Booleans fit both "T" and "F", since either tag declares a boolean argument.
+ * 
+ * @param {string} type - OSCTypeSimple code
+ * @param {*} value - Value to check
+ * @returns {boolean} True if the value fits the type
+ */
+function valueMatchesType(type, value) {
+    switch (type) {
+        case OSCTypeSimple.INT:
+            return Number.isInteger(value);
+        case OSCTypeSimple.BIGINT:
+            return typeof value === "bigint" || Number.isInteger(value);
+        case OSCTypeSimple.FLOAT:
+        case OSCTypeSimple.DOUBLE:
+            return typeof value === "number";
+        case OSCTypeSimple.STRING:
+        case OSCTypeSimple.ALTSTRING:
+            return typeof value === "string";
+        case OSCTypeSimple.CHAR:
+            return (typeof value === "string" && value.length === 1) || Number.isInteger(value);
+        case OSCTypeSimple.BLOB:
+            return Buffer.isBuffer(value) || value instanceof Uint8Array;
+        case OSCTypeSimple.TRUE:
+        case OSCTypeSimple.FALSE:
+            return typeof value === "boolean";
+        case OSCTypeSimple.COLOR:
+            return value !== null && typeof value === "object" && "r" in value && "g" in value && "b" in value;
+        case OSCTypeSimple.MIDI:
+            return value !== null && typeof value === "object" && "status" in value;
+        case OSCTypeSimple.TIMETAG:
+            return typeof value === "number" || value instanceof Date || (value !== null && typeof value === "object");
+        case OSCTypeSimple.NIL:
+            return value === null;
+        case OSCTypeSimple.INFINITUM:
+            return true; // Carries no data
+        default:
+            return true; // Unknown types can't be checked
+    }
+}
+
+/**
+ * Check a value against an argument's type, VALS and MIN/MAX range
+ * 
+ * Array types are checked element by element, with one range per element.
+ * 
+ * @param {string|Array} type - OSC type or array of types
+ * @param {Object|Array|undefined} range - Range ({ min, max, vals }) or array of ranges
+ * @param {string|undefined} clipmode - OSCClipMode value (none if unset)
+ * @param {*} value - Value to check
+ * @param {number} argIndex - Index of the argument (for error details)
+ * @returns {*} The value, clamped to the range where the clip mode allows it
+ * @throws {OSCValueError} If the value doesn't fit
+ */
+function constrainValue(type, range, clipmode, value, argIndex) {
+    if (Array.isArray(type)) {
+        if (!Array.isArray(value) || value.length !== type.length) {
+            throw new OSCValueError("TYPE_MISMATCH", `Argument ${argIndex} must be an array of ${type.length} values`,
+                { argIndex, value, type });
+        }
+        return type.map((t, i) => {
+            const element_range = Array.isArray(range) ? range[i] : range;
+            const element_clipmode = Array.isArray(clipmode) ? clipmode[i] : clipmode;
+            return constrainValue(t, element_range, element_clipmode, value[i], argIndex);
+        });
+    }
+
+    if (!valueMatchesType(type, value)) {
+        throw new OSCValueError("TYPE_MISMATCH", `Argument ${argIndex} must be of OSC type "${type}", got ${util.inspect(value)}`,
+            { argIndex, value, type });
+    }
+    if (!range || Array.isArray(range)) {
+        return value;
+    }
+
+    if (Array.isArray(range.vals) && range.vals.length > 0 && !range.vals.includes(value)) {
+        throw new OSCValueError("NOT_ALLOWED", `Argument ${argIndex} must be one of ${util.inspect(range.vals)}, got ${util.inspect(value)}`,
+            { argIndex, value, type, range });
+    }
+
+    const clip_low = clipmode === OSCClipMode.LOW || clipmode === OSCClipMode.BOTH;
+    const clip_high = clipmode === OSCClipMode.HIGH || clipmode === OSCClipMode.BOTH;
+    if (range.min !== undefined && range.min !== null && value < range.min) {
+        if (!clip_low) {
+            throw new OSCValueError("OUT_OF_RANGE", `Argument ${argIndex} must be at least ${range.min}, got ${value}`,
+                { argIndex, value, type, range });
+        }
+        return range.min;
+    }
+    if (range.max !== undefined && range.max !== null && value > range.max) {
+        if (!clip_high) {
+            throw new OSCValueError("OUT_OF_RANGE", `Argument ${argIndex} must be at most ${range.max}, got ${value}`,
+                { argIndex, value, type, range });
+        }
+        return range.max;
+    }
+    return value;
+}
+
+/**
+ * Parse an OSC Query TYPE string back into argument types
+ * 
+ * Inverse of getTypeString. Bracketed groups become nested arrays.
+ * 
+ * @param {string} typeString - OSC Query TYPE string
+ * @returns {Array} One entry per argument (type code or array of codes)
+ * 
+ * Examples:
+ * - parseTypeString("fi") returns ["f", "i"]
+ * - parseTypeString("s[ff]") returns ["s", ["f", "f"]]
+ */
+function parseTypeString(typeString) {
+    const stack = [[]];
+    for (const char of typeString) {
+        if (char === "[") {
+            stack.push([]);
+        } else if (char === "]") {
+            const group = stack.pop();
+            if (stack.length === 0) {
+                throw new Error(`Unbalanced type string: ${typeString}`);
+            }
+            stack[stack.length - 1].push(group);
+        } else {
+            stack[stack.length - 1].push(char);
+        }
+    }
+    if (stack.length !== 1) {
+        throw new Error(`Unbalanced type string: ${typeString}`);
+    }
+    return stack[0];
+}
+
+/**
+ * Deserialize range constraints from OSC Query format
+ * 
+ * Inverse of serializeRange.
+ * 
+ * @param {Object|Array|null} range - Serialized range data
+ * @returns {Object|Array|null} Range constraint object or array
+ */
+function deserializeRange(range) {
+    if (Array.isArray(range)) {
+        return range.map(r => deserializeRange(r));
+    } else if (range) {
+        return {
+            max: range.MAX,
+            min: range.MIN,
+            vals: range.VALS,
+        };
+    } else {
+        return null;
+    }
+}
+
 /**
  * Build the full OSC path for a node by traversing up the tree
  * 
@@ -153,6 +383,26 @@ function allNull(arr) {
     }
     return true;
 }
+
+/**
+ * Make a value safe for JSON.stringify
+ * 
+ * 64-bit integers ("h") are stored as BigInt, which JSON can't represent.
+ * They become numbers while that is exact, and decimal strings beyond that.
+ * 
+ * @param {*} value - Stored value (or array of values for array types)
+ * @returns {*} The value with every BigInt converted
+ */
+function toJsonValue(value) {
+    if (typeof value === "bigint") {
+        const safe = value >= BigInt(Number.MIN_SAFE_INTEGER) && value <= BigInt(Number.MAX_SAFE_INTEGER);
+        return safe ? Number(value) : value.toString();
+    }
+    if (Array.isArray(value)) {
+        return value.map(toJsonValue);
+    }
+    return value;
+}
 // ============================================================================
 // OSCNode Class - Core building block for OSC Query tree structures  
 // ============================================================================
@@ -197,6 +447,8 @@ class OSCNode {
         this._tags = undefined;             // Metadata tags array
         this._critical = undefined;         // Boolean - is this parameter critical?
         this._args = undefined;             // Array of OSC argument definitions
+        this._onWrite = undefined;          // Callback for incoming writes (not serialized)
+        this._store = false;                // Store incoming writes as the node's value
         
         this._children = {};                // Child nodes keyed by name
     }
@@ -217,6 +469,30 @@ class OSCNode {
         return this._name;
     }
 
+    /**
+     * Get the access permissions of this node
+     * @returns {number|undefined} OSCQAccess value, or undefined if not set
+     */
+    get access() {
+        return this._access;
+    }
+
+    /**
+     * Whether accepted writes are stored as this node's value
+     * @returns {boolean}
+     */
+    get store() {
+        return this._store;
+    }
+
+    /**
+     * Callback for accepted writes, if any
+     * @returns {function(Array, Object)|undefined}
+     */
+    get onWrite() {
+        return this._onWrite;
+    }
+
     /**
      * Generate method description for OSC Query responses
      * 
@@ -273,6 +549,25 @@ class OSCNode {
         }
     }
 
+    /**
+     * List the OSC methods (parameters) in this subtree
+     * 
+     * Walks the tree depth-first and yields one description per node that has
+     * arguments; containers are skipped. Properties that aren't set are left out.
+     * 
+     * Example:
+     * for (const method of avatarNode.methods('/avatar')) {
+     *     console.log(method.full_path, method.access, method.arguments);
+     * }
+     * 
+     * @param {string} [starting_path="/"] - OSC path of this node, used to build full_path
+     * @yields {{full_path: string, description: string, access: number, tags: Array,
+     *   critical: boolean, arguments: Array}} Method descriptions
+     */
+    *methods(starting_path = "/") {
+        yield* this._methodGenerator(starting_path);
+    }
+
     /**
      * Set OSC Query properties for this node
      * 
@@ -284,7 +579,10 @@ class OSCNode {
      * @param {number} [desc.access] - Access permissions (OSCQAccess enum)
      * @param {Array} [desc.tags] - Metadata tags
      * @param {boolean} [desc.critical] - Whether this parameter is critical
-     * @param {Array} [desc.arguments] - OSC argument definitions
+     * @param {Array} [desc.arguments] - OSC argument definitions ({ type, range, clipmode, value,
+     *   optional }). Trailing arguments marked optional may be left out of writes.
+     * @param {function(Array, Object)} [desc.onWrite] - Called with the values of every accepted write
+     * @param {boolean} [desc.store=false] - Store accepted writes as the node's value
      */
     setOpts(desc) {
         this._description = desc.description;
@@ -292,6 +590,45 @@ class OSCNode {
         this._tags = desc.tags;
         this._critical = desc.critical;
         this._args = desc.arguments;
+        this._onWrite = desc.onWrite;
+        this._store = desc.store ?? false;
+    }
+
+    /**
+     * Check a value against an argument's type, range and clip mode without storing it
+     * 
+     * @param {number} arg_index - Index of the argument (0-based)
+     * @param {*} value - The value to check
+     * @returns {*} The value, clamped where the argument's clip mode allows it
+     * @throws {Error} If argument index is out of range
+     * @throws {OSCValueError} If the value has the wrong type, is not in VALS,
+     *   or is outside MIN/MAX on a side the clip mode doesn't clamp
+     */
+    checkValue(arg_index, value) {
+        if (!this._args || arg_index >= this._args.length) {
+            throw new Error("Argument index out of range");
+        }
+        const arg = this._args[arg_index];
+        return constrainValue(arg.type, arg.range, arg.clipmode, value, arg_index);
+    }
+
+    /**
+     * Get the OSC Query properties of this node
+     * 
+     * Inverse of setOpts() for the properties that appear in OSC Query JSON.
+     * The onWrite callback and store flag are not included.
+     * 
+     * @returns {{description: string, access: number, tags: Array, critical: boolean, arguments: Array}}
+     *   Properties (undefined if not set)
+     */
+    getOpts() {
+        return {
+            description: this._description,
+            access: this._access,
+            tags: this._tags,
+            critical: this._critical,
+            arguments: this._args,
+        };
     }
 
     /**
@@ -299,16 +636,88 @@ class OSCNode {
      * 
      * Updates the stored value for an OSC argument. This value will be
      * returned in OSC Query responses if the parameter has read access.
+     * The value is checked with checkValue() first, so it may be clamped.
      * 
      * @param {number} arg_index - Index of the argument to set (0-based)
      * @param {*} value - The value to set
+     * @returns {*} The stored value (after clamping)
      * @throws {Error} If argument index is out of range
+     * @throws {OSCValueError} If the value doesn't fit the argument (nothing is stored)
      */
     setValue(arg_index, value) {
-        if (!this._args || arg_index >= this._args.length) {
-            throw new Error("Argument index out of range");
+        const checked = this.checkValue(arg_index, value);
+        this._args[arg_index].value = checked;
+        return checked;
+    }
+
+    /**
+     * Number of leading arguments a write must contain
+     * 
+     * Counts the arguments before the first one marked optional.
+     * 
+     * @returns {number} Required number of values (0 for nodes without arguments)
+     */
+    getRequiredArgumentCount() {
+        const args = this._args || [];
+        const firstOptional = args.findIndex(arg => arg.optional);
+        return firstOptional === -1 ? args.length : firstOptional;
+    }
+
+    /**
+     * Check whether a write with this many values fits the declared arguments
+     * 
+     * Nodes without declared arguments accept any number of values.
+     * 
+     * @param {number} count - Number of values in the write
+     * @returns {boolean} True if count is between the required and the declared number of arguments
+     */
+    acceptsValueCount(count) {
+        const args = this._args || [];
+        return args.length === 0 || (count >= this.getRequiredArgumentCount() && count <= args.length);
+    }
+
+    /**
+     * Apply a write from a client (e.g. an incoming OSC message)
+     * 
+     * The node must be writable, a node with declared arguments needs one value
+     * per argument (trailing optional arguments may be left out, see
+     * acceptsValueCount()), and every value is checked with checkValue().
+     * If the node was set up with store: true the values are stored, then the
+     * onWrite callback is called with the (possibly clamped) values.
+     * 
+     * @param {Array} values - Plain argument values
+     * @param {Object} [info] - Extra information passed to onWrite (e.g. { path, timetag })
+     * @returns {Array} The accepted values, clamped where the clip modes allow it
+     * @throws {OSCValueError} If the node is read-only, the number of values is wrong
+     *   or a value doesn't fit (nothing is stored)
+     * @throws {OSCWriteHandlerError} If the onWrite callback threw (the write itself was accepted)
+     */
+    write(values, info = {}) {
+        if (!this.isWritable()) {
+            throw new OSCValueError("READ_ONLY", "Parameter is read-only", { value: values });
         }
-        this._args[arg_index].value = value;
+
+        const args = this._args || [];
+        if (!this.acceptsValueCount(values.length)) {
+            const required = this.getRequiredArgumentCount();
+            const expected = required === args.length ? `${args.length}` : `${required} to ${args.length}`;
+            throw new OSCValueError("ARGUMENT_COUNT", `Parameter takes ${expected} value(s), got ${values.length}`, { value: values });
+        }
+        const checked = args.length > 0 ? values.map((value, i) => this.checkValue(i, value)) : values;
+
+        if (this._store) {
+            checked.forEach((value, i) => {
+                if (i < args.length) args[i].value = value;
+            });
+        }
+        if (this._onWrite) {
+            try {
+                this._onWrite(checked, { ...info, node: this });
+            } catch (error) {
+                throw new OSCWriteHandlerError(error, checked);
+            }
+        }
+        return checked;
     }
 
     /**
@@ -337,6 +746,15 @@ class OSCNode {
         return this._args[arg_index].value;
     }
 
+    /**
+     * Get the OSC argument definitions of this node
+     * 
+     * @returns {Array<Object>} Argument definitions ({ type, range, clipmode, value }), empty for containers
+     */
+    getArguments() {
+        return this._args || [];
+    }
+
     /**
      * Check if this node is completely empty
      * 
@@ -361,6 +779,29 @@ class OSCNode {
         return !this._args && Object.keys(this._children).length > 0;
     }
 
+    /**
+     * Check if clients may read this node's value
+     * 
+     * Only READONLY and READWRITE nodes are readable, nodes without an
+     * access level are not (as in serialize()).
+     * 
+     * @returns {boolean} True if the value may be sent to clients
+     */
+    isReadable() {
+        return this._access === OSCQAccess.READONLY || this._access === OSCQAccess.READWRITE;
+    }
+
+    /**
+     * Check whether clients may write to this node
+     * 
+     * Nodes without an explicit access value are writable.
+     * 
+     * @returns {boolean} False for READONLY and NO_VALUE nodes
+     */
+    isWritable() {
+        return this._access === undefined || (this._access & OSCQAccess.WRITEONLY) !== 0;
+    }
+
     // ========================================================================
     // Child Node Management Methods
     // ========================================================================
@@ -419,6 +860,25 @@ class OSCNode {
         }
     }
 
+    /**
+     * Move this node (and its subtree) under a new parent and/or name
+     * 
+     * @param {OSCNode} parent - New parent node
+     * @param {string} name - New name of this node
+     * @throws {Error} If the new parent already has a child with this name
+     */
+    moveTo(parent, name) {
+        if (parent.hasChild(name)) {
+            throw new Error(`The child ${name} already exist`);
+        }
+        if (this._parent) {
+            this._parent.removeChild(this._name);
+        }
+        parent.addChild(name, this);
+        this._parent = parent;
+        this._name = name;
+    }
+
     /**
      * Get an existing child or create a new one
      * 
@@ -434,6 +894,58 @@ class OSCNode {
         }
         return this._children[path];
     }
+    /**
+     * Create a node tree from OSC Query JSON
+     * 
+     * Inverse of serialize(). Builds this node and all nodes under CONTENTS,
+     * restoring TYPE, RANGE, CLIPMODE and VALUE into argument definitions.
+     * 
+     * @param {Object} json - OSC Query JSON for a single node
+     * @param {string} [name=""] - Name of the node (empty for the root)
+     * @param {OSCNode|null} [parent=null] - Parent node to attach the new node to
+     * @returns {OSCNode} The deserialized node
+     * 
+     * Example:
+     * const root = OSCNode.deserialize(await (await fetch('http://127.0.0.1:9001/')).json());
+     */
+    static deserialize(json, name = "", parent = null) {
+        const node = new OSCNode(name, parent);
+        if (parent) {
+            parent.addChild(name, node);
+        }
+
+        let args = undefined;
+        if (typeof json.TYPE === "string") {
+            const types = parseTypeString(json.TYPE);
+            args = types.map((type, i) => {
+                const arg = { type };
+                const range = Array.isArray(json.RANGE) ? json.RANGE[i] : null;
+                const clipmode = Array.isArray(json.CLIPMODE) ? json.CLIPMODE[i] : null;
+                const value = Array.isArray(json.VALUE) ? json.VALUE[i] : null;
+                if (range) arg.range = deserializeRange(range);
+                if (clipmode) arg.clipmode = clipmode;
+                if (value !== null && value !== undefined) arg.value = value;
+                return arg;
+            });
+        }
+
+        node.setOpts({
+            description: json.DESCRIPTION,
+            access: json.ACCESS,
+            tags: json.TAGS,
+            critical: json.CRITICAL,
+            arguments: args,
+        });
+
+        if (json.CONTENTS) {
+            for (const [child_name, child_json] of Object.entries(json.CONTENTS)) {
+                OSCNode.deserialize(child_json, child_name, node);
+            }
+        }
+
+        return node;
+    }
+
     /**
      * Serialize this node to OSC Query JSON format
      * 
@@ -453,9 +965,12 @@ class OSCNode {
      * - CLIPMODE: Clipping behavior (if set)
      * - VALUE: Current values (if readable and has values)
      * 
+     * @param {Object} [options] - Serialization options
+     * @param {boolean} [options.allValues=false] - Include VALUE for nodes that aren't
+     *   readable too (for snapshots, never for clients)
      * @returns {Object} OSC Query JSON representation of this node
      */
-    serialize() {
+    serialize(options = {}) {
         const full_path = assembleFullPath(this);
         const result = {
             FULL_PATH: full_path || "/", // Root path is represented as "/"
@@ -479,7 +994,7 @@ class OSCNode {
         // Serialize child nodes (for containers)
         if (Object.keys(this._children).length > 0) {
             result.CONTENTS = Object.fromEntries(Object.entries(this._children).map(([name, node]) => {
-                return [name, node.serialize()]
+                return [name, node.serialize(options)]
             }));
         }
 
@@ -493,7 +1008,7 @@ class OSCNode {
             // Process each argument
             for (const arg of this._args) {
                 arg_types += getTypeString(arg.type);           // Build type string
-                arg_values.push(arg.value ?? null);            // Collect values (null if unset)
+                arg_values.push(toJsonValue(arg.value ?? null)); // Collect values (null if unset, BigInt as number)
                 arg_ranges.push(arg.range ?? null);            // Collect range constraints
                 arg_clipmodes.push(arg.clipmode ?? null);      // Collect clip modes
             }
@@ -519,8 +1034,8 @@ class OSCNode {
             // Include current values only if:
             // 1. Access is defined AND
             // 2. At least one value is set AND  
-            // 3. The parameter is readable (access = 1 or 3)
-            if (this._access !== undefined && !allNull(arg_values) && (this._access == 1 || this._access == 3)) {
+            // 3. The parameter is readable (access = 1 or 3), or all values were asked for
+            if (this._access !== undefined && !allNull(arg_values) && (this.isReadable() || options.allValues)) {
                 result.VALUE = arg_values;
             }
         }
@@ -536,5 +1051,9 @@ class OSCNode {
 module.exports = {
     OSCNode,        // Main node class for building OSC Query trees
     OSCTypeSimple,  // OSC type constants  
-    OSCQAccess      // Access control constants
+    OSCQAccess,     // Access control constants
+    OSCClipMode,    // Clip mode constants
+    OSCValueError,  // Error for values that don't fit a parameter
+    OSCWriteHandlerError, // Error for accepted writes whose onWrite callback failed
+    parseTypeString // Split an OSC Query TYPE string into argument types
 };
\ No newline at end of file
@@ -0,0 +1,195 @@
+/**
+ * OSCPattern.js - OSC 1.0/1.1 address pattern matching
+ *
+ * This file compiles OSC address patterns into regular expressions once, so that
+ * matching an incoming address is a single regex test instead of re-parsing the
+ * pattern for every message.
+ *
+ * Supported syntax:
+ * - ?          Any single character except "/"
+ * - *          Any sequence of characters within one path segment
+ * - [abc]      Any one of the listed characters ("a-z" ranges allowed)
+ * - [!abc]     Any character except the listed ones
+ * - {foo,bar}  Any one of the comma-separated strings
+ * - //         Any number of intermediate path segments (OSC 1.1 path traversal)
+ *
+ * Non-standard extensions (kept for compatibility with earlier versions of this library):
+ * - (!?text)   Any remainder of the address that does not contain "text"
+ * - A trailing * matches the rest of the address, across segments, when the
+ *   pattern is compiled with { prefixWildcard: true } ("/avatar/*" then matches
+ *   "/avatar/parameters/VRCEmote")
+ *
+ * Usage in other projects:
+ * const { OSCPattern } = require('./OSCPattern');
+ * const pattern = new OSCPattern('/avatar/parameters/{GestureLeft,GestureRight}');
+ * pattern.matches('/avatar/parameters/GestureLeft'); // true
+ */
+
+// ============================================================================
+// Utility Functions
+// ============================================================================
+
+/**
+ * Escape a string for literal use in a regular expression
+ *
+ * @param {string} str - Text to escape
+ * @returns {string} Escaped text
+ */
+function escapeRegex(str) {
+    return str.replace(/[.*+?^${}()|[\]\\\/-]/g, "\\$&");
+}
+
+/**
+ * Translate an OSC address pattern into a regular expression source
+ *
+ * @param {string} pattern - OSC address pattern
+ * @param {boolean} [prefixWildcard=false] - Let a trailing * match across segments
+ * @returns {string} Regular expression source (without anchors)
+ * @throws {Error} If brackets or braces are not closed
+ */
+function patternToRegexSource(pattern, prefixWildcard = false) {
+    let source = "";
+    let i = 0;
+
+    while (i < pattern.length) {
+        const char = pattern[i];
+
+        // Legacy (!?text) exclusion - the rest of the address must not contain "text"
+        if (pattern.startsWith("(!?", i)) {
+            const end = pattern.indexOf(")", i);
+            if (end === -1) {
+                throw new Error(`Unclosed '(!?' in OSC pattern: ${pattern}`);
+            }
+            source += `(?!.*${escapeRegex(pattern.substring(i + 3, end))}).*`;
+            i = end + 1;
+            continue;
+        }
+
+        switch (char) {
+            case "/":
+                if (pattern[i + 1] === "/") {
+                    // Path traversal: zero or more whole segments, then the separator
+                    source += "(?:/[^/]+)*/";
+                    i += 2;
+                } else {
+                    source += "/";
+                    i += 1;
+                }
+                break;
+            case "?":
+                source += "[^/]";
+                i += 1;
+                break;
+            case "*":
+                source += (prefixWildcard && i === pattern.length - 1) ? ".*" : "[^/]*";
+                i += 1;
+                break;
+            case "[": {
+                const end = pattern.indexOf("]", i + 1);
+                if (end === -1) {
+                    throw new Error(`Unclosed '[' in OSC pattern: ${pattern}`);
+                }
+                let body = pattern.substring(i + 1, end);
+                const negate = body.startsWith("!");
+                if (negate) body = body.substring(1);
+                // Keep "-" between characters as a range, escape everything else
+                const chars = body.split("").map((c, idx, all) => {
+                    const isRange = c === "-" && idx > 0 && idx < all.length - 1;
+                    return isRange ? "-" : escapeRegex(c);
+                }).join("");
+                source += negate ? `[^/${chars}]` : `[${chars}]`;
+                i = end + 1;
+                break;
+            }
+            case "{": {
+                const end = pattern.indexOf("}", i + 1);
+                if (end === -1) {
+                    throw new Error(`Unclosed '{' in OSC pattern: ${pattern}`);
+                }
+                const options = pattern.substring(i + 1, end).split(",").map(escapeRegex);
+                source += `(?:${options.join("|")})`;
+                i = end + 1;
+                break;
+            }
+            default:
+                source += escapeRegex(char);
+                i += 1;
+        }
+    }
+
+    return source;
+}
+
+// ============================================================================
+// OSCPattern Class
+// ============================================================================
+
+/**
+ * OSCPattern - A compiled OSC address pattern
+ *
+ * Example Usage:
+ * const pattern = new OSCPattern('/avatar/parameters/Gesture[LR]*');
+ * pattern.matches('/avatar/parameters/GestureLeft');      // true
+ * pattern.matches('/avatar/parameters/VRCEmote');         // false
+ *
+ * new OSCPattern('//Jump').matches('/input/Jump');         // true
+ *
+ * // Prefix matching as in earlier versions
+ * new OSCPattern('/avatar/*', { prefixWildcard: true }).matches('/avatar/parameters/Size'); // true
+ */
+class OSCPattern {
+    /**
+     * Compile an OSC address pattern
+     *
+     * @param {string} pattern - OSC address pattern
+     * @param {Object} [opts] - Options
+     * @param {boolean} [opts.prefixWildcard=false] - Let a trailing * match the rest of the
+     *   address across segments, like earlier versions of this library did
+     * @throws {Error} If the pattern is malformed
+     */
+    constructor(pattern, opts = {}) {
+        this._pattern = pattern; // Original pattern text
+        this._literal = !OSCPattern.isPattern(pattern); // Plain addresses are compared as strings
+        this._regex = this._literal ? null
+            : new RegExp("^" + patternToRegexSource(pattern, opts.prefixWildcard) + "$"); // Compiled matcher
+    }
+
+    /**
+     * The original pattern text
+     * @returns {string}
+     */
+    get pattern() {
+        return this._pattern;
+    }
+
+    /**
+     * Check whether an OSC address matches this pattern
+     *
+     * @param {string} address - OSC address (e.g., "/avatar/parameters/VRCEmote")
+     * @returns {boolean} True if the address matches
+     */
+    matches(address) {
+        return this._literal ? address === this._pattern : this._regex.test(address);
+    }
+
+    /**
+     * Check whether a string uses any pattern syntax at all
+     *
+     * Addresses without special characters only match themselves, which lets
+     * callers use a plain string comparison or map lookup instead.
+     *
+     * @param {string} pattern - Pattern text
+     * @returns {boolean} True if the text contains pattern syntax
+     */
+    static isPattern(pattern) {
+        return /[?*[\]{}]|\/\/|\(!\?/.test(pattern);
+    }
+}
+
+// ============================================================================
+// Module Exports
+// ============================================================================
+
+module.exports = {
+    OSCPattern, // Compiled OSC address pattern
+};
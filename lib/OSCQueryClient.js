@@ -0,0 +1,354 @@
+/**
+ * OSCQueryClient.js - Client for browsing remote OSC Query services
+ *
+ * This file implements the consuming side of the OSC Query protocol. A client
+ * resolves where a service lives (either from a known host/port or by looking it
+ * up over mDNS), reads its HOST_INFO, and fetches its namespace into a local
+ * OSCNode tree that can be inspected without further network requests.
+ *
+ * Key Features:
+ * - Service resolution by host/port or by mDNS service name
+ * - HOST_INFO retrieval (OSC IP, port and transport of the remote service)
+ * - Namespace download into OSCNode trees
+ * - Live value reads with getValue()
+ * - Typed access to TYPE, RANGE and ACCESS of remote parameters
+ *
+ * Usage in other projects:
+ * const { OSCQueryClient } = require('./OSCQueryClient');
+ * const client = new OSCQueryClient({ serviceName: /^VRChat-Client-/ });
+ * await client.connect();
+ * console.log(client.getType('/avatar/parameters/VRCEmote'));
+ */
+
+// Required Node.js modules for HTTP and network functionality
+const http = require('http');              // HTTP client implementation
+const { Bonjour } = require('bonjour-service');  // mDNS service discovery
+const { OSCNode } = require('./OSCNode'); // OSC node tree structure
+
+// ============================================================================
+// Utility Functions
+// ============================================================================
+
+/**
+ * Perform an HTTP GET request and parse the JSON response
+ *
+ * @param {string} url - Full URL to request
+ * @param {number} timeout - Request timeout in milliseconds
+ * @returns {Promise<Object|null>} Parsed JSON, or null for 204 No Content
+ * @throws {Error} On network errors, timeouts and non-2xx status codes
+ */
+function getJson(url, timeout) {
+    return new Promise((resolve, reject) => {
+        // No keep-alive: a reused socket fails if the service restarted on the same port
+        const req = http.get(url, { timeout, agent: false }, res => {
+            const chunks = [];
+            res.on('data', chunk => chunks.push(chunk));
+            res.on('end', () => {
+                if (res.statusCode === 204) {
+                    return resolve(null); // Attribute exists but has no value to report
+                }
+                if (res.statusCode < 200 || res.statusCode >= 300) {
+                    const error = new Error(`GET ${url} failed with status ${res.statusCode}`);
+                    error.statusCode = res.statusCode;
+                    return reject(error);
+                }
+                try {
+                    resolve(JSON.parse(Buffer.concat(chunks).toString()));
+                } catch (error) {
+                    reject(new Error(`GET ${url} returned invalid JSON: ${error.message}`));
+                }
+            });
+        });
+        req.on('timeout', () => req.destroy(new Error(`GET ${url} timed out`)));
+        req.on('error', reject);
+    });
+}
+
+/**
+ * Check whether an mDNS service name matches the requested name
+ *
+ * @param {string} name - Discovered service name
+ * @param {string|RegExp} wanted - Exact name or regular expression
+ * @returns {boolean} True if the name matches
+ */
+function serviceNameMatches(name, wanted) {
+    return (wanted instanceof RegExp) ? wanted.test(name) : name === wanted;
+}
+
+// ============================================================================
+// OSCQueryClient Class - Main client implementation
+// ============================================================================
+
+/**
+ * OSCQueryClient - Reads the namespace of a remote OSC Query service
+ *
+ * Example Usage:
+ * // Connect to a known address
+ * const client = new OSCQueryClient({ host: '127.0.0.1', port: 9001 });
+ *
+ * // Or look a service up over mDNS
+ * const vrchat = new OSCQueryClient({ serviceName: /^VRChat-Client-/ });
+ *
+ * await vrchat.connect();
+ * console.log(vrchat.hostInfo.OSC_PORT);                       // Where to send OSC
+ * console.log(vrchat.getType('/avatar/parameters/VRCEmote'));  // ["i"]
+ * console.log(await vrchat.getValue('/avatar/parameters/VRCEmote')); // [0]
+ */
+class OSCQueryClient {
+    /**
+     * Create a new OSC Query client
+     *
+     * Either host and port, or serviceName must be given.
+     *
+     * @param {Object} opts - Configuration options
+     * @param {string} [opts.host] - Host of the OSC Query HTTP server
+     * @param {number} [opts.port] - Port of the OSC Query HTTP server
+     * @param {string|RegExp} [opts.serviceName] - mDNS service name to look up
+     * @param {number} [opts.discoveryTimeout=5000] - How long to wait for mDNS resolution (ms)
+     * @param {number} [opts.requestTimeout=3000] - HTTP request timeout (ms)
+     */
+    constructor(opts = {}) {
+        if (!(opts.host && opts.port) && !opts.serviceName) {
+            throw new Error("OSCQueryClient needs either host and port, or serviceName");
+        }
+        this._opts = opts;                  // Store configuration options
+        this._host = opts.host || null;     // Resolved HTTP host
+        this._port = opts.port || null;     // Resolved HTTP port
+        this._hostInfo = null;              // Last fetched HOST_INFO
+        this._root = null;                  // Last fetched namespace
+    }
+
+    /**
+     * Resolved HTTP host of the service (null until resolved)
+     * @returns {string|null}
+     */
+    get host() {
+        return this._host;
+    }
+
+    /**
+     * Resolved HTTP port of the service (null until resolved)
+     * @returns {number|null}
+     */
+    get port() {
+        return this._port;
+    }
+
+    /**
+     * HOST_INFO of the service as returned by the last connect()
+     * @returns {Object|null}
+     */
+    get hostInfo() {
+        return this._hostInfo;
+    }
+
+    /**
+     * Root node of the last fetched namespace
+     * @returns {OSCNode|null}
+     */
+    get root() {
+        return this._root;
+    }
+
+    /**
+     * Base URL of the service's HTTP API
+     * @returns {string}
+     * @private
+     */
+    get _baseUrl() {
+        const host = this._host.includes(":") ? `[${this._host}]` : this._host; // IPv6 literal
+        return `http://${host}:${this._port}`;
+    }
+
+    /**
+     * Look up the service over mDNS
+     *
+     * Browses for `_oscjson._tcp` services until one matches the configured
+     * serviceName, then uses its first IPv4 address (or host name) and port.
+     *
+     * @returns {Promise<void>} Resolves when host and port are known
+     * @throws {Error} If no matching service is found within discoveryTimeout
+     */
+    async resolve() {
+        if (this._host && this._port) return;
+
+        const wanted = this._opts.serviceName;
+        const timeout = this._opts.discoveryTimeout ?? 5000;
+        const bonjour = new Bonjour();
+
+        try {
+            const service = await new Promise((resolve, reject) => {
+                let timer = null;
+                const browser = bonjour.find({ type: 'oscjson', protocol: 'tcp' }, service => {
+                    if (serviceNameMatches(service.name, wanted)) {
+                        clearTimeout(timer);
+                        browser.stop();
+                        resolve(service);
+                    }
+                });
+                timer = setTimeout(() => {
+                    browser.stop();
+                    reject(new Error(`OSC Query service ${wanted} not found within ${timeout}ms`));
+                }, timeout);
+            });
+
+            // Prefer a numeric IPv4 address over the .local host name
+            const addresses = service.addresses || [];
+            this._host = addresses.find(a => a.includes(".")) || addresses[0] || service.host;
+            this._port = service.port;
+        } finally {
+            bonjour.destroy();
+        }
+    }
+
+    /**
+     * Resolve the service, then fetch its HOST_INFO and namespace
+     *
+     * @returns {Promise<OSCNode>} Root node of the fetched namespace
+     */
+    async connect() {
+        await this.resolve();
+        this._hostInfo = await this.getHostInfo();
+        return this.refresh();
+    }
+
+    /**
+     * Fetch the HOST_INFO of the service
+     *
+     * @returns {Promise<Object>} HOST_INFO object (NAME, EXTENSIONS, OSC_IP, OSC_PORT, OSC_TRANSPORT)
+     */
+    async getHostInfo() {
+        await this.resolve();
+        return getJson(`${this._baseUrl}/?HOST_INFO`, this._opts.requestTimeout ?? 3000);
+    }
+
+    /**
+     * Re-fetch the namespace (or a part of it) into the local tree
+     *
+     * Without a path the whole tree is replaced. With a path only that subtree
+     * is fetched and swapped in, which is cheaper when a PATH_CHANGED or
+     * PATH_ADDED notification names a single branch.
+     *
+     * @param {string} [path="/"] - OSC path of the subtree to fetch
+     * @returns {Promise<OSCNode>} The fetched node
+     * @throws {Error} If the request fails or the service answers without a node
+     *   (e.g. 204 No Content) - the local tree is left as it was
+     */
+    async refresh(path = "/") {
+        await this.resolve();
+        const path_split = path.split("/").filter(p => p !== "");
+        const url = `${this._baseUrl}/${path_split.map(encodeURIComponent).join("/")}`;
+        const json = await getJson(url, this._opts.requestTimeout ?? 3000);
+        if (!json || typeof json !== "object" || Array.isArray(json)) {
+            throw new Error(`GET ${url} returned no OSC Query node`);
+        }
+
+        if (path_split.length === 0) {
+            this._root = OSCNode.deserialize(json);
+            return this._root;
+        }
+        if (!this._root) {
+            this._root = new OSCNode("");
+        }
+
+        // Create the parents of the subtree and replace the subtree itself
+        let parent = this._root;
+        for (const path_component of path_split.slice(0, -1)) {
+            parent = parent.getOrCreateChild(path_component);
+        }
+        const name = path_split[path_split.length - 1];
+        parent.removeChild(name);
+        return OSCNode.deserialize(json, name, parent);
+    }
+
+    /**
+     * Find a node in the local tree
+     *
+     * @param {string} path - OSC path (e.g., "/avatar/parameters/VRCEmote")
+     * @returns {OSCNode|null} The node, or null if unknown or nothing was fetched yet
+     */
+    getNode(path) {
+        let node = this._root;
+        for (const path_component of path.split("/").filter(p => p !== "")) {
+            if (!node || !node.hasChild(path_component)) return null;
+            node = node.getChild(path_component);
+        }
+        return node;
+    }
+
+    /**
+     * Read the current value of a remote parameter
+     *
+     * Always asks the service, so the result is fresh even if the local tree
+     * is old. The local tree is updated with the returned values as they are:
+     * the service is the authority on its values, so they aren't checked
+     * against TYPE or RANGE, and null (unset) leaves the argument without value.
+     *
+     * @param {string} path - OSC path of the parameter
+     * @returns {Promise<Array|null>} VALUE array, or null if the parameter has no readable value
+     */
+    async getValue(path) {
+        await this.resolve();
+        const path_split = path.split("/").filter(p => p !== "");
+        const url = `${this._baseUrl}/${path_split.map(encodeURIComponent).join("/")}?VALUE`;
+        const json = await getJson(url, this._opts.requestTimeout ?? 3000);
+        const values = json ? json.VALUE ?? null : null;
+
+        // Keep the local copy in sync
+        const node = this.getNode(path);
+        if (node && Array.isArray(values)) {
+            node.getArguments().forEach((arg, i) => {
+                if (values[i] === null || values[i] === undefined) {
+                    delete arg.value;
+                } else {
+                    arg.value = values[i];
+                }
+            });
+        }
+
+        return values;
+    }
+
+    /**
+     * Get the argument types of a parameter from the local tree
+     *
+     * @param {string} path - OSC path of the parameter
+     * @returns {Array|null} One OSCTypeSimple code (or array of codes) per argument
+     */
+    getType(path) {
+        const node = this.getNode(path);
+        if (!node || node.getArguments().length === 0) return null;
+        return node.getArguments().map(arg => arg.type);
+    }
+
+    /**
+     * Get the range constraints of a parameter from the local tree
+     *
+     * @param {string} path - OSC path of the parameter
+     * @returns {Array|null} One { min, max, vals } object (or null) per argument
+     */
+    getRange(path) {
+        const node = this.getNode(path);
+        if (!node || node.getArguments().length === 0) return null;
+        return node.getArguments().map(arg => arg.range ?? null);
+    }
+
+    /**
+     * Get the access flags of a node from the local tree
+     *
+     * @param {string} path - OSC path of the node
+     * @returns {number|null} OSCQAccess value, or null if unknown
+     */
+    getAccess(path) {
+        const node = this.getNode(path);
+        return node && node.access !== undefined ? node.access : null;
+    }
+}
+
+// ============================================================================
+// Module Exports
+// ============================================================================
+
+module.exports = {
+    OSCQueryClient, // Remote OSC Query service reader
+};
@@ -7,10 +7,18 @@
  * 
  * Key Features:
  * - HTTP server for OSC Query API endpoints
- * - mDNS service advertisement for automatic discovery
+ * - mDNS advertisement of both the OSC Query (_oscjson._tcp) and OSC (_osc._udp) services
  * - JSON serialization of OSC parameter trees
  * - Support for OSC Query extensions and host info
- * - Automatic port finding to avoid conflicts
+ * - LISTEN extension: live value streaming over WebSocket
+ * - PATH_ADDED/REMOVED/RENAMED/CHANGED notifications when the tree changes
+ * - Opt-in HTTP writes (PUT/POST {"VALUE": [...]}), optionally forwarded as OSC
+ * - Client IP/subnet allowlist, bearer token for writes and origin allowlist with CORS
+ * - HEAD, OPTIONS (CORS preflight), ETags for conditional GETs and gzip for large trees
+ * - Optional built-in web explorer (lib/explorer.html) with live values and write controls
+ * - Namespace export/import as OSC Query JSON (merge or replace)
+ * - Automatic port finding with retries to avoid conflicts, IPv4 and IPv6 binding
+ * - OSC_IP reported as the address the client reached us on
  * 
  * Usage in other projects:
  * const { OSCQueryServer } = require('./OSCQueryServer');
@@ -20,9 +28,19 @@
 
 // Required Node.js modules for HTTP and network functionality
 const http = require('http');              // HTTP server implementation
+const os = require('os');                  // Network interfaces for the reachable OSC address
+const fs = require('fs');                  // Reading the embedded explorer page
+const path = require('path');              // Locating the embedded explorer page
+const dgram = require('dgram');            // UDP socket for forwarding HTTP writes as OSC
+const zlib = require('zlib');              // gzip for large responses
+const crypto = require('crypto');          // ETag hashes
 const { Bonjour } = require('bonjour-service');  // mDNS service discovery/advertisement
 const portfinder = require('portfinder');         // Automatic available port detection
-const { OSCNode, OSCQAccess } = require('./OSCNode'); // OSC node tree structure
+const { WebSocketServer } = require('ws');        // WebSocket server for the LISTEN extension
+const { OSCNode, OSCQAccess, OSCValueError, OSCWriteHandlerError } = require('./OSCNode'); // OSC node tree structure
+const { encodeMessage } = require('./OSCCodec');  // Binary OSC encoding for streamed values
+const { HTTPSecurity } = require('./HTTPSecurity'); // Client, token and origin restrictions
+const { Logger, LOG_SUBSYSTEMS } = require('./Logger'); // Silent default logger
 
 // ============================================================================
 // OSC Query Protocol Constants
@@ -42,6 +60,11 @@ const EXTENSIONS = {
     TAGS: true,         // Supports metadata tags
     CRITICAL: true,     // Supports critical parameter flags
     CLIPMODE: true,     // Supports value clipping modes
+    LISTEN: true,       // Supports streaming value changes over WebSocket
+    PATH_CHANGED: true, // Notifies WebSocket clients when a node's attributes change
+    PATH_RENAMED: true, // Notifies WebSocket clients when a node is moved
+    PATH_ADDED: true,   // Notifies WebSocket clients when nodes are added
+    PATH_REMOVED: true, // Notifies WebSocket clients when nodes are removed
 };
 
 /**
@@ -86,6 +109,224 @@ function respondJson(json, res) {
     res.write(JSON.stringify(json));
     res.end();
 }
+
+/**
+ * Largest request body accepted for HTTP writes, in bytes
+ */
+const MAX_WRITE_BODY = 64 * 1024;
+
+/**
+ * Responses at least this large are gzipped for clients that accept it, in bytes
+ */
+const GZIP_THRESHOLD = 4 * 1024;
+
+/**
+ * Add a value to a response's Vary header without dropping earlier ones
+ * 
+ * @param {http.ServerResponse} res - HTTP response object
+ * @param {string} field - Request header the response depends on
+ */
+function addVary(res, field) {
+    const vary = res.getHeader("Vary");
+    res.setHeader("Vary", vary ? `${vary}, ${field}` : field);
+}
+
+/**
+ * Send a cacheable JSON response to a GET or HEAD request
+ * 
+ * Adds a weak ETag (hash of the JSON, the same with or without gzip) and
+ * answers 304 Not Modified if the client's
+ * If-None-Match matches it. Large bodies are gzipped if the client accepts gzip.
+ * HEAD requests get the same headers without a body.
+ * 
+ * @param {Object} json - JavaScript object to serialize as JSON
+ * @param {http.IncomingMessage} req - HTTP request object
+ * @param {http.ServerResponse} res - HTTP response object
+ */
+function respondCachedJson(json, req, res) {
+    const body = Buffer.from(JSON.stringify(json));
+    const etag = `W/"${crypto.createHash("sha1").update(body).digest("base64url")}"`;
+    res.setHeader("ETag", etag);
+    res.setHeader("Cache-Control", "no-cache"); // Clients may cache, but must revalidate
+
+    // Weak comparison: W/"x" and "x" match
+    const if_none_match = req.headers["if-none-match"];
+    const matches = if_none_match !== undefined && (if_none_match.trim() === "*"
+        || if_none_match.split(",").some(tag => tag.trim().replace(/^W\//, "") === etag.substring(2)));
+    if (matches) {
+        res.statusCode = 304; // Not Modified
+        return res.end();
+    }
+
+    let payload = body;
+    addVary(res, "Accept-Encoding");
+    if (body.length >= GZIP_THRESHOLD && /\bgzip\b/.test(req.headers["accept-encoding"] || "")) {
+        payload = zlib.gzipSync(body);
+        res.setHeader("Content-Encoding", "gzip");
+    }
+    res.setHeader("Content-Type", "application/json");
+    res.setHeader("Content-Length", payload.length);
+    res.end(req.method == "HEAD" ? undefined : payload);
+}
+
+/**
+ * The embedded explorer page, read on first use
+ * @type {Buffer|null}
+ */
+let explorerPage = null;
+
+/**
+ * Send the embedded explorer page
+ * 
+ * The Content-Security-Policy keeps the page from loading anything that
+ * isn't served by this server.
+ * 
+ * @param {http.IncomingMessage} req - HTTP request object
+ * @param {http.ServerResponse} res - HTTP response object
+ */
+function respondExplorer(req, res) {
+    if (!explorerPage) {
+        explorerPage = fs.readFileSync(path.join(__dirname, "explorer.html"));
+    }
+    res.setHeader("Content-Type", "text/html; charset=utf-8");
+    res.setHeader("Content-Security-Policy",
+        "default-src 'none'; script-src 'unsafe-inline'; style-src 'unsafe-inline'; connect-src 'self' ws: wss:");
+    res.setHeader("Content-Length", explorerPage.length);
+    res.end(req.method == "HEAD" ? undefined : explorerPage);
+}
+
+/**
+ * Parse the query string of an OSC Query request into attribute names
+ * 
+ * OSC Query puts a bare attribute name after the "?" (e.g. "?VALUE"). Several
+ * attributes can be combined with "&", and "=..." suffixes are ignored.
+ * 
+ * @param {URL} url - Parsed URL object
+ * @returns {Array<string>} Requested attributes (empty for the whole node)
+ * @throws {URIError} If the query string has a malformed escape (e.g. "?%E0")
+ */
+function parseAttributes(url) {
+    if (url.search.length <= 1) return [];
+    return url.search.substring(1).split("&")
+        .map(part => decodeURIComponent(part.split("=")[0]))
+        .filter(part => part !== "");
+}
+
+/**
+ * Send a JSON error response to HTTP client
+ * 
+ * @param {number} statusCode - HTTP status code
+ * @param {string} message - Human-readable error message
+ * @param {http.ServerResponse} res - HTTP response object
+ * @param {Object} [details] - Extra fields for the response body (e.g. { CODE, ARG_INDEX })
+ */
+function respondError(statusCode, message, res, details = {}) {
+    res.statusCode = statusCode;
+    respondJson({ ERROR: message, ...details }, res);
+}
+
+/**
+ * Read the body of an HTTP request
+ * 
+ * @param {http.IncomingMessage} req - HTTP request object
+ * @param {number} limit - Maximum body size in bytes
+ * @returns {Promise<string>} The body as UTF-8 text
+ * @throws {Error} With statusCode 413 if the body is larger than the limit
+ */
+function readBody(req, limit) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let size = 0;
+        req.on('data', chunk => {
+            size += chunk.length;
+            if (size > limit) {
+                const error = new Error(`Request body larger than ${limit} bytes`);
+                error.statusCode = 413;
+                req.removeAllListeners('data');
+                req.resume(); // Drain the rest so the connection can be reused
+                reject(error);
+                return;
+            }
+            chunks.push(chunk);
+        });
+        req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')));
+        req.on('error', reject);
+    });
+}
+
+/**
+ * Append a node name to a normalized OSC path
+ * 
+ * @param {string} path - Normalized parent path ("/" for the root)
+ * @param {string} name - Child node name
+ * @returns {string} Normalized child path
+ */
+function joinPath(path, name) {
+    return path === "/" ? "/" + name : path + "/" + name;
+}
+
+/**
+ * Check whether an address binds to all interfaces
+ *
+ * @param {string} [address] - Bind address
+ * @returns {boolean} True for "0.0.0.0", "::" and no address
+ */
+function isWildcardAddress(address) {
+    return !address || address === "0.0.0.0" || address === "::";
+}
+
+/**
+ * Get the address a client reached us on
+ *
+ * @param {net.Socket} socket - Socket of the client connection
+ * @returns {string} Local address of the connection (IPv4-mapped addresses as plain IPv4)
+ */
+function localAddressOf(socket) {
+    return (socket.localAddress || "127.0.0.1").replace(/^::ffff:/, "");
+}
+
+/**
+ * Pick an address other machines on the network can reach us on
+ *
+ * @returns {string} First external IPv4 address, or "127.0.0.1" if there is none
+ */
+function defaultReachableAddress() {
+    for (const addresses of Object.values(os.networkInterfaces())) {
+        const external = (addresses || []).find(a => a.family === "IPv4" && !a.internal);
+        if (external) return external.address;
+    }
+    return "127.0.0.1";
+}
+
+/**
+ * Normalize an OSC path to the "/a/b/c" form used in notifications
+ * 
+ * Removes duplicate and trailing slashes so that "avatar//parameters/" and
+ * "/avatar/parameters" refer to the same node.
+ * 
+ * @param {string} path - OSC path as given by the caller
+ * @returns {string} Normalized path ("/" for the root)
+ */
+function normalizePath(path) {
+    return "/" + path.split("/").filter(p => p !== "").join("/");
+}
+
+/**
+ * Merge imported argument definitions into a node's existing ones
+ * 
+ * Arguments are merged one by one: RANGE, CLIPMODE and VALUE the import doesn't
+ * define are kept, as long as the argument's type stays the same.
+ * 
+ * @param {Array<Object>} existing - Current argument definitions (empty for a new node)
+ * @param {Array<Object>} imported - Deserialized argument definitions
+ * @returns {Array<Object>} New argument definitions, one per imported argument
+ */
+function mergeArguments(existing, imported) {
+    return imported.map((arg, i) => {
+        const previous = existing[i] && existing[i].type === arg.type ? existing[i] : {};
+        return { ...previous, ...arg };
+    });
+}
 // ============================================================================
 // OSCQueryServer Class - Main server implementation
 // ============================================================================
@@ -124,20 +365,48 @@ class OSCQueryServer {
      * Create a new OSC Query server
      * 
      * @param {Object} opts - Configuration options
-     * @param {number} [opts.httpPort] - HTTP port (auto-detected if not specified)
-     * @param {number} [opts.oscPort] - OSC UDP port for actual OSC communication
-     * @param {string} [opts.bindAddress='0.0.0.0'] - Network interface to bind to
+     * @param {number} [opts.httpPort] - HTTP port (a free port is found if not specified)
+     * @param {number} [opts.oscPort] - OSC UDP port for actual OSC communication (see also setOscPort())
+     * @param {string} [opts.bindAddress='0.0.0.0'] - Network interface to bind to ("127.0.0.1" for
+     *   loopback only, "::" for IPv6 and IPv4)
+     * @param {number} [opts.portRetries=10] - How many other ports to try if the found HTTP port
+     *   is taken before we can bind it (not used for a fixed httpPort)
      * @param {string} [opts.oscQueryHostName] - Host name for OSC Query identification
      * @param {string} [opts.serviceName] - Service name for mDNS advertisement
      * @param {string} [opts.rootDescription] - Description for the root node
-     * @param {string} [opts.oscIp] - IP address for OSC communication
+     * @param {string} [opts.oscIp] - IP address clients should send OSC to (defaults to the
+     *   address each client reached the HTTP server on)
      * @param {string} [opts.oscTransport='UDP'] - OSC transport protocol
+     * @param {boolean} [opts.httpWrites=false] - Accept PUT/POST {"VALUE": [...]} to change values over HTTP
+     * @param {{host: string, port: number}|function(string, Array): (Promise|void)} [opts.writeForward] -
+     *   Forward accepted HTTP writes as OSC: either a UDP target, or a function called with
+     *   the path and typed arguments ({ type, value })
+     * @param {Array<string>} [opts.allowedClients] - Client IPs/subnets that may connect (e.g. ["127.0.0.1", "192.168.1.0/24"]),
+     *   everyone if unset
+     * @param {string} [opts.authToken] - Bearer token required for writes (reads never need it, so VRChat keeps working)
+     * @param {Array<string>|string} [opts.allowedOrigins] - Browser origins that may read and write, with CORS
+     *   headers ("*" for any). If unset, other origins may read but not write.
+     * @param {boolean} [opts.explorer=false] - Serve a web explorer at /?EXPLORER (and at / for browsers)
+     * @param {Object} [opts.logger] - Logger with trace/debug/info/warn/error(message, fields) methods,
+     *   e.g. new Logger({ logger: console }).child('http'). Silent if unset.
+     * @throws {Error} If an allowedClients entry is not a valid address or subnet
      */
     constructor(opts = {}) {
         this._opts = opts;                                    // Store configuration options
+        this._fixedHttpPort = Boolean(opts.httpPort);         // Whether the HTTP port was given, or is ours to pick
         this._server = http.createServer(this._httpHandler.bind(this)); // Create HTTP server
-        this._bonjour = new Bonjour();                       // mDNS service manager
-        this._bonjourService = null;                         // Active mDNS service instance
+        this._bonjour = null;                                // mDNS service manager, created by start()
+        this._bonjourService = null;                         // Active mDNS service instance (_oscjson._tcp)
+        this._bonjourOscService = null;                      // Active mDNS service instance (_osc._udp)
+        this._forwardSocket = null;                          // UDP socket for opts.writeForward targets, created on first use
+        this._security = new HTTPSecurity(opts);             // Client, token and origin restrictions
+        this._log = opts.logger || new Logger().child(LOG_SUBSYSTEMS.HTTP); // Request, write and LISTEN logging
+
+        // WebSocket server for the LISTEN extension - shares the HTTP port via upgrade requests
+        this._wss = new WebSocketServer({ noServer: true });
+        this._wsListeners = new Map();                       // WebSocket -> Set of listened OSC paths
+        this._server.on('upgrade', this._upgradeHandler.bind(this));
+        this._wss.on('connection', this._wsConnectionHandler.bind(this));
         
         // Create root node of the OSC parameter tree
         this._root = new OSCNode("");
@@ -150,28 +419,200 @@ class OSCQueryServer {
     /**
      * Main HTTP request handler
      * 
-     * Routes all incoming HTTP requests. Currently only supports GET requests
-     * as per the OSC Query specification.
+     * Routes all incoming HTTP requests. GET and HEAD requests are answered as per the
+     * OSC Query specification, OPTIONS answers CORS preflights, PUT and POST are
+     * writes (see _handleWrite). Other methods get 405 Method Not Allowed.
      * 
      * @param {http.IncomingMessage} req - HTTP request object
      * @param {http.ServerResponse} res - HTTP response object
      * @private
      */
     _httpHandler(req, res) {
-        // OSC Query only supports GET requests
-        if (req.method != "GET") {
-            res.statusCode = 400; // Bad Request
-            res.end();
-            return;
+        // Preflights ask on behalf of the method that will follow
+        const method = req.method == "OPTIONS"
+            ? (req.headers["access-control-request-method"] || "GET").toUpperCase()
+            : req.method;
+        const mutating = method == "PUT" || method == "POST";
+        const client = req.socket.remoteAddress;
+        this._log.debug("HTTP request", { method: req.method, url: req.url, client });
+
+        // Apply the client, origin and token restrictions (see HTTPSecurity)
+        if (!this._security.isClientAllowed(client)) {
+            this._log.info("Refused HTTP client", { client });
+            res.statusCode = 403; // Forbidden - tell unknown clients nothing else
+            return res.end();
+        }
+        if (!this._security.isOriginAllowed(req, mutating)) {
+            this._log.info("Refused HTTP origin", { client, origin: req.headers.origin });
+            return respondError(403, "Origin not allowed", res);
+        }
+        this._security.setCorsHeaders(req, res, mutating);
+        if (req.method == "OPTIONS") {
+            return this._handleOptions(req, res);
+        }
+        if (mutating && !this._security.isAuthorized(req)) {
+            this._log.warn("Refused HTTP write without valid token", { client, url: req.url });
+            res.setHeader("WWW-Authenticate", 'Bearer realm="OSCQuery"');
+            return respondError(401, "Missing or wrong bearer token", res);
         }
 
         // Parse the requested URL
         const url = new URL(req.url, `http://${req.headers.host}`);
-        return this._handleGet(url, res);
+
+        if (mutating) {
+            return this._handleWrite(req, url, res);
+        }
+        if (req.method != "GET" && req.method != "HEAD") {
+            res.setHeader("Allow", this._allowedMethods().join(", "));
+            res.statusCode = 405; // Method Not Allowed
+            return res.end();
+        }
+
+        return this._handleGet(req, url, res);
+    }
+
+    /**
+     * HTTP methods this server answers
+     * 
+     * @returns {Array<string>} Method names (PUT and POST only with opts.httpWrites)
+     * @private
+     */
+    _allowedMethods() {
+        const methods = ["GET", "HEAD", "OPTIONS"];
+        if (this._opts.httpWrites) {
+            methods.push("PUT", "POST");
+        }
+        return methods;
+    }
+
+    /**
+     * Handle HTTP OPTIONS requests, including CORS preflights
+     * 
+     * The origin was already checked by _httpHandler, and the CORS origin header set.
+     * 
+     * @param {http.IncomingMessage} req - HTTP request object
+     * @param {http.ServerResponse} res - HTTP response object
+     * @private
+     */
+    _handleOptions(req, res) {
+        const methods = this._allowedMethods().join(", ");
+        res.setHeader("Allow", methods);
+        if (req.headers.origin && req.headers["access-control-request-method"]) {
+            res.setHeader("Access-Control-Allow-Methods", methods);
+            res.setHeader("Access-Control-Allow-Headers", req.headers["access-control-request-headers"] || "Authorization, Content-Type");
+            res.setHeader("Access-Control-Max-Age", "600");
+        }
+        res.statusCode = 204; // No Content
+        res.end();
+    }
+
+    /**
+     * Handle HTTP PUT/POST requests that change a parameter's value
+     * 
+     * Expects a JSON body of the form {"VALUE": [...]} with one value per argument.
+     * The write goes through the same checks as incoming OSC (OSCNode.write: access,
+     * type, range and clip mode, then onWrite), is stored with setValue, pushed to
+     * LISTEN clients and forwarded as OSC if opts.writeForward is set.
+     * 
+     * Responses:
+     * - 200 {"VALUE": [...]} - The stored values (after clamping)
+     * - 400 - Body is not JSON, has no VALUE array, or the wrong number of values
+     * - 403 - The parameter is read-only
+     * - 404 - No parameter at this path
+     * - 405 - HTTP writes are disabled (opts.httpWrites)
+     * - 413 - Body too large
+     * - 422 - A value doesn't fit the parameter's type or range
+     * - 502 - The value was stored but forwarding it as OSC failed
+     * 
+     * @param {http.IncomingMessage} req - HTTP request object
+     * @param {URL} url - Parsed URL object
+     * @param {http.ServerResponse} res - HTTP response object
+     * @private
+     */
+    async _handleWrite(req, url, res) {
+        if (!this._opts.httpWrites) {
+            res.setHeader("Allow", this._allowedMethods().join(", "));
+            return respondError(405, "HTTP writes are disabled", res);
+        }
+
+        const path = normalizePath(url.pathname);
+        const node = this._getNodeForPath(path);
+        if (!node || node.getArguments().length === 0) {
+            return respondError(404, `No parameter at ${path}`, res);
+        }
+        if (!node.isWritable()) {
+            return respondError(403, `${path} is read-only`, res, { CODE: "READ_ONLY" });
+        }
+
+        // Parse and validate the request body
+        let body;
+        try {
+            body = JSON.parse(await readBody(req, MAX_WRITE_BODY));
+        } catch (error) {
+            return respondError(error.statusCode || 400, error.statusCode ? error.message : "Body must be JSON", res);
+        }
+        const args = node.getArguments();
+        if (!body || !Array.isArray(body.VALUE)) {
+            return respondError(400, 'Body must be of the form {"VALUE": [...]}', res);
+        }
+        if (!node.acceptsValueCount(body.VALUE.length)) {
+            return respondError(400, `${path} takes ${args.length} value(s), got ${body.VALUE.length}`, res);
+        }
+
+        // Check and apply the write
+        let accepted;
+        try {
+            accepted = node.write(body.VALUE, { path, source: "http" });
+        } catch (error) {
+            if (error instanceof OSCValueError) {
+                const statusCode = error.code === "READ_ONLY" ? 403 : 422;
+                return respondError(statusCode, error.message, res, { CODE: error.code, ARG_INDEX: error.argIndex });
+            }
+            return respondError(500, error.message, res);
+        }
+        accepted.forEach((value, i) => node.setValue(i, value));
+        this._broadcastValue(path, node);
+        this._log.info("HTTP write", { address: path, values: accepted, client: req.socket.remoteAddress });
+
+        // Pass the change on to the OSC target
+        if (this._opts.writeForward) {
+            try {
+                await this._forwardWrite(path, accepted.map((value, i) => ({ type: args[i].type, value })));
+            } catch (error) {
+                this._log.warn(`Forwarding HTTP write as OSC failed: ${error.message}`, { address: path });
+                return respondError(502, `Stored, but forwarding as OSC failed: ${error.message}`, res, { VALUE: accepted });
+            }
+        }
+
+        return respondJson({ VALUE: accepted }, res);
     }
 
     /**
-     * Handle HTTP GET requests for OSC Query endpoints
+     * Forward an accepted HTTP write as OSC (see opts.writeForward)
+     * 
+     * @param {string} path - OSC address path
+     * @param {Array<{type: string, value: *}>} args - Typed arguments
+     * @returns {Promise} Resolves when the message has been handed to the network
+     * @private
+     */
+    async _forwardWrite(path, args) {
+        const target = this._opts.writeForward;
+        if (typeof target === "function") {
+            return target(path, args);
+        }
+
+        if (!this._forwardSocket) {
+            this._forwardSocket = dgram.createSocket('udp4');
+            this._forwardSocket.on('error', () => {}); // Send errors are reported through the callback
+        }
+        const packet = encodeMessage(path, args);
+        return new Promise((resolve, reject) => {
+            this._forwardSocket.send(packet, target.port, target.host, err => err ? reject(err) : resolve());
+        });
+    }
+
+    /**
+     * Handle HTTP GET and HEAD requests for OSC Query endpoints
      * 
      * Processes GET requests by:
      * 1. Parsing the URL path to find the requested OSC node
@@ -181,35 +622,63 @@ class OSCQueryServer {
      * URL Structure:
      * - Path maps to OSC address: /avatar/parameters/VRCEmote
      * - Query parameter specifies what to return: ?VALUE, ?DESCRIPTION, etc.
+     *   Several attributes can be combined: ?TYPE&RANGE
      * - No query parameter returns complete node information
      * 
+     * With opts.explorer, ?EXPLORER and browser requests for the root (Accept: text/html)
+     * get the web explorer instead.
+     * 
+     * Status codes, as per the OSC Query specification:
+     * - 404 - No node at this path
+     * - 400 - Unknown attribute (or HOST_INFO combined with others), or a malformed query string
+     * - 204 - The node has none of the requested attributes, or VALUE was
+     *   requested for a node that isn't readable
+     * - 304 - The client's If-None-Match matches the current ETag
+     * 
+     * @param {http.IncomingMessage} req - HTTP request object
      * @param {URL} url - Parsed URL object
      * @param {http.ServerResponse} res - HTTP response object
      * @private
      */
-    _handleGet(url, res) {
-        // Extract query parameter (everything after ?)
-        const query = (url.search.length > 0) ? url.search.substring(1) : null;
+    _handleGet(req, url, res) {
+        let attributes;
+        try {
+            attributes = parseAttributes(url);
+        } catch (error) {
+            return respondError(400, "Malformed query string", res);
+        }
         
         // Split URL path into components, removing empty segments
         const path_split = url.pathname.split("/").filter(p => p !== "");
 
-        // Validate query parameter if present
-        if (query && !VALID_ATTRIBUTES.includes(query)) {
+        // Serve the explorer for ?EXPLORER, and for browsers opening the root.
+        // VRChat and other OSC Query clients don't ask for HTML, so they still get JSON.
+        if (this._opts.explorer) {
+            if (path_split.length === 0) addVary(res, "Accept");
+            const wantsHtml = /\btext\/html\b/.test(req.headers.accept || "");
+            if ((attributes.length === 1 && attributes[0] == "EXPLORER")
+                || (attributes.length === 0 && path_split.length === 0 && wantsHtml)) {
+                return respondExplorer(req, res);
+            }
+        }
+
+        // Validate query parameters if present
+        if (attributes.some(attribute => !VALID_ATTRIBUTES.includes(attribute))
+            || (attributes.includes("HOST_INFO") && attributes.length > 1)) {
             res.statusCode = 400; // Bad Request
             return res.end();
         }
 
         // Handle special HOST_INFO query
-        if (query == "HOST_INFO") {
+        if (attributes[0] == "HOST_INFO") {
             const hostInfo = {
                 NAME: this._opts.oscQueryHostName,                    // Service name
                 EXTENSIONS,                                           // Supported features
-                OSC_IP: this._opts.oscIp || this._opts.bindAddress || "0.0.0.0", // OSC IP
-                OSC_PORT: this._opts.oscPort || this._opts.httpPort,             // OSC port
+                OSC_IP: this._opts.oscIp || localAddressOf(req.socket), // Address this client can reach
+                OSC_PORT: this._opts.oscPort || this._opts.httpPort,    // OSC port
                 OSC_TRANSPORT: this._opts.oscTransport || "UDP",      // OSC protocol
             };
-            return respondJson(hostInfo, res);
+            return respondCachedJson(hostInfo, req, res);
         }
 
         // Navigate to the requested node in the tree
@@ -223,34 +692,173 @@ class OSCQueryServer {
             }
         }
 
-        // Return the requested information
-        if (!query) {
-            // No query parameter - return complete node information
-            return respondJson(node.serialize(), res);
-        } else {
-            // Specific query parameter - return only that attribute
-            const serialized = node.serialize();
-            const access = serialized.ACCESS;
-            
-            // Check access permissions for VALUE queries
-            if (access !== undefined) {
-                if ((access == 0 || access == 2) && query == "VALUE") {
-                    // Parameter has no value or is write-only
-                    res.statusCode = 204; // No Content
-                    return res.end();
-                }
+        // No query parameter - return complete node information
+        const serialized = node.serialize();
+        if (attributes.length === 0) {
+            return respondCachedJson(serialized, req, res);
+        }
+
+        // Specific query parameters - return only those attributes the node has.
+        // serialize() leaves VALUE out for nodes that aren't readable.
+        const result = {};
+        for (const attribute of attributes) {
+            if (serialized[attribute] !== undefined) {
+                result[attribute] = serialized[attribute];
             }
-            
-            // Return the requested attribute
-            return respondJson({
-                [query]: serialized[query],
-            }, res);
         }
+        if (Object.keys(result).length === 0) {
+            res.statusCode = 204; // No Content
+            return res.end();
+        }
+        return respondCachedJson(result, req, res);
     }
 
+    // ========================================================================
+    // LISTEN Extension - WebSocket value streaming
+    // ========================================================================
+
     /**
-     * Find a node in the tree by OSC path
+     * Handle HTTP upgrade requests and hand them to the WebSocket server
+     *
+     * OSC Query clients open their WebSocket on the same host and port as the
+     * HTTP API, so upgrades are accepted on any path.
+     *
+     * @param {http.IncomingMessage} req - HTTP upgrade request
+     * @param {net.Socket} socket - Underlying network socket
+     * @param {Buffer} head - First packet of the upgraded stream
+     * @private
+     */
+    _upgradeHandler(req, socket, head) {
+        // LISTEN only reads values, so no token is needed - but client and origin must be allowed
+        if (!this._security.isClientAllowed(req.socket.remoteAddress) || !this._security.isOriginAllowed(req, false)) {
+            this._log.info("Refused LISTEN connection", { client: req.socket.remoteAddress, origin: req.headers.origin });
+            socket.end("HTTP/1.1 403 Forbidden\r\nConnection: close\r\n\r\n");
+            return;
+        }
+        this._wss.handleUpgrade(req, socket, head, ws => {
+            this._wss.emit('connection', ws, req);
+        });
+    }
+
+    /**
+     * Set up a newly connected WebSocket client
+     *
+     * Each client starts out listening to nothing. It sends LISTEN and IGNORE
+     * commands to choose which paths it wants value updates for.
+     *
+     * @param {WebSocket} ws - Connected WebSocket client
+     * @param {http.IncomingMessage} [req] - Upgrade request of the client
+     * @private
+     */
+    _wsConnectionHandler(ws, req) {
+        const client = req ? req.socket.remoteAddress : undefined;
+        this._wsListeners.set(ws, new Set());
+        this._log.debug("LISTEN client connected", { client });
+
+        ws.on('message', (data, isBinary) => {
+            // Commands are JSON text frames, binary frames are not part of the protocol here
+            if (!isBinary) {
+                this._handleWsCommand(ws, data.toString());
+            }
+        });
+
+        ws.on('close', () => {
+            this._wsListeners.delete(ws);
+            this._log.debug("LISTEN client disconnected", { client });
+        });
+
+        ws.on('error', () => {
+            // Connection errors end in a close event, which does the cleanup
+        });
+    }
+
+    /**
+     * Process a command sent by a WebSocket client
+     *
+     * Supported commands (as defined by the OSC Query LISTEN extension):
+     * - {"COMMAND": "LISTEN", "DATA": "/path"} - start receiving value updates for a path
+     * - {"COMMAND": "IGNORE", "DATA": "/path"} - stop receiving value updates for a path
+     *
+     * Malformed or unknown commands are ignored.
+     *
+     * @param {WebSocket} ws - Client that sent the command
+     * @param {string} text - Raw JSON command text
+     * @private
+     */
+    _handleWsCommand(ws, text) {
+        let command;
+        try {
+            command = JSON.parse(text);
+        } catch (error) {
+            return; // Not JSON - nothing we can act on
+        }
+
+        const listened = this._wsListeners.get(ws);
+        if (!listened || !command || typeof command.DATA !== "string") return;
+
+        if (command.COMMAND == "LISTEN") {
+            listened.add(command.DATA);
+        } else if (command.COMMAND == "IGNORE") {
+            listened.delete(command.DATA);
+        }
+    }
+
+    /**
+     * Push the current value of a node to every client listening to its path
+     *
+     * Values are sent as binary OSC messages. Nothing is sent until every
+     * argument of the node has a value, since a partial message would not
+     * match the node's TYPE. Values of nodes that aren't readable are never
+     * sent, the same as HTTP ?VALUE answers 204 for them.
+     *
+     * @param {string} path - OSC path of the node
+     * @param {OSCNode} node - Node whose value changed
+     * @private
+     */
+    _broadcastValue(path, node) {
+        if (this._wsListeners.size === 0) return;
+
+        const full_path = normalizePath(path);
+        const args = node.getArguments();
+        if (!node.isReadable() || args.length === 0 || args.some(arg => arg.value === undefined)) return;
+
+        let packet = null;
+        for (const [ws, listened] of this._wsListeners) {
+            if (!listened.has(full_path) || ws.readyState !== ws.OPEN) continue;
+
+            // Encode lazily so paths nobody listens to cost nothing
+            if (!packet) {
+                packet = encodeMessage(full_path, args.map(arg => ({ type: arg.type, value: arg.value })));
+            }
+            ws.send(packet, { binary: true });
+        }
+    }
+
+    /**
+     * Send a JSON command to every connected WebSocket client
+     * 
+     * Used for the namespace notifications (PATH_ADDED, PATH_REMOVED,
+     * PATH_RENAMED, PATH_CHANGED). Any connected client is considered
+     * subscribed to these, no LISTEN command is needed.
      * 
+     * @param {string} command - Command name (e.g., "PATH_ADDED")
+     * @param {string|Object} data - Command payload
+     * @private
+     */
+    _broadcastCommand(command, data) {
+        if (this._wsListeners.size === 0) return;
+
+        const message = JSON.stringify({ COMMAND: command, DATA: data });
+        for (const ws of this._wsListeners.keys()) {
+            if (ws.readyState === ws.OPEN) {
+                ws.send(message);
+            }
+        }
+    }
+
+    /**
+     * Find a node in the tree by OSC path
+     *
      * Helper method to navigate the OSC parameter tree and find a specific node
      * based on its OSC address path.
      * 
@@ -280,23 +888,27 @@ class OSCQueryServer {
      * Start the OSC Query server and begin accepting connections
      * 
      * This method:
-     * 1. Finds an available HTTP port (if not specified)
-     * 2. Starts the HTTP server
-     * 3. Advertises the service via mDNS for automatic discovery
-     * 4. Returns server information for client use
+     * 1. Finds an available HTTP port (if not specified) and binds it, trying
+     *    other ports if it was taken in the meantime
+     * 2. Advertises the OSC Query and OSC services via mDNS for automatic discovery
+     * 3. Returns server information for client use
+     * 
+     * The server can be started again after stop().
      * 
      * @returns {Promise<Object>} Server information object
+     * @throws {Error} If the server is already running, or the HTTP port can't be bound
+     *   (e.g. a fixed httpPort is in use)
      */
     async start() {
-        // Find an available port if none specified
-        if (!this._opts.httpPort) {
-            this._opts.httpPort = await portfinder.getPortAsync();
+        if (this._server.listening || this._bonjour) {
+            throw new Error("OSC Query server is already running");
         }
 
         // Start HTTP server and wait for it to be ready
-        const httpListenPromise = new Promise(resolve => {
-            this._server.listen(this._opts.httpPort, this._opts.bindAddress || "0.0.0.0", resolve);
-        });
+        await this._listen();
+
+        // A fresh mDNS instance per start - stop() destroys the previous one
+        this._bonjour = new Bonjour();
 
         const serviceName = this._opts.serviceName || "OSCQuery";
 
@@ -306,43 +918,138 @@ class OSCQueryServer {
             name: serviceName,          // Human-readable service name
             type: 'oscjson',           // OSC Query service type
             port: this._opts.httpPort, // HTTP port where we're listening
-            protocol: 'tcp'            // OSC Query uses TCP for HTTP
+            protocol: 'tcp',           // OSC Query uses TCP for HTTP
+            txt: { txtvers: 1 },       // TXT record version, as recommended for DNS-SD
         });
 
-        // Wait for HTTP server to start
-        await httpListenPromise;
+        // Advertise the matching OSC service under the same name so clients
+        // (VRChat included) know where to send OSC messages
+        if (this._opts.oscPort) {
+            this._bonjourOscService = this._bonjour.publish({
+                name: serviceName,                                          // Same name as the OSC Query service
+                type: 'osc',                                                // OSC service type
+                port: this._opts.oscPort,                                   // Port where we receive OSC
+                protocol: (this._opts.oscTransport || "UDP").toLowerCase(), // _osc._udp (or _osc._tcp)
+                txt: { txtvers: 1 },
+            });
+        }
 
         // Return server information that clients can use
         return {
             name: this._opts.oscQueryHostName,
             extensions: EXTENSIONS,
-            oscIp: this._opts.oscIp || this._opts.bindAddress || "0.0.0.0",
+            httpPort: this._opts.httpPort,
+            oscIp: this._opts.oscIp
+                || (isWildcardAddress(this._opts.bindAddress) ? defaultReachableAddress() : this._opts.bindAddress),
             oscPort: this._opts.oscPort || this._opts.httpPort,
             oscTransport: this._opts.oscTransport || "UDP",
         };
     }
 
+    /**
+     * Bind the HTTP server to its port
+     * 
+     * Without a fixed httpPort, a free port (other than the OSC port) is probed
+     * with portfinder. Another program may still grab it before we bind, so on
+     * EADDRINUSE the next free port is tried, up to opts.portRetries times.
+     * 
+     * @returns {Promise<number>} The bound port
+     * @throws {Error} If no port could be bound
+     * @private
+     */
+    async _listen() {
+        const host = this._opts.bindAddress || "0.0.0.0";
+        const retries = this._fixedHttpPort ? 0 : (this._opts.portRetries ?? 10);
+        let port = this._fixedHttpPort ? this._opts.httpPort : undefined;
+
+        for (let attempt = 0; ; attempt++) {
+            if (!this._fixedHttpPort) {
+                port = await portfinder.getPortPromise(port ? { port: port + 1 } : {});
+                if (port === this._opts.oscPort) {
+                    port = await portfinder.getPortPromise({ port: port + 1 });
+                }
+            }
+
+            try {
+                await new Promise((resolve, reject) => {
+                    this._server.once('error', reject);
+                    this._server.listen(port, host, () => {
+                        this._server.removeListener('error', reject);
+                        resolve();
+                    });
+                });
+                this._opts.httpPort = port;
+                return port;
+            } catch (error) {
+                if (error.code !== 'EADDRINUSE' || attempt >= retries) {
+                    throw new Error(`Can't start OSC Query HTTP server on ${host}:${port}: ${error.message}`);
+                }
+            }
+        }
+    }
+
+    /**
+     * Port the HTTP server listens on (known after start() unless it was fixed)
+     * @returns {number|undefined}
+     */
+    get httpPort() {
+        return this._opts.httpPort;
+    }
+
+    /**
+     * Set the port clients should send OSC to
+     * 
+     * For callers that bind their OSC socket only right before start().
+     * Call before start() so the port is also advertised via mDNS.
+     * 
+     * @param {number} port - OSC port
+     */
+    setOscPort(port) {
+        this._opts.oscPort = port;
+    }
+
     /**
      * Stop the OSC Query server and clean up resources
      * 
-     * Gracefully shuts down the HTTP server and stops mDNS advertisement.
+     * Gracefully shuts down the HTTP server, disconnects WebSocket clients
+     * and stops mDNS advertisement.
      * Always call this before exiting your application to prevent resource leaks.
+     * Stopping a server that isn't running does nothing.
      * 
      * @returns {Promise} Resolves when server is fully stopped
      */
     async stop() {
         // Stop HTTP server and wait for it to close
-        const httpEndPromise = new Promise((resolve, reject) => {
+        const httpEndPromise = !this._server.listening ? Promise.resolve() : new Promise((resolve, reject) => {
             this._server.close(err => err ? reject(err) : resolve());
         });
 
-        // Stop mDNS service advertisement
-        if (this._bonjourService) {
-            this._bonjourService.stop();
+        // Disconnect LISTEN clients - open WebSockets would keep the HTTP server from closing
+        for (const ws of this._wsListeners.keys()) {
+            ws.terminate();
+        }
+        this._wsListeners.clear();
+
+        // Stop mDNS service advertisements - the goodbye packets must be sent
+        // before the mDNS instance is destroyed, or peers won't notice we left
+        const unpublished = [this._bonjourService, this._bonjourOscService]
+            .filter(service => service)
+            .map(service => new Promise(resolve => service.stop(resolve)));
+        this._bonjourService = null;
+        this._bonjourOscService = null;
+
+        // Close the socket used to forward HTTP writes
+        if (this._forwardSocket) {
+            this._forwardSocket.close();
+            this._forwardSocket = null;
         }
 
         // Clean up mDNS resources
-        this._bonjour.destroy();
+        if (this._bonjour) {
+            await Promise.all(unpublished);
+            this._bonjour.destroy();
+            this._bonjour = null;
+        }
 
         // Wait for HTTP server to fully close
         await httpEndPromise;
@@ -354,13 +1061,19 @@ class OSCQueryServer {
      * Creates or updates an OSC parameter that clients can discover and interact with.
      * The path is split into components and a tree structure is built automatically.
      * 
+     * Connected WebSocket clients receive PATH_ADDED for the top-most node that
+     * had to be created, or PATH_CHANGED if the node already existed.
+     * 
      * @param {string} path - OSC address path (e.g., "/avatar/parameters/VRCEmote")
      * @param {Object} params - Parameter configuration
      * @param {string} [params.description] - Human-readable description
      * @param {number} [params.access] - Access permissions (OSCQAccess enum)
      * @param {Array} [params.tags] - Metadata tags
      * @param {boolean} [params.critical] - Whether this parameter is critical
-     * @param {Array} [params.arguments] - OSC argument definitions
+     * @param {Array} [params.arguments] - OSC argument definitions ({ type, range, clipmode, value, optional })
+     * @param {function(Array, Object)} [params.onWrite] - Called as onWrite(values, { path, node, ... })
+     *   for every accepted write to this parameter (see write())
+     * @param {boolean} [params.store=false] - Store accepted writes as the parameter's value
      * 
      * Example:
      * server.addMethod('/avatar/parameters/VRCEmote', {
@@ -368,21 +1081,37 @@ class OSCQueryServer {
      *   access: OSCQAccess.WRITEONLY,
      *   arguments: [
      *     { type: OSCTypeSimple.INT, range: { min: 0, max: 8 } }
-     *   ]
+     *   ],
+     *   store: true,
+     *   onWrite: (values) => console.log('Emote', values[0])
      * });
      */
     addMethod(path, params) {
         // Split path into components, removing empty segments
         const path_split = path.split("/").filter(p => p !== "");
         
-        // Navigate/create the tree structure to the target node
+        // Navigate/create the tree structure to the target node,
+        // remembering the first node that did not exist yet
         let node = this._root;
+        let added_path = null;
+        let current_path = "";
         for (const path_component of path_split) {
+            current_path += "/" + path_component;
+            if (added_path === null && !node.hasChild(path_component)) {
+                added_path = current_path;
+            }
             node = node.getOrCreateChild(path_component);
         }
         
         // Configure the target node with the provided parameters
         node.setOpts(params);
+
+        // Tell connected clients about the change
+        if (added_path !== null) {
+            this._broadcastCommand("PATH_ADDED", added_path);
+        } else {
+            this._broadcastCommand("PATH_CHANGED", normalizePath(path));
+        }
     }
 
     /**
@@ -391,21 +1120,317 @@ class OSCQueryServer {
      * Removes an OSC parameter and cleans up any empty container nodes
      * that are left behind. This helps keep the tree structure clean.
      * 
+     * With `recursive` set, the node's children are removed as well, which is
+     * how a whole subtree (e.g. /avatar/parameters on avatar change) is dropped.
+     * 
+     * Connected WebSocket clients receive PATH_REMOVED for the top-most node
+     * that was removed, or PATH_CHANGED if the node stays as a container.
+     * 
      * @param {string} path - OSC address path to remove
+     * @param {Object} [options] - Removal options
+     * @param {boolean} [options.recursive=false] - Also remove all child nodes
      */
-    removeMethod(path) {
+    removeMethod(path, options = {}) {
         let node = this._getNodeForPath(path);
         if (!node) return; // Path doesn't exist
 
         // Clear the node's parameters, making it an empty container
         node.setOpts({});
 
+        // Drop the whole subtree if requested
+        if (options.recursive) {
+            for (const child of node.getChildren()) {
+                node.removeChild(child.name);
+            }
+        }
+
         // Clean up empty nodes by traversing back up the tree
         // Remove empty containers until we reach root or find a non-empty node
+        let current_path = normalizePath(path);
+        let removed_path = null;
+        while (node.parent != null && node.isEmpty()) {
+            node.parent.removeChild(node.name);
+            removed_path = current_path;
+            node = node.parent;
+            current_path = current_path.substring(0, current_path.lastIndexOf("/"));
+        }
+
+        // Tell connected clients about the change
+        if (removed_path !== null) {
+            this._broadcastCommand("PATH_REMOVED", removed_path);
+        } else {
+            this._broadcastCommand("PATH_CHANGED", normalizePath(path));
+        }
+    }
+
+    /**
+     * Move an OSC method/parameter (and everything below it) to a new path
+     * 
+     * Missing containers on the new path are created, and containers left
+     * empty at the old path are cleaned up. Connected WebSocket clients receive
+     * a single PATH_RENAMED notification with the old and new path.
+     * 
+     * @param {string} oldPath - Current OSC address path
+     * @param {string} newPath - New OSC address path
+     * @returns {boolean} True if the node was moved, false if oldPath doesn't exist
+     * @throws {Error} If something already exists at newPath
+     */
+    renameMethod(oldPath, newPath) {
+        let node = this._getNodeForPath(oldPath);
+        if (!node || node.parent == null) return false; // Missing path, or the root
+
+        const new_split = newPath.split("/").filter(p => p !== "");
+        if (new_split.length === 0 || this._getNodeForPath(newPath)) {
+            throw new Error(`Cannot rename ${oldPath}: ${newPath} already exists`);
+        }
+
+        // Create the containers leading to the new location
+        let new_parent = this._root;
+        for (const path_component of new_split.slice(0, -1)) {
+            new_parent = new_parent.getOrCreateChild(path_component);
+        }
+
+        const old_parent = node.parent;
+        node.moveTo(new_parent, new_split[new_split.length - 1]);
+
+        // Clean up containers that the move left empty
+        node = old_parent;
         while (node.parent != null && node.isEmpty()) {
             node.parent.removeChild(node.name);
             node = node.parent;
         }
+
+        this._broadcastCommand("PATH_RENAMED", {
+            OLD: normalizePath(oldPath),
+            NEW: normalizePath(newPath),
+        });
+        return true;
+    }
+
+    /**
+     * Apply a write from a client to the parameter at a path
+     * 
+     * Used for incoming OSC messages. Writes to read-only parameters and values that
+     * don't fit the parameter's type or range are rejected (see OSCNode.write).
+     * Stored values are pushed to WebSocket clients that are LISTENing to the path.
+     * 
+     * @param {string} path - OSC address path
+     * @param {Array} values - Plain argument values
+     * @param {Object} [info] - Extra information passed to the onWrite callback (e.g. { timetag })
+     * @returns {Array|null} The accepted (possibly clamped) values, or null if there is
+     *   no parameter at the path (containers and unknown paths)
+     * @throws {OSCValueError} If the write was rejected
+     * @throws {OSCWriteHandlerError} If the write was accepted but the onWrite callback failed
+     */
+    write(path, values, info = {}) {
+        const node = this._getNodeForPath(path);
+        if (!node || node.getArguments().length === 0) {
+            return null;
+        }
+
+        try {
+            const accepted = node.write(values, { ...info, path: normalizePath(path) });
+            if (node.store) {
+                this._broadcastValue(path, node);
+            }
+            return accepted;
+        } catch (error) {
+            // The values were stored before the callback ran
+            if (error instanceof OSCWriteHandlerError && node.store) {
+                this._broadcastValue(path, node);
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Export the namespace (or a part of it) as OSC Query JSON
+     * 
+     * The result is the same JSON that GET requests return, including CONTENTS,
+     * TYPE, RANGE, CLIPMODE, TAGS, CRITICAL and VALUE. Values of parameters that
+     * aren't readable are left out, as in HTTP responses, unless options.allValues
+     * is set - use that for snapshots that should restore write-only values too.
+     * 
+     * @param {string} [path="/"] - OSC path of the subtree to export
+     * @param {Object} [options] - Export options
+     * @param {boolean} [options.allValues=false] - Include the stored values of write-only parameters
+     * @returns {Object|null} OSC Query JSON, or null if nothing exists at the path
+     * 
+     * Example:
+     * fs.writeFileSync('namespace.json', JSON.stringify(server.exportNamespace("/", { allValues: true }), null, 2));
+     */
+    exportNamespace(path = "/", options = {}) {
+        const node = this._getNodeForPath(path);
+        return node ? node.serialize({ allValues: options.allValues }) : null;
+    }
+
+    /**
+     * Import OSC Query JSON into the namespace
+     * 
+     * The JSON is placed at its FULL_PATH (or options.path), so both whole trees and
+     * subtrees exported with exportNamespace() can be imported.
+     * 
+     * Modes:
+     * - "merge" (default): Nodes in the JSON are added or updated, attributes the JSON
+     *   doesn't define and nodes it doesn't mention are kept. Arguments are merged one
+     *   by one, so an import with only TYPE and VALUE keeps the existing RANGE and
+     *   CLIPMODE. onWrite callbacks and the store option of existing nodes are kept too.
+     * - "replace": Everything below the target path is removed first, so the subtree
+     *   matches the JSON exactly.
+     * 
+     * Connected WebSocket clients receive PATH_REMOVED, PATH_ADDED and PATH_CHANGED
+     * notifications, and LISTEN clients the imported values.
+     * 
+     * Imported values are checked like any other (type, RANGE and CLIPMODE) and
+     * clamped where the clip mode allows it. If one doesn't fit, nothing is imported.
+     * 
+     * @param {Object|string} json - OSC Query JSON (object or JSON text)
+     * @param {Object} [options] - Import options
+     * @param {string} [options.mode="merge"] - "merge" or "replace"
+     * @param {string} [options.path] - Where to import to (defaults to the JSON's FULL_PATH, then "/")
+     * @returns {OSCNode} The node at the target path
+     * @throws {Error} If the JSON is not an object or the mode is unknown
+     * @throws {OSCValueError} If an imported value doesn't fit its argument
+     * 
+     * Example:
+     * server.importNamespace(fs.readFileSync('namespace.json', 'utf8'), { mode: 'replace' });
+     */
+    importNamespace(json, options = {}) {
+        if (typeof json === "string") {
+            json = JSON.parse(json);
+        }
+        if (!json || typeof json !== "object" || Array.isArray(json)) {
+            throw new Error("Namespace must be an OSC Query JSON object");
+        }
+        const mode = options.mode || "merge";
+        if (mode !== "merge" && mode !== "replace") {
+            throw new Error(`Unknown import mode: ${mode}`);
+        }
+
+        const target_path = normalizePath(options.path || json.FULL_PATH || "/");
+        const imported = OSCNode.deserialize(json);
+        const notifications = [];
+
+        // Merge the arguments and check every value before the tree changes,
+        // so a value that doesn't fit doesn't leave a half-imported namespace
+        this._prepareImport(mode === "replace" ? null : this._getNodeForPath(target_path), imported, target_path);
+
+        // Navigate/create the tree structure to the target node
+        let node = this._root;
+        let current_path = "";
+        let created = false;
+        for (const path_component of target_path.split("/").filter(p => p !== "")) {
+            current_path += "/" + path_component;
+            if (!created && !node.hasChild(path_component)) {
+                created = true;
+                notifications.push(["PATH_ADDED", current_path]);
+            }
+            node = node.getOrCreateChild(path_component);
+        }
+
+        // In replace mode, start from an empty node
+        if (mode === "replace") {
+            for (const child of node.getChildren()) {
+                node.removeChild(child.name);
+                notifications.push(["PATH_REMOVED", joinPath(target_path, child.name)]);
+            }
+            if (node === this._root) {
+                node.setOpts({ description: this._opts.rootDescription || "root node", access: OSCQAccess.NO_VALUE });
+            } else {
+                node.setOpts({ onWrite: node.onWrite, store: node.store });
+            }
+        }
+
+        this._mergeNode(node, imported, target_path, created, notifications);
+
+        for (const [command, data] of notifications) {
+            this._broadcastCommand(command, data);
+        }
+        return node;
+    }
+
+    /**
+     * Merge the arguments of a deserialized tree with the existing ones and check their values
+     * 
+     * Rewrites the arguments of the deserialized nodes in place, so _mergeNode()
+     * can copy them over as they are.
+     * 
+     * @param {OSCNode|null} target - Existing node at the path (null if there is none)
+     * @param {OSCNode} source - Deserialized node to import
+     * @param {string} path - OSC path of the node
+     * @throws {OSCValueError} If an imported or kept value doesn't fit its argument
+     * @private
+     */
+    _prepareImport(target, source, path) {
+        const imported = source.getOpts().arguments;
+        if (imported) {
+            source.setOpts({ ...source.getOpts(), arguments: mergeArguments(target ? target.getArguments() : [], imported) });
+            source.getArguments().forEach((arg, i) => {
+                if (arg.value === undefined) return;
+                try {
+                    arg.value = source.checkValue(i, arg.value);
+                } catch (error) {
+                    if (!(error instanceof OSCValueError)) throw error;
+                    throw new OSCValueError(error.code, `${path}: ${error.message}`, error);
+                }
+            });
+        }
+
+        for (const child of source.getChildren()) {
+            const existing = target && target.hasChild(child.name) ? target.getChild(child.name) : null;
+            this._prepareImport(existing, child, joinPath(path, child.name));
+        }
+    }
+
+    /**
+     * Copy a deserialized node (and its children) into the tree
+     * 
+     * Attributes the source defines overwrite the target's, missing children are
+     * moved over as a whole.
+     * 
+     * @param {OSCNode} target - Node in this server's tree
+     * @param {OSCNode} source - Deserialized node to merge in (its children are moved out)
+     * @param {string} path - OSC path of the target node
+     * @param {boolean} created - Whether the target node was just created (no PATH_CHANGED needed)
+     * @param {Array} notifications - Collects [command, data] pairs for WebSocket clients
+     * @private
+     */
+    _mergeNode(target, source, path, created, notifications) {
+        const defined = Object.entries(source.getOpts()).filter(([, value]) => value !== undefined);
+        if (defined.length > 0) {
+            target.setOpts({
+                ...target.getOpts(),
+                ...Object.fromEntries(defined),
+                onWrite: target.onWrite,
+                store: target.store,
+            });
+            if (!created) {
+                notifications.push(["PATH_CHANGED", path]);
+            }
+            this._broadcastValue(path, target);
+        }
+
+        for (const child of source.getChildren()) {
+            const child_path = joinPath(path, child.name);
+            if (target.hasChild(child.name)) {
+                this._mergeNode(target.getChild(child.name), child, child_path, created, notifications);
+            } else {
+                child.moveTo(target, child.name);
+                if (!created) {
+                    notifications.push(["PATH_ADDED", child_path]);
+                }
+            }
+        }
+    }
+
+    /**
+     * Get the node at an OSC path
+     * 
+     * @param {string} path - OSC address path
+     * @returns {OSCNode|null} The node, or null if nothing exists at the path
+     */
+    getNode(path) {
+        return this._getNodeForPath(path);
     }
 
     /**
@@ -413,17 +1438,25 @@ class OSCQueryServer {
      * 
      * Updates the stored value for a specific argument of an OSC parameter.
      * The value will be returned to clients when they query the parameter
-     * (if the parameter has read access).
+     * (if the parameter has read access), and pushed to WebSocket clients
+     * that are LISTENing to the path.
+     * 
+     * The value is checked against the argument's type, RANGE and CLIPMODE first
+     * (see OSCNode.checkValue), so it may be clamped.
      * 
      * @param {string} path - OSC address path
      * @param {number} arg_index - Index of the argument to set (0-based)
      * @param {*} value - The value to set
+     * @returns {*} The stored value (after clamping), or undefined if the path doesn't exist
+     * @throws {OSCValueError} If the value doesn't fit the argument (nothing is stored or sent)
      */
     setValue(path, arg_index, value) {
         const node = this._getNodeForPath(path);
 
         if (node) {
-            node.setValue(arg_index, value);
+            const stored = node.setValue(arg_index, value);
+            this._broadcastValue(path, node);
+            return stored;
         }
     }
 
@@ -452,5 +1485,8 @@ class OSCQueryServer {
 module.exports = {
     OSCQueryServer,                        // Main server class
     OSCQAccess,                           // Access control constants
-    OSCTypeSimple: require('./OSCNode').OSCTypeSimple  // OSC type constants
+    OSCTypeSimple: require('./OSCNode').OSCTypeSimple, // OSC type constants
+    OSCClipMode: require('./OSCNode').OSCClipMode,     // Clip mode constants
+    OSCValueError: require('./OSCNode').OSCValueError, // Error for values that don't fit a parameter
+    OSCWriteHandlerError: require('./OSCNode').OSCWriteHandlerError, // Error for accepted writes whose onWrite callback failed
 };
\ No newline at end of file
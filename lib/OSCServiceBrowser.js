@@ -0,0 +1,330 @@
+/**
+ * OSCServiceBrowser.js - Long-lived mDNS browser for OSC and OSC Query peers
+ *
+ * This file implements a service browser that keeps track of every OSC Query
+ * (`_oscjson._tcp`) and OSC (`_osc._udp`, `_osc._tcp`) service on the local
+ * network. Unlike a one-shot `bonjour.find`, the browser keeps running, remembers
+ * what it has seen, and reports when services appear, disappear or change their
+ * address or TXT records.
+ *
+ * Key Features:
+ * - Registry of discovered peers with resolved addresses and TXT records
+ * - "up", "down" and "changed" events
+ * - Periodic re-query and expiry of peers that stopped answering
+ * - waitFor() to wait for a named service such as "VRChat-Client-*"
+ *
+ * Usage in other projects:
+ * const { OSCServiceBrowser } = require('./OSCServiceBrowser');
+ * const browser = new OSCServiceBrowser();
+ * browser.on('up', peer => console.log('Found', peer.name, peer.address, peer.port));
+ * browser.start();
+ * const vrchat = await browser.waitFor('VRChat-Client-*', { type: 'oscjson' });
+ */
+
+// Required Node.js modules for events and network discovery
+const { EventEmitter } = require('events');       // Event emitter base class
+const { Bonjour } = require('bonjour-service');  // mDNS service discovery
+
+// ============================================================================
+// Constants
+// ============================================================================
+
+/**
+ * Service types tracked by the browser
+ *
+ * - oscjson: OSC Query HTTP servers (TCP)
+ * - osc: OSC receivers (UDP, or TCP for apps that use OSC over TCP)
+ */
+const SERVICE_TYPES = [
+    { type: 'oscjson', protocol: 'tcp' },
+    { type: 'osc', protocol: 'udp' },
+    { type: 'osc', protocol: 'tcp' },
+];
+
+// ============================================================================
+// Utility Functions
+// ============================================================================
+
+/**
+ * Turn a service name pattern into a matcher function
+ *
+ * Strings may contain "*" as a wildcard (e.g. "VRChat-Client-*"),
+ * regular expressions are used as-is.
+ *
+ * @param {string|RegExp} pattern - Name or pattern to match
+ * @returns {function(string): boolean} Matcher for service names
+ */
+function createNameMatcher(pattern) {
+    if (pattern instanceof RegExp) {
+        return name => pattern.test(name);
+    }
+    const escaped = String(pattern).split("*").map(part => part.replace(/[.+?^${}()|[\]\\]/g, "\\$&"));
+    const regex = new RegExp("^" + escaped.join(".*") + "$");
+    return name => regex.test(name);
+}
+
+/**
+ * Convert a bonjour-service record into a peer description
+ *
+ * @param {Object} service - Service as reported by bonjour-service
+ * @returns {Object} Peer description
+ */
+function toPeer(service) {
+    const addresses = service.addresses || [];
+    const referer = service.referer ? service.referer.address : undefined;
+    return {
+        name: service.name,          // Service instance name (e.g., "VRChat-Client-ABC123")
+        fqdn: service.fqdn,          // Fully qualified service name, unique per peer
+        type: service.type,          // "oscjson" or "osc"
+        protocol: service.protocol,  // "tcp" or "udp"
+        host: service.host,          // Advertised host name (e.g., "DESKTOP.local")
+        port: service.port,          // Advertised port
+        addresses,                   // All advertised IP addresses
+        // Best address to connect to: first IPv4 address, then any address, then the sender of the record
+        address: addresses.find(a => a.includes(".")) || addresses[0] || referer || service.host,
+        txt: service.txt || {},      // TXT record key/value pairs
+    };
+}
+
+/**
+ * Check whether two peer descriptions differ in anything clients care about
+ *
+ * @param {Object} a - Previous peer description
+ * @param {Object} b - New peer description
+ * @returns {boolean} True if host, port, addresses or TXT records changed
+ */
+function peerChanged(a, b) {
+    return a.host !== b.host
+        || a.port !== b.port
+        || a.addresses.join(",") !== b.addresses.join(",")
+        || JSON.stringify(a.txt) !== JSON.stringify(b.txt);
+}
+
+// ============================================================================
+// OSCServiceBrowser Class - Main browser implementation
+// ============================================================================
+
+/**
+ * OSCServiceBrowser - Tracks OSC and OSC Query peers on the network
+ *
+ * Events:
+ * - "up" (peer) - A new service was found
+ * - "down" (peer) - A service said goodbye or stopped answering
+ * - "changed" (peer, previous) - A known service changed address, port or TXT records
+ *
+ * Example Usage:
+ * const browser = new OSCServiceBrowser({ refreshInterval: 5000 });
+ * browser.on('down', peer => console.log(`${peer.name} went away`));
+ * browser.start();
+ *
+ * console.log(browser.getPeers({ type: 'osc' }));
+ */
+class OSCServiceBrowser extends EventEmitter {
+    /**
+     * Create a new service browser
+     *
+     * @param {Object} opts - Configuration options
+     * @param {number} [opts.refreshInterval=10000] - How often to re-query and expire peers (ms)
+     */
+    constructor(opts = {}) {
+        super();
+        this._opts = opts;              // Store configuration options
+        this._bonjour = null;           // mDNS instance, created by start()
+        this._browsers = [];            // Active bonjour-service browsers
+        this._peers = new Map();        // fqdn -> peer description
+        this._refreshTimer = null;      // Periodic re-query timer
+    }
+
+    /**
+     * Whether the browser is currently running
+     * @returns {boolean}
+     */
+    get running() {
+        return this._bonjour !== null;
+    }
+
+    /**
+     * Start browsing for services
+     *
+     * Calling start() on a running browser does nothing.
+     */
+    start() {
+        if (this.running) return;
+
+        this._bonjour = new Bonjour();
+
+        for (const { type, protocol } of SERVICE_TYPES) {
+            const browser = this._bonjour.find({ type, protocol });
+            browser.on('up', service => this._addPeer(service));
+            browser.on('down', service => this._removePeer(service));
+            browser.on('srv-update', service => this._updatePeer(service));
+            browser.on('txt-update', service => this._updatePeer(service));
+            this._browsers.push(browser);
+        }
+
+        // Re-query regularly so we notice new services, and expire the ones that went silent
+        this._refreshTimer = setInterval(() => {
+            for (const browser of this._browsers) {
+                browser.expire();
+            }
+            this.refresh();
+        }, this._opts.refreshInterval ?? 10000);
+        this._refreshTimer.unref(); // Don't keep the process alive just for discovery
+    }
+
+    /**
+     * Stop browsing and forget all peers
+     *
+     * No "down" events are emitted for the forgotten peers.
+     */
+    stop() {
+        if (!this.running) return;
+
+        clearInterval(this._refreshTimer);
+        this._refreshTimer = null;
+
+        for (const browser of this._browsers) {
+            browser.stop();
+        }
+        this._browsers = [];
+
+        this._bonjour.destroy();
+        this._bonjour = null;
+        this._peers.clear();
+    }
+
+    /**
+     * Send a new mDNS query for all tracked service types
+     *
+     * Useful right after startup, where Windows in particular can be slow to
+     * answer the first query.
+     */
+    refresh() {
+        for (const browser of this._browsers) {
+            browser.update();
+        }
+    }
+
+    /**
+     * Get all known peers
+     *
+     * @param {Object} [filter] - Optional filter
+     * @param {string} [filter.type] - Only peers of this service type ("oscjson" or "osc")
+     * @param {string} [filter.protocol] - Only peers using this protocol ("tcp" or "udp")
+     * @param {string|RegExp} [filter.name] - Only peers whose name matches (supports "*")
+     * @returns {Array<Object>} Matching peer descriptions
+     */
+    getPeers(filter = {}) {
+        const matchesName = filter.name !== undefined ? createNameMatcher(filter.name) : () => true;
+        return [...this._peers.values()].filter(peer => {
+            return (filter.type === undefined || peer.type === filter.type)
+                && (filter.protocol === undefined || peer.protocol === filter.protocol)
+                && matchesName(peer.name);
+        });
+    }
+
+    /**
+     * Get the first known peer matching a name
+     *
+     * @param {string|RegExp} name - Service name or pattern (supports "*")
+     * @param {string} [type] - Service type ("oscjson" or "osc")
+     * @returns {Object|null} Peer description or null if none is known
+     */
+    getPeer(name, type) {
+        return this.getPeers({ name, type })[0] || null;
+    }
+
+    /**
+     * Wait until a peer matching a name is available
+     *
+     * Resolves immediately if a matching peer is already known.
+     *
+     * @param {string|RegExp} name - Service name or pattern (e.g., "VRChat-Client-*")
+     * @param {Object} [opts] - Options
+     * @param {string} [opts.type] - Service type ("oscjson" or "osc")
+     * @param {number} [opts.timeout] - Give up after this many ms (waits forever if unset)
+     * @returns {Promise<Object>} The matching peer description
+     * @throws {Error} If the timeout expires first
+     */
+    waitFor(name, opts = {}) {
+        const existing = this.getPeer(name, opts.type);
+        if (existing) return Promise.resolve(existing);
+
+        const matchesName = createNameMatcher(name);
+        return new Promise((resolve, reject) => {
+            let timer = null;
+            const onUp = peer => {
+                if ((opts.type === undefined || peer.type === opts.type) && matchesName(peer.name)) {
+                    clearTimeout(timer);
+                    this.removeListener('up', onUp);
+                    resolve(peer);
+                }
+            };
+            this.on('up', onUp);
+
+            if (opts.timeout !== undefined) {
+                timer = setTimeout(() => {
+                    this.removeListener('up', onUp);
+                    reject(new Error(`Service ${name} not found within ${opts.timeout}ms`));
+                }, opts.timeout);
+            }
+        });
+    }
+
+    // ========================================================================
+    // Registry Maintenance
+    // ========================================================================
+
+    /**
+     * Record a newly discovered service
+     * @param {Object} service - bonjour-service record
+     * @private
+     */
+    _addPeer(service) {
+        if (this._peers.has(service.fqdn)) {
+            return this._updatePeer(service);
+        }
+        const peer = toPeer(service);
+        this._peers.set(peer.fqdn, peer);
+        this.emit('up', peer);
+    }
+
+    /**
+     * Update a known service after a SRV or TXT change
+     * @param {Object} service - bonjour-service record
+     * @private
+     */
+    _updatePeer(service) {
+        const previous = this._peers.get(service.fqdn);
+        if (!previous) {
+            return this._addPeer(service);
+        }
+        const peer = toPeer(service);
+        if (peerChanged(previous, peer)) {
+            this._peers.set(peer.fqdn, peer);
+            this.emit('changed', peer, previous);
+        }
+    }
+
+    /**
+     * Forget a service that went away
+     * @param {Object} service - bonjour-service record
+     * @private
+     */
+    _removePeer(service) {
+        const peer = this._peers.get(service.fqdn);
+        if (peer) {
+            this._peers.delete(service.fqdn);
+            this.emit('down', peer);
+        }
+    }
+}
+
+// ============================================================================
+// Module Exports
+// ============================================================================
+
+module.exports = {
+    OSCServiceBrowser, // mDNS browser for OSC and OSC Query peers
+    SERVICE_TYPES,     // Service types tracked by the browser
+};
@@ -0,0 +1,442 @@
+/**
+ * OSCTCPTransport.js - OSC over TCP with packet framing
+ *
+ * UDP delivers each OSC packet as one datagram, but may drop or reorder them and
+ * limits their size. TCP delivers a reliable, ordered byte stream instead, so
+ * packets need framing to tell where one ends and the next begins. Two framings
+ * are in use:
+ * - OSC 1.0: every packet is preceded by its size as a big-endian int32
+ * - OSC 1.1: every packet is SLIP-encoded (RFC 1055) with an END byte on both sides
+ *
+ * Key Features:
+ * - Encoders and a streaming decoder for both framings
+ * - TCP server that emits every received packet with the sender's address
+ * - TCP sender that connects on first use, reconnects when needed and
+ *   also reports packets the other side sends back on the same connection
+ *
+ * Usage in other projects:
+ * const { OSCTCPServer, OSCTCPSender, OSCFraming } = require('./OSCTCPTransport');
+ * const server = new OSCTCPServer({ framing: OSCFraming.SLIP });
+ * server.on('packet', (packet, rinfo) => console.log(decodePacket(packet)));
+ * await server.listen(9001);
+ *
+ * const sender = new OSCTCPSender({ framing: OSCFraming.SLIP });
+ * await sender.send(encodeMessage('/test', [1]), 9001, '127.0.0.1');
+ */
+
+// Required Node.js modules for TCP sockets and events
+const net = require('net');                 // TCP server and client sockets
+const { EventEmitter } = require('events'); // Event emitter base class
+
+// ============================================================================
+// Constants
+// ============================================================================
+
+/**
+ * Packet framings for OSC over TCP
+ */
+const OSCFraming = Object.freeze({
+    SLIP: "slip",     // OSC 1.1: SLIP-encoded packets (RFC 1055, double END)
+    LENGTH: "length", // OSC 1.0: int32 size prefix
+});
+
+/**
+ * SLIP special bytes (RFC 1055)
+ */
+const SLIP_END = 0xC0;     // Frame delimiter
+const SLIP_ESC = 0xDB;     // Escape byte
+const SLIP_ESC_END = 0xDC; // Escaped END
+const SLIP_ESC_ESC = 0xDD; // Escaped ESC
+
+/**
+ * Largest packet accepted from a stream (bytes)
+ *
+ * Guards against a peer announcing a huge size prefix, or never ending a SLIP frame.
+ */
+const MAX_PACKET_SIZE = 1024 * 1024;
+
+// ============================================================================
+// Framing
+// ============================================================================
+
+/**
+ * SLIP-encode one OSC packet (OSC 1.1 framing)
+ *
+ * @param {Buffer} packet - Encoded OSC message or bundle
+ * @returns {Buffer} Frame with END bytes on both sides
+ */
+function encodeSLIP(packet) {
+    const bytes = [SLIP_END];
+    for (const byte of packet) {
+        if (byte === SLIP_END) {
+            bytes.push(SLIP_ESC, SLIP_ESC_END);
+        } else if (byte === SLIP_ESC) {
+            bytes.push(SLIP_ESC, SLIP_ESC_ESC);
+        } else {
+            bytes.push(byte);
+        }
+    }
+    bytes.push(SLIP_END);
+    return Buffer.from(bytes);
+}
+
+/**
+ * Prefix one OSC packet with its size (OSC 1.0 framing)
+ *
+ * @param {Buffer} packet - Encoded OSC message or bundle
+ * @returns {Buffer} int32 size followed by the packet
+ */
+function encodeLengthPrefixed(packet) {
+    const size = Buffer.alloc(4);
+    size.writeInt32BE(packet.length, 0);
+    return Buffer.concat([size, packet]);
+}
+
+/**
+ * Frame one OSC packet for a TCP stream
+ *
+ * @param {Buffer} packet - Encoded OSC message or bundle
+ * @param {string} [framing=OSCFraming.SLIP] - OSCFraming value
+ * @returns {Buffer} Framed packet
+ * @throws {Error} If the framing is unknown
+ */
+function framePacket(packet, framing = OSCFraming.SLIP) {
+    switch (framing) {
+        case OSCFraming.SLIP:
+            return encodeSLIP(packet);
+        case OSCFraming.LENGTH:
+            return encodeLengthPrefixed(packet);
+        default:
+            throw new Error(`Unknown OSC TCP framing: ${framing}`);
+    }
+}
+
+// ============================================================================
+// OSCStreamDecoder Class - Split a TCP byte stream into OSC packets
+// ============================================================================
+
+/**
+ * OSCStreamDecoder - Reassembles OSC packets from TCP chunks
+ *
+ * TCP may split a packet over several chunks, or put several packets into one,
+ * so the decoder keeps whatever is left of an unfinished packet until the next chunk.
+ *
+ * Example Usage:
+ * const decoder = new OSCStreamDecoder(OSCFraming.LENGTH);
+ * socket.on('data', chunk => decoder.push(chunk).forEach(packet => handle(packet)));
+ */
+class OSCStreamDecoder {
+    /**
+     * Create a decoder for one stream
+     *
+     * @param {string} [framing=OSCFraming.SLIP] - OSCFraming value
+     * @throws {Error} If the framing is unknown
+     */
+    constructor(framing = OSCFraming.SLIP) {
+        if (!Object.values(OSCFraming).includes(framing)) {
+            throw new Error(`Unknown OSC TCP framing: ${framing}`);
+        }
+        this._framing = framing;         // OSCFraming value
+        this._buffer = Buffer.alloc(0);  // Unprocessed bytes (length framing)
+        this._frame = [];                // Bytes of the current frame (SLIP framing)
+        this._escaped = false;           // Whether the last SLIP byte was ESC
+    }
+
+    /**
+     * Add received bytes and take out every completed packet
+     *
+     * @param {Buffer} chunk - Bytes as received from the socket
+     * @returns {Array<Buffer>} Completed packets, in order
+     * @throws {Error} If a packet is larger than MAX_PACKET_SIZE
+     */
+    push(chunk) {
+        return this._framing === OSCFraming.SLIP ? this._pushSLIP(chunk) : this._pushLength(chunk);
+    }
+
+    /**
+     * Decode SLIP frames (empty frames between double END bytes are skipped)
+     *
+     * @param {Buffer} chunk - Received bytes
+     * @returns {Array<Buffer>} Completed packets
+     * @private
+     */
+    _pushSLIP(chunk) {
+        const packets = [];
+        for (const byte of chunk) {
+            if (this._escaped) {
+                // ESC followed by anything else is a protocol violation - keep the byte as-is
+                this._frame.push(byte === SLIP_ESC_END ? SLIP_END : byte === SLIP_ESC_ESC ? SLIP_ESC : byte);
+                this._escaped = false;
+            } else if (byte === SLIP_ESC) {
+                this._escaped = true;
+            } else if (byte === SLIP_END) {
+                if (this._frame.length > 0) {
+                    packets.push(Buffer.from(this._frame));
+                    this._frame = [];
+                }
+            } else {
+                this._frame.push(byte);
+            }
+
+            if (this._frame.length > MAX_PACKET_SIZE) {
+                this._frame = [];
+                throw new Error(`OSC packet exceeds ${MAX_PACKET_SIZE} bytes`);
+            }
+        }
+        return packets;
+    }
+
+    /**
+     * Decode int32 size-prefixed packets
+     *
+     * @param {Buffer} chunk - Received bytes
+     * @returns {Array<Buffer>} Completed packets
+     * @private
+     */
+    _pushLength(chunk) {
+        const packets = [];
+        this._buffer = this._buffer.length > 0 ? Buffer.concat([this._buffer, chunk]) : chunk;
+
+        while (this._buffer.length >= 4) {
+            const size = this._buffer.readInt32BE(0);
+            if (size < 0 || size > MAX_PACKET_SIZE) {
+                this._buffer = Buffer.alloc(0);
+                throw new Error(`Invalid OSC packet size ${size}`);
+            }
+            if (this._buffer.length < 4 + size) break; // Rest of the packet is still on its way
+            packets.push(this._buffer.subarray(4, 4 + size));
+            this._buffer = this._buffer.subarray(4 + size);
+        }
+        return packets.filter(packet => packet.length > 0);
+    }
+}
+
+// ============================================================================
+// OSCTCPServer Class - Receive OSC over TCP
+// ============================================================================
+
+/**
+ * OSCTCPServer - Accepts TCP connections and reads framed OSC packets from them
+ *
+ * Events:
+ * - "packet" (packet, rinfo) - A complete OSC packet arrived ({ address, port } of the sender)
+ * - "connection" (socket) - A client connected
+ * - "error" (error) - The listening server failed (listen() rejects for errors like a port in use)
+ *
+ * A client that sends a malformed frame is disconnected, as the stream can't be
+ * resynchronized after that.
+ *
+ * Example Usage:
+ * const server = new OSCTCPServer({ framing: OSCFraming.LENGTH });
+ * server.on('packet', (packet, rinfo) => console.log(`${packet.length} bytes from ${rinfo.address}`));
+ * await server.listen(9001, '0.0.0.0');
+ */
+class OSCTCPServer extends EventEmitter {
+    /**
+     * Create a new TCP server (call listen() to start it)
+     *
+     * @param {Object} [opts] - Configuration options
+     * @param {string} [opts.framing=OSCFraming.SLIP] - OSCFraming value
+     */
+    constructor(opts = {}) {
+        super();
+        this._framing = opts.framing || OSCFraming.SLIP;  // OSCFraming value for all connections
+        this._sockets = new Set();                        // Open client connections
+        this._server = net.createServer(socket => this._handleConnection(socket));
+        // Errors while listen() is pending reject its promise instead, so only
+        // errors of a server that is already listening are passed on
+        this._server.on('error', error => {
+            if (this._server.listening) this.emit('error', error);
+        });
+    }
+
+    /**
+     * Start listening
+     *
+     * @param {number} port - TCP port
+     * @param {string} [host='0.0.0.0'] - Interface to bind to
+     * @returns {Promise} Resolves once the server listens, rejects if it can't
+     */
+    listen(port, host = '0.0.0.0') {
+        return new Promise((resolve, reject) => {
+            const onError = error => reject(error);
+            this._server.once('error', onError);
+            this._server.listen(port, host, () => {
+                this._server.removeListener('error', onError);
+                resolve();
+            });
+        });
+    }
+
+    /**
+     * Read packets from a new client connection
+     *
+     * @param {net.Socket} socket - Client connection
+     * @private
+     */
+    _handleConnection(socket) {
+        const decoder = new OSCStreamDecoder(this._framing);
+        const rinfo = { address: socket.remoteAddress, port: socket.remotePort };
+        this._sockets.add(socket);
+        socket.setNoDelay(true);
+
+        socket.on('data', chunk => {
+            let packets;
+            try {
+                packets = decoder.push(chunk);
+            } catch (error) {
+                socket.destroy(error);
+                return;
+            }
+            packets.forEach(packet => this.emit('packet', packet, rinfo));
+        });
+        socket.on('error', () => { /* Reported as a close, nothing else to clean up */ });
+        socket.on('close', () => this._sockets.delete(socket));
+
+        this.emit('connection', socket);
+    }
+
+    /**
+     * Stop listening and disconnect all clients
+     *
+     * @returns {Promise} Resolves once the server is closed
+     */
+    close() {
+        for (const socket of this._sockets) {
+            socket.destroy();
+        }
+        this._sockets.clear();
+        return new Promise(resolve => this._server.close(() => resolve()));
+    }
+}
+
+// ============================================================================
+// OSCTCPSender Class - Send OSC over TCP
+// ============================================================================
+
+/**
+ * OSCTCPSender - Sends framed OSC packets over a TCP connection
+ *
+ * The connection is opened on the first send and kept open. If the target
+ * changes or the connection drops, the next send opens a new one. Packets the
+ * other side writes back on the connection are emitted as "packet" events.
+ *
+ * Events:
+ * - "packet" (packet, rinfo) - The target sent an OSC packet back
+ * - "error" (error) - A connection failed after it was established
+ *
+ * Example Usage:
+ * const sender = new OSCTCPSender();
+ * await sender.send(encodeMessage('/light/on', [true]), 9001, '192.168.1.20');
+ * sender.close();
+ */
+class OSCTCPSender extends EventEmitter {
+    /**
+     * Create a new TCP sender
+     *
+     * @param {Object} [opts] - Configuration options
+     * @param {string} [opts.framing=OSCFraming.SLIP] - OSCFraming value
+     */
+    constructor(opts = {}) {
+        super();
+        this._framing = opts.framing || OSCFraming.SLIP;  // OSCFraming value
+        this._socket = null;                              // Current connection
+        this._target = null;                              // "host:port" of the current connection
+        this._connecting = null;                          // Promise of a connection in progress
+    }
+
+    /**
+     * Send one OSC packet
+     *
+     * @param {Buffer} packet - Encoded OSC message or bundle
+     * @param {number} port - Target TCP port
+     * @param {string} host - Target host
+     * @returns {Promise} Resolves when the packet has been handed to the network
+     */
+    async send(packet, port, host) {
+        const socket = await this._connect(port, host);
+        const frame = framePacket(packet, this._framing);
+        return new Promise((resolve, reject) => {
+            socket.write(frame, error => error ? reject(error) : resolve());
+        });
+    }
+
+    /**
+     * Get an open connection to the target, opening one if needed
+     *
+     * @param {number} port - Target TCP port
+     * @param {string} host - Target host
+     * @returns {Promise<net.Socket>} Connected socket
+     * @private
+     */
+    _connect(port, host) {
+        const target = `${host}:${port}`;
+        if (this._target === target && (this._connecting || (this._socket && !this._socket.destroyed))) {
+            return this._connecting || Promise.resolve(this._socket);
+        }
+
+        this.close();
+        const decoder = new OSCStreamDecoder(this._framing);
+        const socket = net.connect(port, host);
+        this._socket = socket;
+        this._target = target;
+        socket.setNoDelay(true);
+
+        socket.on('data', chunk => {
+            try {
+                decoder.push(chunk).forEach(packet => this.emit('packet', packet, { address: host, port }));
+            } catch (error) {
+                socket.destroy(error);
+            }
+        });
+        socket.on('close', () => {
+            if (this._socket === socket) {
+                this._socket = null;
+                this._target = null;
+            }
+        });
+
+        const connecting = new Promise((resolve, reject) => {
+            const onFailure = error => {
+                if (this._connecting === connecting) this._connecting = null;
+                reject(error || new Error(`Connection to ${target} closed`));
+            };
+            socket.once('error', onFailure);
+            socket.once('close', () => onFailure());
+            socket.once('connect', () => {
+                if (this._connecting === connecting) this._connecting = null;
+                socket.removeListener('error', onFailure);
+                socket.on('error', error => this.emit('error', error));
+                resolve(socket);
+            });
+        });
+        this._connecting = connecting;
+        return connecting;
+    }
+
+    /**
+     * Close the connection (the next send opens a new one)
+     */
+    close() {
+        if (this._socket) {
+            this._socket.destroy();
+            this._socket = null;
+        }
+        this._target = null;
+        this._connecting = null;
+    }
+}
+
+// ============================================================================
+// Module Exports
+// ============================================================================
+
+module.exports = {
+    OSCFraming,            // Packet framing constants
+    framePacket,           // Frame one packet for a TCP stream
+    encodeSLIP,            // OSC 1.1 framing
+    encodeLengthPrefixed,  // OSC 1.0 framing
+    OSCStreamDecoder,      // Split a TCP stream into packets
+    OSCTCPServer,          // Receive OSC over TCP
+    OSCTCPSender,          // Send OSC over TCP
+};
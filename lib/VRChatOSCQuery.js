@@ -0,0 +1,1557 @@
+/**
+ * VRChatOSCQuery.js - OSC Query application compatible with VRChat
+ *
+ * This file ties the library together: an OSC Query server VRChat can discover,
+ * an OSC receiver and sender, the mDNS service browser and VRChat-specific
+ * handling of avatar parameters, chatbox and input. Main.js re-exports the class
+ * and runs a small example when started directly.
+ *
+ * Usage in other projects:
+ * const { VRChatOSCQuery } = require('./VRChatOSCQuery');
+ * const vrchat = new VRChatOSCQuery("MyApp");
+ * vrchat.on('ready', hostInfo => console.log('Listening on', hostInfo.oscPort));
+ * await vrchat.start();
+ */
+
+// Import OSC Query Server components for discovering and announcing OSC services
+const { OSCQueryServer, OSCQAccess, OSCTypeSimple, OSCValueError, OSCWriteHandlerError } = require('./OSCQueryServer');
+// Import dgram for sending and receiving OSC (Open Sound Control) messages via UDP
+const dgram = require('dgram');
+// Import net to tell IPv6 bind addresses from IPv4 ones
+const net = require('net');
+// Import the TCP transport for OSC over TCP (SLIP or length-prefixed framing)
+const { OSCTCPServer, OSCTCPSender, OSCFraming } = require('./OSCTCPTransport');
+// Import the OSC codec for encoding and decoding OSC packets with their type tags
+const { encodeMessage, encodeBundle, decodePacket, OSCTypedValue } = require('./OSCCodec');
+// Import OSC address pattern matching for the subscription filter
+const { OSCPattern } = require('./OSCPattern');
+// Import EventEmitter so consumers can register their own message handlers
+const { EventEmitter } = require('events');
+// Import the avatar parameter cache
+const { AvatarParameterStore } = require('./AvatarParameterStore');
+// Import the VRChat avatar OSC config loader for typed parameter schemas
+const {
+    loadAvatarConfig,
+    loadAvatarConfigDirectory,
+    registerAvatarConfig,
+    validateAvatarParameter,
+} = require('./AvatarConfigLoader');
+// Import fs to tell avatar config files from folders
+const fs = require('fs');
+// Import the service browser for mDNS (multicast DNS) discovery of other OSC apps
+const { OSCServiceBrowser } = require('./OSCServiceBrowser');
+// Import the OSC Query client for reading VRChat's own parameter tree
+const { OSCQueryClient } = require('./OSCQueryClient');
+// Import the logger that forwards to the application's logger (silent by default)
+const { Logger, LOG_SUBSYSTEMS } = require('./Logger');
+// Import the chatbox writer for queued, rate-limited chatbox messages
+const { Chatbox } = require('./Chatbox');
+
+// ============================================================================
+// VRChat OSC Constants
+// ============================================================================
+
+/**
+ * Default address VRChat listens on for incoming OSC messages
+ * Used when neither a send target is configured nor VRChat has been discovered.
+ */
+const VRCHAT_DEFAULT_SEND_TARGET = { host: '127.0.0.1', port: 9000 };
+
+/**
+ * Port range VRChat-style OSC apps pick their OSC port from
+ */
+const OSC_PORT_RANGE = { min: 22000, max: 50000 };
+
+/**
+ * VRChat /input/ endpoints that are axes (floats from -1 to 1)
+ * Every other /input/ endpoint is a button that expects an int 0 or 1.
+ */
+const VRCHAT_INPUT_AXES = new Set([
+    'Vertical', 'Horizontal', 'LookHorizontal', 'LookVertical',
+    'UseAxisRight', 'GrabAxisRight', 'MoveHoldFB',
+    'SpinHoldCwCcw', 'SpinHoldUD', 'SpinHoldLR',
+]);
+
+/**
+ * VRChatOSCQuery - Main class for creating an OSC Query server compatible with VRChat
+ * 
+ * This class provides a complete OSC Query implementation that allows VRChat and other
+ * OSC-compatible applications to discover and communicate with your JavaScript application.
+ * 
+ * Key Features:
+ * - OSC Query HTTP server for service discovery
+ * - OSC UDP server for receiving real-time data from VRChat
+ * - Optional OSC over TCP (OSC 1.0 length-prefixed or OSC 1.1 SLIP framing)
+ * - mDNS service advertisement for automatic discovery
+ * - mDNS service browser that tracks VRChat and other OSC apps
+ * - Path subscription system for filtering incoming messages
+ * - VRChat-specific parameter handling (avatar, chatbox, input)
+ * - OSC sender for avatar parameters, chatbox and input back into VRChat
+ * - Chatbox queue with 144-character splitting, typing indicator and status line
+ * - OSC bundles with timetags, optionally dispatched at their scheduled time
+ * - EventEmitter API: on(pattern, handler) for any number of handlers per address
+ * - Avatar parameter state cache, mirrored into the OSC Query tree
+ * - Typed avatar parameter schemas from VRChat's avatar OSC config files
+ * - Typed avatar parameters read from VRChat's own OSC Query tree
+ * - Restartable start()/stop() with "ready", "error" and "close" events
+ * 
+ * Lifecycle:
+ * - state is "stopped", "starting", "running" or "stopping"
+ * - start() while starting or running returns the same result, stop() while
+ *   stopping or stopped does nothing, and a stopped instance can be started again
+ * - start() rejects if a server can't start (e.g. a fixed port is in use)
+ * 
+ * Events (besides OSC addresses, see on()):
+ * - "ready" (hostInfo) - Both servers are running
+ * - "error" (error) - Startup or a running server failed. Without an "error"
+ *   listener, errors are logged instead
+ * - "close" () - All servers are stopped
+ * 
+ * Usage in your own project:
+ * const VRChatOSCQuery = require('./Main.js');
+ * const oscServer = new VRChatOSCQuery("MyApp");
+ * oscServer.on('/avatar/parameters/VRCEmote', (address, values) => console.log(values[0]));
+ * oscServer.start();
+ */
+class VRChatOSCQuery extends EventEmitter {
+    /**
+     * Constructor - Initialize a new VRChat OSC Query server
+     * @param {string} appName - The name of your application (displayed in VRChat's OSC debug)
+     * @param {Object} [options] - Additional options
+     * @param {string} [options.sendHost] - Host to send OSC to (defaults to the discovered VRChat client, then 127.0.0.1)
+     * @param {number} [options.sendPort] - Port to send OSC to (defaults to the discovered VRChat client, then 9000)
+     * @param {string} [options.vrchatServiceName='VRChat-Client-*'] - mDNS name of the VRChat client to send to
+     * @param {boolean} [options.scheduleBundles=false] - Hold incoming bundles with a future timetag until that time
+     * @param {boolean} [options.mirrorAvatarParameters=true] - Expose received avatar parameter values in the OSC Query tree
+     * @param {boolean} [options.fetchVRChatParameters=true] - Read parameter types from VRChat's OSC Query tree
+     * @param {string} [options.vrchatQueryHost] - Host of VRChat's OSC Query server (defaults to the discovered VRChat client)
+     * @param {number} [options.vrchatQueryPort] - Port of VRChat's OSC Query server (defaults to the discovered VRChat client)
+     * @param {boolean} [options.httpWrites=false] - Let HTTP clients change values with PUT/POST {"VALUE": [...]}
+     * @param {boolean} [options.forwardHttpWrites=false] - Send values written over HTTP on to VRChat (the send target)
+     * @param {Array<string>} [options.allowedClients] - Client IPs/subnets that may use the OSC Query HTTP server
+     * @param {string} [options.authToken] - Bearer token required for HTTP writes
+     * @param {Array<string>|string} [options.allowedOrigins] - Browser origins that may use the HTTP server (with CORS)
+     * @param {boolean} [options.explorer=false] - Serve a web explorer for the OSC Query tree at /?EXPLORER
+     * @param {string} [options.oscTransport='UDP'] - Transport we receive OSC on and advertise: "UDP" or "TCP"
+     * @param {string} [options.sendTransport] - Transport used for sending: "UDP" or "TCP" (defaults to oscTransport).
+     *   VRChat itself only speaks UDP.
+     * @param {string} [options.tcpFraming='slip'] - Packet framing for TCP: "slip" (OSC 1.1) or "length" (OSC 1.0)
+     * @param {number} [options.oscPort] - Fixed port to receive OSC on (a free port is picked if not set)
+     * @param {number} [options.httpPort] - Fixed port for the OSC Query HTTP server (a free port is picked if not set)
+     * @param {string} [options.oscBindAddress='0.0.0.0'] - Interface for the OSC server ("127.0.0.1" for
+     *   loopback only, "::" for IPv6 and IPv4)
+     * @param {string} [options.httpBindAddress='0.0.0.0'] - Interface for the OSC Query HTTP server
+     * @param {string} [options.oscIp] - Address advertised as OSC_IP (defaults to the OSC bind address,
+     *   or the address each client reached the HTTP server on)
+     * @param {number} [options.portRetries=10] - How many other ports to try when a picked port is taken
+     * @param {Object} [options.logger] - Where to log: console, pino or any object with level methods.
+     *   Nothing is logged without one.
+     * @param {string} [options.logLevel='info'] - Lowest level logged ("trace", "debug", "info", "warn", "error", "silent")
+     * @param {Object<string, string>} [options.logLevels] - Lowest level per subsystem
+     *   ("app", "osc", "http", "discovery", "avatar"), e.g. { osc: 'debug', discovery: 'warn' }
+     * @param {Object} [options.chatbox] - Options of the chatbox queue (spacing, maxLength, typingIndicator)
+     * @param {boolean} [options.strictPatterns=false] - Match a trailing "*" in subscribe() and on() patterns
+     *   within one path segment, as OSC specifies. By default it matches the rest of the address
+     *   ("/avatar/*" includes "/avatar/parameters/VRCEmote"), as in earlier versions.
+     * @throws {Error} If a transport, framing or log level is unknown
+     */
+    constructor(appName = "VRChat-OSC-JS", options = {}) {
+        super();
+        this.appName = appName; // Application name for identification
+        this.options = options; // Additional options (send target, ...)
+        
+        // Initialize logging - Silent unless the application passes a logger
+        this.logger = new Logger({
+            logger: this.options.logger,
+            name: this.appName,
+            level: this.options.logLevel,
+            levels: this.options.logLevels,
+        });
+        this.log = {}; // Subsystem name -> logger with trace/debug/info/warn/error(message, fields)
+        for (const subsystem of Object.values(LOG_SUBSYSTEMS)) {
+            this.log[subsystem] = this.logger.child(subsystem);
+        }
+        this.oscPort = this.options.oscPort || null; // UDP/TCP port for OSC messages, picked by start() if not set
+        this.httpPort = this.options.httpPort || null; // TCP port for HTTP API, picked by start() if not set
+        this.oscBindAddress = this.options.oscBindAddress || '0.0.0.0'; // Interface the OSC server binds to
+        this.subscribedPaths = new Map(); // OSC path patterns to listen for, mapped to their compiled OSCPattern
+        this.subscribeToAll = true; // Default to subscribe to all paths (recommended for VRChat)
+        this.addressHandlers = new Map(); // OSC address patterns -> { pattern: OSCPattern, handlers: [{ handler, once }] }
+        this.oscTransport = this.parseTransport(this.options.oscTransport || "UDP"); // Transport for receiving OSC
+        this.sendTransport = this.parseTransport(this.options.sendTransport || this.oscTransport); // Transport for sending OSC
+        this.tcpFraming = this.options.tcpFraming || OSCFraming.SLIP; // Packet framing for OSC over TCP
+        if (!Object.values(OSCFraming).includes(this.tcpFraming)) {
+            throw new Error(`Unknown OSC TCP framing: ${this.tcpFraming}`);
+        }
+        
+        // Initialize OSC Query Server - This creates the HTTP server that announces OSC capabilities
+        // VRChat uses this to discover your application and understand what OSC parameters it supports
+        this.oscQueryServer = new OSCQueryServer({
+            httpPort: this.httpPort || undefined, // HTTP port for OSC Query API (found by the server if not set)
+            oscPort: this.oscPort || undefined, // UDP/TCP port where we receive OSC messages (set once bound)
+            bindAddress: this.options.httpBindAddress || '0.0.0.0', // Interface the HTTP server binds to
+            // Address clients send OSC to - a specific OSC bind address is the only one that works
+            oscIp: this.options.oscIp || (['0.0.0.0', '::'].includes(this.oscBindAddress) ? undefined : this.oscBindAddress),
+            portRetries: this.options.portRetries, // Other ports to try if the picked HTTP port is taken
+            oscQueryHostName: this.appName, // Name displayed in VRChat's OSC debug
+            serviceName: this.appName, // Name used for mDNS service advertisement
+            rootDescription: `${this.appName} - VRChat OSC Query Server`, // Description of the service
+            oscTransport: this.oscTransport, // Transport protocol for OSC messages (UDP is standard), in HOST_INFO and mDNS
+            httpWrites: this.options.httpWrites, // Web control panels may change values over HTTP
+            writeForward: this.options.forwardHttpWrites
+                ? (path, args) => this.send(path, ...args) // Pass HTTP writes on to VRChat
+                : undefined,
+            allowedClients: this.options.allowedClients, // Restrict who may connect at all
+            authToken: this.options.authToken, // Required for HTTP writes, reads stay open for VRChat
+            allowedOrigins: this.options.allowedOrigins, // Web pages that may talk to the server
+            explorer: this.options.explorer, // Built-in web UI for browsing and changing values
+            logger: this.log.http, // HTTP requests, writes and LISTEN clients
+        });
+        
+        // Setup OSC Query endpoints - Define what parameters VRChat can send to us.
+        // Done once here, so restarts keep changes the application made to them
+        this.setupOSCQueryEndpoints();
+        
+        // Initialize OSC Server for receiving data - This is the actual UDP (or TCP) server that receives messages
+        this.oscServer = null;
+        
+        // Initialize OSC sender sockets - "udp4"/"udp6" -> socket, created on first send to talk back to VRChat
+        this.sendSockets = new Map();
+        
+        // Initialize OSC over TCP sender - Created on first send when sendTransport is TCP
+        this.tcpSender = null;
+        
+        // Timers for incoming bundles waiting for their timetag (see options.scheduleBundles)
+        this.scheduledBundles = new Set();
+        
+        // Initialize the chatbox writer - Splits, queues and spaces out chatbox messages
+        // Use chatbox.say(text) for long text, chatbox.setStatus(text) for a status line
+        this.chatbox = new Chatbox(this, this.options.chatbox);
+        this.chatbox.on('error', (err) => this.log.osc.warn(`Chatbox message failed: ${err.message}`, { err }));
+        
+        // Lifecycle - see the state getter, start() and stop()
+        this._state = "stopped"; // "stopped", "starting", "running" or "stopping"
+        this._startPromise = null; // Pending start(), shared by concurrent callers
+        this._stopPromise = null; // Pending stop(), shared by concurrent callers
+        this._hostInfo = null; // Server information of the running instance
+        this.discoveryTimer = null; // Delayed mDNS re-query after start()
+        
+        // Initialize avatar parameter cache - Latest value of every avatar parameter, reset on /avatar/change
+        this.avatarParameters = new AvatarParameterStore();
+        this.mirroredParameterTypes = new Map(); // Parameter name -> OSC type registered in the OSC Query tree
+        this.avatarParameters.on('change', (name, value, oldValue, entry) => {
+            this.mirrorAvatarParameter(name, entry);
+        });
+        
+        // Initialize avatar schemas - Loaded from VRChat's avatar OSC config files by loadAvatarConfig()
+        this.avatarConfigs = new Map(); // Avatar id -> parsed config
+        this.avatarSchema = null; // Config of the current avatar, if known
+        this.avatarSchemaByAddress = new Map(); // OSC address -> parameter of the current avatar
+        
+        // Initialize VRChat parameter metadata - Read from VRChat's OSC Query tree by refreshVRChatParameters()
+        this.vrchatParameters = new Map(); // OSC address -> { address, type, access }
+        this.vrchatParametersRequest = 0; // Counter to drop answers that arrive after a newer request
+        
+        // Initialize the mDNS service browser - Keeps track of VRChat and other OSC/OSC Query apps
+        // Use serviceBrowser.waitFor('VRChat-Client-*') to wait for the game to show up
+        this.serviceBrowser = new OSCServiceBrowser();
+        this.serviceBrowser.on('up', (peer) => {
+            this.log.discovery.info(`Found ${peer.type} service: ${peer.name}`, { peer: peer.name, type: peer.type, host: peer.address, port: peer.port });
+            
+            // VRChat's OSC Query server showed up - read its parameter types
+            const vrchatName = this.options.vrchatServiceName || 'VRChat-Client-*';
+            if (this.serviceBrowser.getPeers({ type: 'oscjson', name: vrchatName }).includes(peer)) {
+                this.updateVRChatParameters();
+            }
+        });
+        this.serviceBrowser.on('down', (peer) => {
+            this.log.discovery.info(`Lost ${peer.type} service: ${peer.name}`, { peer: peer.name, type: peer.type });
+        });
+        
+        this.log.app.debug("Initialized", { oscPort: this.oscPort || 'auto', httpPort: this.httpPort || 'auto' });
+    }
+
+    /**
+     * Trigger mDNS discovery to make VRChat aware of our presence
+     * 
+     * This function sends a fresh mDNS query from the service browser, which "wakes up"
+     * the mDNS network and makes VRChat become aware of OSC Query services on the network.
+     * This is particularly important on Windows where mDNS discovery can be delayed.
+     * Our own advertisement is left untouched.
+     */
+    triggerMDNSDiscovery() {
+        this.log.discovery.debug("Triggering mDNS discovery to activate VRChat awareness");
+        
+        // Re-query for OSCQuery and OSC services - this "wakes up" the mDNS network
+        // and makes VRChat aware of our presence. Answers arrive as 'up' events.
+        this.serviceBrowser.refresh();
+    }
+
+    /**
+     * Generate a random port number within a specified range
+     * @param {number} min - Minimum port number
+     * @param {number} max - Maximum port number
+     * @returns {number} Random port number within range
+     */
+    getRandomPort(min, max) {
+        return Math.floor(Math.random() * (max - min + 1)) + min;
+    }
+
+    /**
+     * Check and normalize an OSC transport name
+     * @param {string} transport - "UDP" or "TCP" (any case)
+     * @returns {string} "UDP" or "TCP"
+     * @throws {Error} If the transport is unknown
+     */
+    parseTransport(transport) {
+        const name = String(transport).toUpperCase();
+        if (name !== "UDP" && name !== "TCP") {
+            throw new Error(`Unknown OSC transport: ${transport}`);
+        }
+        return name;
+    }
+
+    /**
+     * Setup the OSC server to receive messages from VRChat
+     * 
+     * This creates a UDP server (or a TCP server, see options.oscTransport) that
+     * listens for OSC messages sent by VRChat and other apps.
+     * All incoming messages are filtered through the subscription system before processing.
+     * 
+     * Without a fixed options.oscPort, random ports from OSC_PORT_RANGE are tried
+     * until one can be bound (up to options.portRetries more attempts). Unlike the
+     * HTTP port, the port isn't probed first: binding it is the check, which can't
+     * race with other apps and works for UDP as well as TCP.
+     * 
+     * @returns {Promise<number>} The port the OSC server listens on
+     * @throws {Error} If no port could be bound (e.g. a fixed oscPort is in use)
+     */
+    async setupOSCServer() {
+        const fixed = Boolean(this.options.oscPort);
+        const retries = fixed ? 0 : (this.options.portRetries ?? 10);
+
+        for (let attempt = 0; ; attempt++) {
+            const port = fixed ? this.options.oscPort : this.getRandomPort(OSC_PORT_RANGE.min, OSC_PORT_RANGE.max);
+            try {
+                this.oscServer = await this.bindOSCServer(port);
+                this.oscPort = port;
+                break;
+            } catch (error) {
+                if (error.code !== 'EADDRINUSE' || attempt >= retries) {
+                    throw new Error(`Can't start OSC ${this.oscTransport} server on ${this.oscBindAddress}:${port}: ${error.message}`);
+                }
+                this.log.osc.warn(`OSC port ${port} is in use, trying another one`, { port });
+            }
+        }
+        this.log.osc.info("OSC Server listening", {
+            transport: this.oscTransport,
+            host: this.oscBindAddress,
+            port: this.oscPort,
+            framing: this.oscTransport === "TCP" ? this.tcpFraming : undefined,
+        });
+
+        // Handle incoming OSC packets
+        if (this.oscTransport === "TCP") {
+            this.oscServer.on('packet', (packet, rinfo) => this.receivePacket(packet, rinfo));
+        } else {
+            this.oscServer.on('message', (packet, rinfo) => this.receivePacket(packet, rinfo));
+        }
+
+        // Handle OSC server errors
+        this.oscServer.on('error', (err) => {
+            this.reportError(err, "OSC Server Error", this.log.osc);
+        });
+        return this.oscPort;
+    }
+
+    /**
+     * Open the OSC server socket on one port
+     * 
+     * UDP sockets are bound without SO_REUSEADDR, so a port another app already
+     * uses fails with EADDRINUSE instead of silently being shared.
+     * 
+     * @param {number} port - Port to bind
+     * @returns {Promise<dgram.Socket|OSCTCPServer>} The bound server
+     * @throws {Error} If the port can't be bound
+     */
+    async bindOSCServer(port) {
+        if (this.oscTransport === "TCP") {
+            // OSC over TCP server - clients connect and send framed packets
+            const server = new OSCTCPServer({ framing: this.tcpFraming });
+            await server.listen(port, this.oscBindAddress);
+            return server;
+        }
+
+        // OSC over UDP - udp6 for IPv6 addresses ("::" also accepts IPv4)
+        const socket = dgram.createSocket(net.isIPv6(this.oscBindAddress) ? 'udp6' : 'udp4');
+        await new Promise((resolve, reject) => {
+            socket.once('error', reject);
+            socket.bind(port, this.oscBindAddress, () => {
+                socket.removeListener('error', reject);
+                resolve();
+            });
+        });
+        return socket;
+    }
+
+    /**
+     * Decode a received OSC packet and process it
+     * 
+     * @param {Buffer} packet - Raw OSC message or bundle (one datagram, or one TCP frame)
+     * @param {{address: string, port: number}} rinfo - Sender of the packet
+     */
+    receivePacket(packet, rinfo) {
+        let decoded;
+        try {
+            decoded = decodePacket(packet);
+        } catch (error) {
+            this.log.osc.warn(`Can't decode OSC packet: ${error.message}`, { host: rinfo.address, port: rinfo.port });
+            return;
+        }
+        this.processPacket(decoded);
+    }
+
+    /**
+     * Route a decoded OSC packet to the message handlers
+     * 
+     * Bundles go to handleOSCBundle, messages to handleOSCMessage.
+     * 
+     * @param {Object} decoded - Decoded message ({ address, args }) or bundle ({ timetag, elements })
+     * @param {OSCTimetag} [timetag] - Timetag of the bundle the message arrived in
+     */
+    processPacket(decoded, timetag) {
+        if (decoded.elements) {
+            this.handleOSCBundle(decoded.timetag, decoded.elements);
+            return;
+        }
+
+        const address = decoded.address;
+        
+        // Drop values that don't match the current avatar's schema
+        if (!this.validateAvatarMessage(address, decoded.args)) {
+            return;
+        }
+        
+        // Write to the parameter registered at this address (checks access, type, range and clip mode)
+        const args = this.dispatchNodeWrite(address, decoded.args, timetag);
+        if (!args) {
+            return;
+        }
+        
+        // Keep the avatar state up to date, independent of subscriptions
+        this.trackAvatarState(address, args);
+        
+        // Check if we should process this message based on subscriptions
+        if (this.shouldProcessMessage(address)) {
+            const values = args.map(arg => arg.value); // Plain values: [value1, value2, ...]
+            this.handleOSCMessage(address, values, args, timetag);
+            this.dispatchAddressHandlers(address, values, args, timetag);
+        }
+    }
+
+    // ========================================================================
+    // Avatar State - Parameter cache and OSC Query mirror
+    // ========================================================================
+
+    /**
+     * Update the avatar parameter cache from an incoming message
+     * 
+     * /avatar/change resets the cache (and the mirrored OSC Query nodes),
+     * /avatar/parameters/{name} stores the first argument as the parameter's value.
+     * 
+     * @param {string} address - The OSC address path
+     * @param {Array<OSCTypedValue>} args - Typed values
+     */
+    trackAvatarState(address, args) {
+        if (address === '/avatar/change') {
+            const avatarId = args.length > 0 ? args[0].value : null;
+            this.avatarParameters.reset(avatarId);
+            this.resetAvatarParameterTree();
+            this.applyAvatarSchema(this.avatarConfigs.get(avatarId) || null);
+            this.updateVRChatParameters(); // VRChat's tree now lists the new avatar's parameters
+        } else if (address.startsWith('/avatar/parameters/') && args.length > 0) {
+            const name = address.substring('/avatar/parameters/'.length);
+            this.avatarParameters.set(name, args[0].value, args[0].type);
+        }
+    }
+
+    /**
+     * Expose a cached avatar parameter value in the OSC Query tree
+     * 
+     * The parameter node is created (or re-typed) on first use, after that only
+     * its value is updated, so ?VALUE queries and LISTEN clients see the latest value.
+     * 
+     * @param {string} name - Parameter name
+     * @param {{value: *, type: string}} entry - Cached value and OSC type
+     */
+    mirrorAvatarParameter(name, entry) {
+        if (this.options.mirrorAvatarParameters === false) return;
+        
+        const path = `/avatar/parameters/${name}`;
+        // Booleans arrive as T or F - both are declared as one boolean type
+        const type = (entry.type === OSCTypeSimple.FALSE) ? OSCTypeSimple.TRUE : entry.type;
+        
+        if (this.mirroredParameterTypes.get(name) !== type) {
+            this.oscQueryServer.addMethod(path, {
+                description: `VRChat Avatar Parameter ${name}`,
+                access: OSCQAccess.READWRITE, // VRChat writes to this, OSC Query clients can read it
+                arguments: [{ type }],
+            });
+            this.mirroredParameterTypes.set(name, type);
+        }
+        try {
+            this.oscQueryServer.setValue(path, 0, entry.value);
+        } catch (error) {
+            this.log.avatar.warn(`Can't mirror ${path}: ${error.message}`, { address: path });
+        }
+    }
+
+    /**
+     * Remove all mirrored avatar parameter nodes from the OSC Query tree
+     * 
+     * Called when the avatar changes. The /avatar/parameters container itself is kept.
+     */
+    resetAvatarParameterTree() {
+        if (this.mirroredParameterTypes.size === 0) return;
+        
+        this.oscQueryServer.removeMethod('/avatar/parameters', { recursive: true });
+        this.mirroredParameterTypes.clear();
+        this.addAvatarParametersEndpoint();
+    }
+
+    /**
+     * Load VRChat avatar OSC config files
+     * 
+     * Accepts a single avatar config file or a folder (searched recursively, e.g. VRChat's
+     * OSC folder - see defaultAvatarConfigDirectory() in lib/AvatarConfigLoader.js).
+     * The config of the current avatar is applied right away. When a single file is
+     * loaded and the current avatar is unknown, that file is applied.
+     * Configs are applied again on every /avatar/change to a loaded avatar.
+     * 
+     * @param {string} fileOrDirectory - Path to an avtr_*.json file or a folder of them
+     * @returns {Promise<Map<string, Object>>} All loaded configs by avatar id
+     * @throws {Error} If the path can't be read or a single file isn't an avatar config
+     */
+    async loadAvatarConfig(fileOrDirectory) {
+        const stats = await fs.promises.stat(fileOrDirectory);
+        let single = null;
+        
+        if (stats.isDirectory()) {
+            const onError = (file, error) => this.log.avatar.warn(`Skipped avatar config: ${error.message}`, { file });
+            for (const [id, config] of await loadAvatarConfigDirectory(fileOrDirectory, { onError })) {
+                this.avatarConfigs.set(id, config);
+                this.logSkippedParameters(config);
+            }
+        } else {
+            single = await loadAvatarConfig(fileOrDirectory);
+            this.avatarConfigs.set(single.id, single);
+            this.logSkippedParameters(single);
+        }
+        this.log.avatar.info(`Loaded ${this.avatarConfigs.size} avatar config(s)`, { path: fileOrDirectory });
+        
+        const current = this.avatarConfigs.get(this.avatarParameters.avatarId) || single;
+        if (current) {
+            this.resetAvatarParameterTree();
+            this.applyAvatarSchema(current);
+        }
+        return this.avatarConfigs;
+    }
+
+    /**
+     * Log the parameters an avatar config had to leave out
+     * 
+     * @param {Object} config - Parsed avatar config (see lib/AvatarConfigLoader.js)
+     */
+    logSkippedParameters(config) {
+        for (const { name, reason } of config.skipped) {
+            this.log.avatar.warn(`Skipped avatar parameter ${name}: ${reason}`, { avatar: config.id, parameter: name });
+        }
+    }
+
+    /**
+     * Make an avatar config the schema for incoming avatar parameters
+     * 
+     * Registers every parameter in the OSC Query tree with its declared type.
+     * Passing null drops the schema, after which all values are accepted.
+     * 
+     * @param {Object|null} config - Parsed avatar config (see lib/AvatarConfigLoader.js)
+     */
+    applyAvatarSchema(config) {
+        this.avatarSchema = config;
+        this.avatarSchemaByAddress.clear();
+        if (!config) return;
+        
+        registerAvatarConfig(this.oscQueryServer, config);
+        for (const param of config.parameters) {
+            this.avatarSchemaByAddress.set(param.address, param);
+            if (param.address.startsWith('/avatar/parameters/')) {
+                // The node already has the right type, so mirroring only needs to set values
+                this.mirroredParameterTypes.set(param.address.substring('/avatar/parameters/'.length), param.oscType);
+            }
+        }
+        this.log.avatar.info(`Using schema of avatar ${config.name || config.id}`, { avatar: config.id, parameters: config.parameters.length });
+    }
+
+    /**
+     * Check an incoming message against the current avatar's schema
+     * 
+     * Addresses that are not part of the schema (or when no schema is loaded) always pass.
+     * 
+     * @param {string} address - The OSC address path
+     * @param {Array<OSCTypedValue>} args - Typed values
+     * @returns {boolean} True if the message should be processed
+     */
+    validateAvatarMessage(address, args) {
+        const param = this.avatarSchemaByAddress.get(address);
+        if (!param || validateAvatarParameter(param, args[0])) {
+            return true;
+        }
+        
+        const received = args.map(arg => arg.type).join('') || 'nothing';
+        this.log.avatar.warn(`Dropped ${address}: expected ${param.oscType}, got ${received}`, { address, expected: param.oscType, received });
+        return false;
+    }
+
+    /**
+     * Get the address of VRChat's OSC Query server
+     * 
+     * Resolution order:
+     * 1. vrchatQueryHost/vrchatQueryPort from the constructor options
+     * 2. The VRChat client's _oscjson._tcp service found by the service browser
+     * 
+     * @returns {{host: string, port: number}|null} OSC Query target, or null if VRChat wasn't found yet
+     */
+    getVRChatQueryTarget() {
+        if (this.options.vrchatQueryHost && this.options.vrchatQueryPort) {
+            return { host: this.options.vrchatQueryHost, port: this.options.vrchatQueryPort };
+        }
+        const peer = this.serviceBrowser.getPeer(this.options.vrchatServiceName || 'VRChat-Client-*', 'oscjson');
+        return peer ? { host: peer.address, port: peer.port } : null;
+    }
+
+    /**
+     * Read the avatar parameters from VRChat's OSC Query tree
+     * 
+     * VRChat lists every parameter of the current avatar below /avatar with its TYPE
+     * and ACCESS. The result replaces this.vrchatParameters and is used to pass declared
+     * types to handleAvatarParameter() and to coerce values in sendAvatarParameter().
+     * 
+     * @returns {Promise<Map<string, Object>|null>} Parameters by OSC address, or null if
+     *   VRChat's OSC Query server is unknown or a newer request superseded this one
+     * @throws {Error} If the HTTP request fails
+     */
+    async refreshVRChatParameters() {
+        const target = this.getVRChatQueryTarget();
+        if (!target) return null;
+        
+        const request = ++this.vrchatParametersRequest;
+        const client = new OSCQueryClient(target);
+        const avatar = await client.refresh('/avatar');
+        
+        // An /avatar/change may have started a newer request in the meantime
+        if (request !== this.vrchatParametersRequest) return null;
+        
+        const parameters = new Map();
+        for (const method of avatar.methods('/avatar')) {
+            const args = method.arguments || [];
+            parameters.set(method.full_path, {
+                address: method.full_path,                         // OSC address of the parameter
+                type: args.length > 0 ? args[0].type : undefined,  // Declared OSC type (e.g. "f")
+                access: method.access,                             // OSCQAccess value
+            });
+        }
+        this.vrchatParameters = parameters;
+        this.log.avatar.info(`Read ${parameters.size} parameter(s) from VRChat's OSC Query tree`, { parameters: parameters.size });
+        return parameters;
+    }
+
+    /**
+     * Refresh the VRChat parameter metadata in the background
+     * 
+     * Same as refreshVRChatParameters(), but errors are logged instead of thrown.
+     * Does nothing if options.fetchVRChatParameters is false.
+     */
+    updateVRChatParameters() {
+        if (this.options.fetchVRChatParameters === false) return;
+        
+        this.refreshVRChatParameters().catch((error) => {
+            this.log.avatar.warn(`Can't read VRChat's OSC Query tree: ${error.message}`);
+        });
+    }
+
+    /**
+     * Get the declared OSC type of an address
+     * 
+     * VRChat's own OSC Query tree is checked first, then the loaded avatar config.
+     * 
+     * @param {string} address - The OSC address path
+     * @returns {string|undefined} OSCTypeSimple code, or undefined if unknown
+     */
+    getDeclaredType(address) {
+        const parameter = this.vrchatParameters.get(address);
+        if (parameter && parameter.type !== undefined) return parameter.type;
+        
+        const schemaParameter = this.avatarSchemaByAddress.get(address);
+        return schemaParameter ? schemaParameter.oscType : undefined;
+    }
+
+    /**
+     * Write an incoming message to the parameter registered at its address
+     * 
+     * Goes through OSCQueryServer.write(): the parameter must be writable, each value is
+     * checked against the argument's OSC type, RANGE (min, max, vals) and CLIPMODE, and
+     * the parameter's onWrite callback is called (and the value stored, with store: true).
+     * Addresses without a parameter pass unchanged. If only the onWrite callback
+     * fails the write still counts as accepted; any other error rejects it.
+     * 
+     * @param {string} address - The OSC address path
+     * @param {Array<OSCTypedValue>} args - Typed values
+     * @param {OSCTimetag} [timetag] - Timetag of the enclosing bundle
+     * @returns {Array<OSCTypedValue>|null} The values (clamped where the clip mode allows it),
+     *   or null if the write was rejected
+     */
+    dispatchNodeWrite(address, args, timetag) {
+        let accepted;
+        try {
+            accepted = this.oscQueryServer.write(address, args.map(arg => arg.value), { args, timetag });
+        } catch (error) {
+            if (error instanceof OSCValueError) {
+                this.log.osc.warn(`Rejected write to ${address}: ${error.message}`, { address, code: error.code });
+                return null;
+            }
+            if (error instanceof OSCWriteHandlerError) {
+                // The write was accepted, only the onWrite callback failed
+                this.log.osc.error(`Write handler for ${address} failed`, { address, err: error.cause });
+                accepted = error.values;
+            } else {
+                this.log.osc.error(`Write to ${address} failed`, { address, err: error });
+                return null;
+            }
+        }
+        
+        if (!accepted) {
+            return args;
+        }
+        return args.map((arg, i) => Object.is(accepted[i], arg.value) ? arg : new OSCTypedValue(arg.type, accepted[i]));
+    }
+
+    // ========================================================================
+    // Address Handlers - on(pattern, handler) / once / off
+    // ========================================================================
+
+    /**
+     * Check whether an event name is an OSC address pattern
+     * @param {string|symbol} event - Event name passed to on/once/off
+     * @returns {boolean} True for strings starting with "/"
+     */
+    isAddressEvent(event) {
+        return typeof event === 'string' && event.startsWith('/');
+    }
+
+    /**
+     * Register a handler
+     * 
+     * Event names starting with "/" are OSC address patterns (same syntax as subscribe()):
+     * the handler is called as handler(address, values, args, timetag) for every matching
+     * incoming message. Any other event name is a regular EventEmitter event.
+     * 
+     * Address handlers run after the built-in handlers (handleOSCMessage and friends),
+     * so overriding those and registering handlers can be combined.
+     * 
+     * @param {string|symbol} event - OSC address pattern or event name
+     * @param {Function} handler - Handler function
+     * @returns {VRChatOSCQuery} this, for chaining
+     * 
+     * Example:
+     * vrchat.on('/avatar/parameters/{GestureLeft,GestureRight}', (address, values) => { ... });
+     */
+    on(event, handler) {
+        if (!this.isAddressEvent(event)) {
+            return super.on(event, handler);
+        }
+        return this.addAddressHandler(event, handler, false);
+    }
+
+    /**
+     * Alias of on()
+     * @param {string|symbol} event - OSC address pattern or event name
+     * @param {Function} handler - Handler function
+     * @returns {VRChatOSCQuery} this, for chaining
+     */
+    addListener(event, handler) {
+        return this.on(event, handler);
+    }
+
+    /**
+     * Register a handler that is removed after its first call
+     * @param {string|symbol} event - OSC address pattern or event name
+     * @param {Function} handler - Handler function
+     * @returns {VRChatOSCQuery} this, for chaining
+     */
+    once(event, handler) {
+        if (!this.isAddressEvent(event)) {
+            return super.once(event, handler);
+        }
+        return this.addAddressHandler(event, handler, true);
+    }
+
+    /**
+     * Remove a handler registered with on() or once()
+     * @param {string|symbol} event - OSC address pattern or event name
+     * @param {Function} handler - The handler to remove
+     * @returns {VRChatOSCQuery} this, for chaining
+     */
+    off(event, handler) {
+        if (!this.isAddressEvent(event)) {
+            return super.off(event, handler);
+        }
+        
+        const route = this.addressHandlers.get(event);
+        if (route) {
+            const index = route.handlers.findIndex(entry => entry.handler === handler);
+            if (index !== -1) route.handlers.splice(index, 1);
+            if (route.handlers.length === 0) this.addressHandlers.delete(event);
+        }
+        return this;
+    }
+
+    /**
+     * Alias of off()
+     * @param {string|symbol} event - OSC address pattern or event name
+     * @param {Function} handler - The handler to remove
+     * @returns {VRChatOSCQuery} this, for chaining
+     */
+    removeListener(event, handler) {
+        return this.off(event, handler);
+    }
+
+    /**
+     * Remove all handlers for an address pattern or event (or everything)
+     * @param {string|symbol} [event] - OSC address pattern or event name
+     * @returns {VRChatOSCQuery} this, for chaining
+     */
+    removeAllListeners(event) {
+        if (event === undefined) {
+            this.addressHandlers.clear();
+            return super.removeAllListeners();
+        }
+        if (this.isAddressEvent(event)) {
+            this.addressHandlers.delete(event);
+            return this;
+        }
+        return super.removeAllListeners(event);
+    }
+
+    /**
+     * Store an address handler under its (compiled) pattern
+     * @param {string} pattern - OSC address pattern
+     * @param {Function} handler - Handler function
+     * @param {boolean} once - Remove after the first call
+     * @returns {VRChatOSCQuery} this, for chaining
+     */
+    addAddressHandler(pattern, handler, once) {
+        if (typeof handler !== 'function') {
+            throw new TypeError('The "handler" argument must be a function');
+        }
+        if (!this.addressHandlers.has(pattern)) {
+            this.addressHandlers.set(pattern, { pattern: this.compilePattern(pattern), handlers: [] });
+        }
+        this.addressHandlers.get(pattern).handlers.push({ handler, once });
+        return this;
+    }
+
+    /**
+     * Call every address handler whose pattern matches the address
+     * 
+     * A handler that throws is logged and does not stop the other handlers.
+     * 
+     * @param {string} address - The OSC address path
+     * @param {Array} values - Plain values
+     * @param {Array<OSCTypedValue>} args - Typed values
+     * @param {OSCTimetag} [timetag] - Timetag of the enclosing bundle
+     */
+    dispatchAddressHandlers(address, values, args, timetag) {
+        for (const [key, route] of this.addressHandlers) {
+            if (!route.pattern.matches(address)) continue;
+            
+            // Copy so handlers can call off() while we iterate
+            for (const entry of [...route.handlers]) {
+                if (entry.once) this.off(key, entry.handler);
+                try {
+                    entry.handler(address, values, args, timetag);
+                } catch (error) {
+                    this.log.osc.error(`Handler for ${key} failed`, { address, pattern: key, err: error });
+                }
+            }
+        }
+    }
+
+    /**
+     * Handle an incoming OSC bundle
+     * 
+     * By default all contained messages are handled right away, in order, with the
+     * bundle's timetag passed along. With options.scheduleBundles enabled, bundles
+     * whose timetag lies in the future are held back and handled together at that time.
+     * Override this method to apply bundles in your own way (e.g. as one transaction).
+     * 
+     * @param {OSCTimetag} timetag - When the bundle should take effect
+     * @param {Array<Object>} elements - Decoded messages and nested bundles
+     */
+    handleOSCBundle(timetag, elements) {
+        const dispatch = () => {
+            for (const element of elements) {
+                this.processPacket(element, timetag);
+            }
+        };
+        
+        const delay = timetag.isImmediate() ? 0 : timetag.toMillis() - Date.now();
+        if (!this.options.scheduleBundles || delay <= 0) {
+            dispatch();
+            return;
+        }
+        
+        // Hold the bundle until its timetag - cleared by stop()
+        const timer = setTimeout(() => {
+            this.scheduledBundles.delete(timer);
+            dispatch();
+        }, delay);
+        this.scheduledBundles.add(timer);
+    }
+
+    /**
+     * Determine if an OSC message should be processed based on subscription settings
+     * @param {string} address - The OSC address path (e.g., "/avatar/parameters/VRCEmote")
+     * @returns {boolean} True if the message should be processed
+     */
+    shouldProcessMessage(address) {
+        // If subscribed to all paths, process everything
+        if (this.subscribeToAll) {
+            return true;
+        }
+        
+        // Check if the address matches any of our subscribed paths (patterns are pre-compiled)
+        for (const compiledPattern of this.subscribedPaths.values()) {
+            if (compiledPattern.matches(address)) {
+                return true;
+            }
+        }
+        return false;
+    }
+
+    /**
+     * Compile a subscription or handler pattern
+     * 
+     * @param {string} pattern - OSC address pattern
+     * @returns {OSCPattern} The compiled pattern
+     * @throws {Error} If the pattern is malformed
+     */
+    compilePattern(pattern) {
+        return new OSCPattern(pattern, { prefixWildcard: !this.options.strictPatterns });
+    }
+
+    /**
+     * Check if an OSC address matches a subscription pattern
+     * 
+     * Uses standard OSC address pattern matching (see lib/OSCPattern.js):
+     * ?, * within a segment, [abc], [!a-z], {foo,bar} and // for any number of segments.
+     * The older (!?text) exclusion syntax is still supported, and a trailing * matches
+     * the rest of the address unless options.strictPatterns is set.
+     * 
+     * @param {string} address - The actual OSC address from the message
+     * @param {string} pattern - The subscription pattern to match against
+     * @returns {boolean} True if the address matches the pattern
+     */
+    pathMatches(address, pattern) {
+        // Reuse the compiled pattern if we are subscribed to it
+        const compiledPattern = this.subscribedPaths.get(pattern) || this.compilePattern(pattern);
+        return compiledPattern.matches(address);
+    }
+
+    /**
+     * Main message handler for incoming OSC messages
+     * 
+     * This function routes OSC messages to appropriate handlers based on their address.
+     * Override this method in subclasses to add custom message handling logic.
+     * 
+     * @param {string} address - The OSC address path
+     * @param {Array} values - Array of values sent with the message
+     * @param {Array<OSCTypedValue>} [args] - The same values with their OSC type tags (e.g. args[0].type === 'f')
+     * @param {OSCTimetag} [timetag] - Timetag of the enclosing bundle (undefined for plain messages)
+     */
+    handleOSCMessage(address, values, args, timetag) {
+        this.log.osc.debug("Received OSC", { address, values });
+        
+        // Route messages to specific handlers based on VRChat's OSC structure
+        if (address.startsWith('/avatar/parameters/')) {
+            this.handleAvatarParameter(address, values, args, this.getDeclaredType(address));
+        } else if (address === '/avatar/change') {
+            this.handleAvatarChange(address, values, args);
+        } else if (address.startsWith('/chatbox/')) {
+            this.handleChatbox(address, values, args);
+        } else if (address.startsWith('/input/')) {
+            this.handleInput(address, values, args);
+        }
+        // Add more routing logic here for other VRChat OSC paths
+    }
+
+    /**
+     * Handle VRChat avatar parameter changes
+     * 
+     * VRChat sends avatar parameter updates to /avatar/parameters/{parameterName}
+     * Common parameters include: VRCEmote, VRCFaceBlendH, VRCFaceBlendV, etc.
+     * 
+     * @param {string} address - The full OSC address
+     * @param {Array} values - Parameter values (usually a single float, int, or bool)
+     * @param {Array<OSCTypedValue>} [args] - Values with their OSC type tags, to tell int from float
+     * @param {string} [declaredType] - The parameter's declared OSC type (from VRChat's OSC Query tree
+     *   or the avatar config), or undefined if unknown
+     */
+    handleAvatarParameter(address, values, args, declaredType) {
+        const paramName = address.replace('/avatar/parameters/', ''); // Extract parameter name
+        // Add your custom avatar parameter handling logic here
+        // Example: Update UI, trigger animations, send to external APIs, etc.
+    }
+
+    /**
+     * Handle VRChat avatar changes
+     * 
+     * VRChat sends the new avatar's id to /avatar/change. By the time this is called,
+     * the avatar parameter cache (this.avatarParameters) has already been reset.
+     * 
+     * @param {string} address - The OSC address ("/avatar/change")
+     * @param {Array} values - [avatar_id]
+     * @param {Array<OSCTypedValue>} [args] - Values with their OSC type tags
+     */
+    handleAvatarChange(address, values, args) {
+        this.log.avatar.info("Avatar changed", { avatar: values[0] });
+        // Add your custom avatar change handling logic here
+        // Example: Load per-avatar settings, reset UI state, etc.
+    }
+
+    /**
+     * Handle VRChat chatbox messages
+     * 
+     * Chatbox messages arrive at /chatbox/input as text, then optionally whether to
+     * send it immediately and whether to play the notification sound
+     * 
+     * @param {string} address - The OSC address
+     * @param {Array} values - [message_text, immediate?, notify?]
+     * @param {Array<OSCTypedValue>} [args] - Values with their OSC type tags
+     */
+    handleChatbox(address, values, args) {
+        this.log.osc.debug("Chatbox Message", { address, values });
+        // Add your custom chatbox handling logic here
+        // Example: Log messages, trigger responses, integrate with chat bots, etc.
+    }
+
+    /**
+     * Handle VRChat input controls
+     * 
+     * VRChat sends input state changes to various /input/ paths
+     * Examples: /input/Jump, /input/MoveForward, /input/LookHorizontal
+     * 
+     * @param {string} address - The OSC address
+     * @param {Array} values - Input values (typically floats or bools)
+     * @param {Array<OSCTypedValue>} [args] - Values with their OSC type tags
+     */
+    handleInput(address, values, args) {
+        this.log.osc.debug("Input", { address, values });
+        // Add your custom input handling logic here
+        // Example: Control external devices, trigger game events, etc.
+    }
+
+    /**
+     * Subscribe to a specific OSC path pattern
+     * 
+     * When you subscribe to specific paths, the server will only process messages
+     * that match your subscriptions. This can improve performance for applications
+     * that only need specific VRChat data.
+     * 
+     * Patterns use standard OSC syntax, e.g. "/avatar/parameters/{GestureLeft,GestureRight}",
+     * "/avatar/parameters/VRC*" or "//Jump". The pattern is compiled once, here.
+     * 
+     * @param {string} path - OSC path pattern to subscribe to
+     * @throws {Error} If the pattern is malformed (e.g. an unclosed "[")
+     */
+    subscribe(path) {
+        const compiledPattern = this.compilePattern(path); // Throws before changing any state
+        this.subscribeToAll = false; // Disable subscribe-to-all mode
+        this.subscribedPaths.set(path, compiledPattern);
+        this.log.app.info(`Subscribed to path: ${path}`, { pattern: path });
+    }
+
+    /**
+     * Unsubscribe from a specific OSC path pattern
+     * @param {string} path - OSC path pattern to unsubscribe from
+     */
+    unsubscribe(path) {
+        this.subscribedPaths.delete(path);
+        this.log.app.info(`Unsubscribed from path: ${path}`, { pattern: path });
+        
+        // If no subscriptions left, revert to subscribing to all
+        if (this.subscribedPaths.size === 0) {
+            this.subscribeToAll = true;
+            this.log.app.info("No more subscriptions, reverting to subscribe all");
+        }
+    }
+
+    /**
+     * Enable subscription to all OSC paths (default behavior)
+     * 
+     * This is the recommended mode for most VRChat applications as it ensures
+     * you receive all available data from VRChat.
+     */
+    subscribeToAllPaths() {
+        this.subscribeToAll = true;
+        this.subscribedPaths.clear();
+        this.log.app.info("Now subscribing to all paths");
+    }
+
+    // ========================================================================
+    // Sending OSC - Talking back to VRChat
+    // ========================================================================
+
+    /**
+     * Get the host and port that outgoing OSC messages are sent to
+     * 
+     * Resolution order:
+     * 1. sendHost/sendPort from the constructor options
+     * 2. The VRChat client's _osc._udp service found by the service browser
+     *    (_osc._tcp when sendTransport is TCP)
+     * 3. VRChat's default 127.0.0.1:9000
+     * 
+     * @returns {{host: string, port: number}} Send target
+     */
+    getSendTarget() {
+        const [peer] = this.serviceBrowser.getPeers({
+            name: this.options.vrchatServiceName || 'VRChat-Client-*',
+            type: 'osc',
+            protocol: this.sendTransport.toLowerCase(),
+        });
+        return {
+            host: this.options.sendHost || (peer ? peer.address : VRCHAT_DEFAULT_SEND_TARGET.host),
+            port: this.options.sendPort || (peer ? peer.port : VRCHAT_DEFAULT_SEND_TARGET.port),
+        };
+    }
+
+    /**
+     * Send an OSC message to VRChat (or the configured target)
+     * 
+     * Arguments may be plain values, whose OSC type is inferred (integers are
+     * sent as "i", other numbers as "f", booleans as "T"/"F"), typed wrappers
+     * from OSCCodec (OSCInt, OSCFloat, OSCColor, OSCMidi, OSCTimetag, OSCBlob, ...),
+     * or objects of the form { type, value } using OSCTypeSimple codes.
+     * 
+     * @param {string} address - OSC address (e.g., "/avatar/parameters/VRCEmote")
+     * @param {...*} args - Message arguments
+     * @returns {Promise} Resolves when the message has been handed to the network
+     * 
+     * Example:
+     * await vrchat.send('/avatar/parameters/Size', new OSCFloat(1));
+     */
+    send(address, ...args) {
+        return this.sendPacket(encodeMessage(address, args));
+    }
+
+    /**
+     * Send several OSC messages as one bundle
+     * 
+     * All messages arrive in a single OSC packet, so receivers can apply them together.
+     * With a timetag, receivers that support scheduling apply them at that time.
+     * 
+     * @param {Array} messages - Messages as [address, ...args] arrays or { address, args } objects
+     * @param {OSCTimetag|Date|number} [timetag] - When to apply the bundle (Date, Unix ms, or timetag).
+     *   Omit for "immediately".
+     * @returns {Promise} Resolves when the bundle has been handed to the network
+     * 
+     * Example:
+     * await vrchat.sendBundle([
+     *     ['/avatar/parameters/LightR', new OSCFloat(1)],
+     *     ['/avatar/parameters/LightG', new OSCFloat(0.5)],
+     * ], OSCTimetag.now(100));
+     */
+    sendBundle(messages, timetag) {
+        return this.sendPacket(encodeBundle(timetag, messages));
+    }
+
+    /**
+     * Send an already encoded OSC packet to the send target
+     * 
+     * UDP packets to an IPv6 address go out through a udp6 socket, all others
+     * through a udp4 socket. Each socket is created on first use.
+     * 
+     * @param {Buffer} packet - Encoded OSC message or bundle
+     * @returns {Promise} Resolves when the packet has been handed to the network
+     */
+    sendPacket(packet) {
+        const { host, port } = this.getSendTarget();
+        this.log.osc.trace("Sending OSC packet", { host, port, transport: this.sendTransport, bytes: packet.length });
+        
+        if (this.sendTransport === "TCP") {
+            // Create the TCP sender on first use - it keeps its connection open between sends
+            if (!this.tcpSender) {
+                this.tcpSender = new OSCTCPSender({ framing: this.tcpFraming });
+                this.tcpSender.on('packet', (reply, rinfo) => this.receivePacket(reply, rinfo)); // Replies on the same connection
+                this.tcpSender.on('error', (err) => {
+                    this.reportError(err, "OSC Sender Error", this.log.osc);
+                });
+            }
+            return this.tcpSender.send(packet, port, host);
+        }
+        
+        // Create the sender socket for the target's address family on first use
+        const socketType = net.isIPv6(host) ? 'udp6' : 'udp4';
+        if (!this.sendSockets.has(socketType)) {
+            const socket = dgram.createSocket(socketType);
+            socket.on('error', (err) => {
+                this.reportError(err, "OSC Sender Error", this.log.osc);
+            });
+            this.sendSockets.set(socketType, socket);
+        }
+        const socket = this.sendSockets.get(socketType);
+        
+        return new Promise((resolve, reject) => {
+            socket.send(packet, port, host, (err) => err ? reject(err) : resolve());
+        });
+    }
+
+    /**
+     * Set an avatar parameter in VRChat
+     * 
+     * Plain values are sent with the parameter's declared type when it is known
+     * (see getDeclaredType()), so e.g. 1 goes out as float 1.0 for a Float parameter
+     * and as true for a Bool parameter. Typed values are sent as they are.
+     * 
+     * @param {string} name - Parameter name (e.g., "VRCEmote")
+     * @param {*} value - New value (bool, int or float - or a typed { type, value } object)
+     * @returns {Promise} Resolves when the message has been sent
+     */
+    sendAvatarParameter(name, value) {
+        const address = `/avatar/parameters/${name}`;
+        const declaredType = this.getDeclaredType(address);
+        const isTyped = value !== null && typeof value === 'object' && 'type' in value;
+        
+        if (declaredType === undefined || isTyped) {
+            return this.send(address, value);
+        }
+        // The codec converts the value to the type (ints are truncated, bools follow truthiness)
+        return this.send(address, { type: declaredType, value });
+    }
+
+    /**
+     * Write a message to the VRChat chatbox
+     * 
+     * The message is sent right away, as it is. Use chatbox.say() to split long
+     * text and respect VRChat's rate limit.
+     * 
+     * @param {string} text - Message text
+     * @param {Object} [options] - Chatbox options
+     * @param {boolean} [options.immediate=true] - Send directly (true) or open the keyboard with the text (false)
+     * @param {boolean} [options.notify=true] - Play the chatbox notification sound
+     * @returns {Promise} Resolves when the message has been sent
+     */
+    sendChatbox(text, { immediate = true, notify = true } = {}) {
+        return this.send('/chatbox/input', String(text), immediate, notify);
+    }
+
+    /**
+     * Switch the chatbox typing indicator on or off
+     * 
+     * @param {boolean} typing - Whether to show the indicator
+     * @returns {Promise} Resolves when the message has been sent
+     */
+    sendChatboxTyping(typing) {
+        return this.chatbox.setTyping(typing);
+    }
+
+    /**
+     * Drive a VRChat input
+     * 
+     * Axes (e.g. "Vertical", "LookHorizontal") are sent as floats from -1 to 1,
+     * buttons (e.g. "Jump", "MoveForward") as ints 0/1. Booleans are accepted for buttons.
+     * 
+     * @param {string} axisOrButton - Input name without the /input/ prefix
+     * @param {number|boolean} value - Axis position or button state
+     * @returns {Promise} Resolves when the message has been sent
+     */
+    sendInput(axisOrButton, value) {
+        const isAxis = VRCHAT_INPUT_AXES.has(axisOrButton);
+        return this.send(`/input/${axisOrButton}`, {
+            type: isAxis ? OSCTypeSimple.FLOAT : OSCTypeSimple.INT,
+            value: isAxis ? Number(value) : (value ? 1 : 0),
+        });
+    }
+    /**
+     * Register the /avatar/parameters container in the OSC Query tree
+     * 
+     * VRChat sends avatar parameter changes below this path.
+     */
+    addAvatarParametersEndpoint() {
+        this.oscQueryServer.addMethod('/avatar/parameters', {
+            description: 'VRChat Avatar Parameters - Receives avatar parameter updates like facial expressions, emotes, and custom parameters',
+            access: OSCQAccess.WRITEONLY, // VRChat writes to this, we only read
+        });
+    }
+
+    /**
+     * Setup OSC Query endpoints that VRChat can discover
+     * 
+     * This function defines the OSC parameters that your application supports.
+     * VRChat uses this information to understand what data it can send to your app.
+     * These endpoints appear in VRChat's OSC debug menu.
+     * 
+     * Called once by the constructor. Override it to register different endpoints;
+     * the override runs before the subclass constructor body.
+     */
+    setupOSCQueryEndpoints() {
+        // Add avatar parameters endpoint - VRChat sends avatar parameter changes here
+        this.addAvatarParametersEndpoint();
+
+        // Add chatbox input endpoint - VRChat sends chat messages here
+        this.oscQueryServer.addMethod('/chatbox/input', {
+            description: 'VRChat Chatbox Input - Receives text input and typing indicator from VRChat chatbox',
+            access: OSCQAccess.WRITEONLY, // VRChat writes to this, we only read
+            arguments: [
+                {
+                    type: OSCTypeSimple.STRING, // The chat message text
+                },
+                {
+                    type: OSCTypeSimple.TRUE, // Send immediately (true) or open the keyboard (false)
+                    optional: true,
+                },
+                {
+                    type: OSCTypeSimple.TRUE, // Play the notification sound
+                    optional: true,
+                }
+            ]
+        });
+
+        // Add input controls endpoint - VRChat sends input state changes here
+        this.oscQueryServer.addMethod('/input', {
+            description: 'VRChat Input Controls - Receives input state changes like movement, jumping, and looking',
+            access: OSCQAccess.WRITEONLY, // VRChat writes to this, we only read
+        });
+    }
+    // ========================================================================
+    // Lifecycle - Starting and stopping the servers
+    // ========================================================================
+
+    /**
+     * Current lifecycle state
+     * @returns {string} "stopped", "starting", "running" or "stopping"
+     */
+    get state() {
+        return this._state;
+    }
+
+    /**
+     * Report an error through the "error" event, or log it if nobody listens
+     * 
+     * @param {Error} error - The error
+     * @param {string} context - What failed (used in the log message)
+     * @param {Object} [log=this.log.app] - Subsystem logger to log it with
+     */
+    reportError(error, context, log = this.log.app) {
+        if (this.listenerCount('error') > 0) {
+            this.emit('error', error);
+        } else {
+            log.error(`${context}: ${error.message}`, { err: error });
+        }
+    }
+
+    /**
+     * Start the OSC Query server and begin listening for VRChat
+     * 
+     * This function initializes both the OSC Query HTTP server (for discovery)
+     * and the OSC UDP server (for receiving data). It also triggers mDNS discovery
+     * to ensure VRChat becomes aware of the service.
+     * 
+     * Calling start() while starting or running returns the same result. While
+     * stopping, the instance is started again once stop() is done.
+     * 
+     * @returns {Promise<Object>} Resolves with the server information once both servers run
+     * @throws {Error} If a server can't start (e.g. a fixed port is in use) - everything
+     *   started so far is stopped again
+     */
+    async start() {
+        if (this._state === "running") return this._hostInfo;
+        if (this._state === "starting") return this._startPromise;
+        if (this._state === "stopping") {
+            await this._stopPromise;
+            return this.start();
+        }
+
+        this._state = "starting";
+        this._startPromise = this._start();
+        try {
+            return await this._startPromise;
+        } finally {
+            this._startPromise = null;
+        }
+    }
+
+    /**
+     * Start both servers (see start())
+     * 
+     * @returns {Promise<Object>} Server information
+     * @private
+     */
+    async _start() {
+        this.log.app.info("Starting VRChat OSC Query Server");
+        let hostInfo;
+        try {
+            // Start OSC Server (for receiving data) - This receives the actual OSC messages
+            // Bound first, so the OSC Query server advertises the port we really got
+            await this.setupOSCServer();
+            this.oscQueryServer.setOscPort(this.oscPort);
+            
+            // Start OSC Query Server (for discovery) - This allows VRChat to find us
+            hostInfo = await this.oscQueryServer.start();
+            this.httpPort = this.oscQueryServer.httpPort;
+            this.log.http.info("OSC Query Server started", {
+                host: this.options.httpBindAddress || '0.0.0.0',
+                port: this.httpPort,
+                oscIp: hostInfo.oscIp,
+                oscPort: hostInfo.oscPort,
+                oscTransport: hostInfo.oscTransport,
+            });
+            
+            // Start browsing for other OSC apps (VRChat included) - Runs until stop()
+            this.serviceBrowser.start();
+        } catch (error) {
+            // Don't keep ports or sockets of a half-started instance
+            await this.closeServers().catch(() => { /* Already failing */ });
+            this._state = "stopped";
+            this.reportError(error, "Failed to start server");
+            throw error;
+        }
+        
+        this.log.app.info("Server is ready and discoverable by VRChat", {
+            httpPort: this.httpPort,
+            oscPort: this.oscPort,
+            oscTransport: this.oscTransport,
+            subscribeToAll: this.subscribeToAll,
+        });
+        
+        // Trigger mDNS discovery after 2 seconds to activate VRChat awareness
+        // This helps ensure VRChat discovers our service quickly
+        this.discoveryTimer = setTimeout(() => {
+            this.discoveryTimer = null;
+            this.triggerMDNSDiscovery();
+        }, 2000);
+        
+        this._state = "running";
+        this._hostInfo = hostInfo;
+        this.emit('ready', hostInfo);
+        return hostInfo;
+    }
+
+    /**
+     * Stop the OSC Query server and clean up resources
+     * 
+     * This function gracefully shuts down both servers and cleans up network resources.
+     * Always call this before exiting your application to prevent port conflicts.
+     * 
+     * Calling stop() while stopped or stopping does nothing more. While starting,
+     * the instance is stopped once start() is done.
+     * 
+     * @returns {Promise} Resolves when the server is fully stopped (errors while
+     *   closing are reported through the "error" event, the instance ends up stopped anyway)
+     */
+    async stop() {
+        if (this._state === "stopped") return;
+        if (this._state === "stopping") return this._stopPromise;
+        if (this._state === "starting") {
+            try {
+                await this._startPromise;
+            } catch (error) {
+                return; // Failed start already cleaned up
+            }
+            return this.stop();
+        }
+
+        this._state = "stopping";
+        this._stopPromise = this._stop();
+        try {
+            await this._stopPromise;
+        } finally {
+            this._stopPromise = null;
+        }
+    }
+
+    /**
+     * Stop both servers (see stop())
+     * 
+     * @returns {Promise}
+     * @private
+     */
+    async _stop() {
+        this.log.app.info("Stopping servers");
+        try {
+            await this.closeServers();
+            this.log.app.info("Servers stopped");
+        } catch (error) {
+            this.reportError(error, "Error stopping servers");
+        }
+        this._state = "stopped";
+        this._hostInfo = null;
+        this.emit('close');
+    }
+
+    /**
+     * Close every server, socket and timer opened by start() or by sending
+     * 
+     * Safe to call on a partly started instance.
+     * 
+     * @returns {Promise} Resolves when everything is closed
+     */
+    async closeServers() {
+        // Cancel the delayed mDNS re-query
+        clearTimeout(this.discoveryTimer);
+        this.discoveryTimer = null;
+        
+        // Close the OSC UDP (or TCP) server
+        if (this.oscServer) {
+            const server = this.oscServer;
+            this.oscServer = null;
+            await (server instanceof OSCTCPServer
+                ? server.close()
+                : new Promise(resolve => server.close(() => resolve())));
+        }
+        
+        // Drop queued chatbox messages and stop the status line
+        this.chatbox.stop();
+        
+        // Drop bundles still waiting for their timetag
+        for (const timer of this.scheduledBundles) {
+            clearTimeout(timer);
+        }
+        this.scheduledBundles.clear();
+        
+        // Close the OSC sender sockets
+        for (const socket of this.sendSockets.values()) {
+            socket.close();
+        }
+        this.sendSockets.clear();
+        
+        // Close the OSC over TCP connection
+        if (this.tcpSender) {
+            this.tcpSender.close();
+            this.tcpSender = null;
+        }
+        
+        // Stop browsing for other OSC apps
+        this.serviceBrowser.stop();
+        
+        // Stop the OSC Query HTTP server
+        await this.oscQueryServer.stop();
+    }
+}
+
+// ============================================================================
+// Module Exports
+// ============================================================================
+
+module.exports = {
+    VRChatOSCQuery, // VRChat-compatible OSC Query application
+};
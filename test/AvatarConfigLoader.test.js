@@ -0,0 +1,101 @@
+/**
+ * AvatarConfigLoader.test.js - Tests for reading VRChat's avatar OSC config files
+ *
+ * Uses the config files in test/fixtures/avatars, laid out like VRChat's OSC
+ * folder (usr_{userId}/Avatars/avtr_{avatarId}.json).
+ *
+ * Run with: npm test
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const path = require('path');
+const {
+    parseAvatarConfig,
+    loadAvatarConfig,
+    loadAvatarConfigDirectory,
+    registerAvatarConfig,
+    validateAvatarParameter,
+} = require('../lib/AvatarConfigLoader');
+const { OSCQueryServer } = require('../lib/OSCQueryServer');
+const { OSCQAccess } = require('../lib/OSCNode');
+const { VRChatOSCQuery } = require('../lib/VRChatOSCQuery');
+
+const FIXTURES = path.join(__dirname, 'fixtures', 'avatars');
+const AVATARS = path.join(FIXTURES, 'usr_test', 'Avatars');
+
+test('loadAvatarConfig reads a config written with a byte order mark', async () => {
+    const config = await loadAvatarConfig(path.join(AVATARS, 'avtr_valid.json'));
+
+    assert.equal(config.id, 'avtr_valid');
+    assert.equal(config.name, 'Valid Avatar');
+    assert.deepEqual(config.parameters.map(param => [param.name, param.address, param.oscType]), [
+        ['VRCEmote', '/avatar/parameters/VRCEmote', 'i'],
+        ['Size', '/avatar/parameters/Size', 'f'],
+        ['Glasses', '/avatar/parameters/Glasses', 'T'],
+        ['IsLocal', '/avatar/parameters/IsLocal', 'T'],
+    ]);
+    assert.deepEqual(config.skipped, []);
+});
+
+test('parseAvatarConfig skips parameters with unknown types and keeps the rest', async () => {
+    const config = await loadAvatarConfig(path.join(AVATARS, 'avtr_unknown_type.json'));
+
+    assert.deepEqual(config.parameters.map(param => param.name), ['Hue']);
+    assert.equal(config.skipped.length, 1);
+    assert.equal(config.skipped[0].name, 'Position');
+    assert.match(config.skipped[0].reason, /Vector3/);
+});
+
+test('parseAvatarConfig rejects JSON that is not an avatar config', () => {
+    assert.throws(() => parseAvatarConfig({ enabled: true }), /Not a VRChat avatar OSC config/);
+    assert.throws(() => parseAvatarConfig(null), /Not a VRChat avatar OSC config/);
+});
+
+test('loadAvatarConfigDirectory searches subfolders and reports files it skips', async () => {
+    const skipped = [];
+    const configs = await loadAvatarConfigDirectory(FIXTURES, {
+        onError: (file, error) => skipped.push([path.basename(file), error.message]),
+    });
+
+    assert.deepEqual([...configs.keys()].sort(), ['avtr_unknown_type', 'avtr_valid']);
+    assert.equal(skipped.length, 1);
+    assert.equal(skipped[0][0], 'settings.json');
+    assert.match(skipped[0][1], /Not a VRChat avatar OSC config/);
+});
+
+test('registerAvatarConfig adds typed nodes, write-only for input-only parameters', async () => {
+    const server = new OSCQueryServer();
+    registerAvatarConfig(server, await loadAvatarConfig(path.join(AVATARS, 'avtr_valid.json')));
+
+    const emote = server.exportNamespace('/avatar/parameters/VRCEmote');
+    assert.equal(emote.TYPE, 'i');
+    assert.equal(emote.ACCESS, OSCQAccess.READWRITE);
+    const glasses = server.exportNamespace('/avatar/parameters/Glasses');
+    assert.equal(glasses.TYPE, 'T');
+    assert.equal(glasses.ACCESS, OSCQAccess.WRITEONLY);
+});
+
+test('validateAvatarParameter checks the OSC type, accepting T and F for bools', () => {
+    const size = { oscType: 'f' };
+    const glasses = { oscType: 'T' };
+
+    assert.equal(validateAvatarParameter(size, { type: 'f', value: 0.5 }), true);
+    assert.equal(validateAvatarParameter(size, { type: 'i', value: 1 }), false);
+    assert.equal(validateAvatarParameter(size, undefined), false);
+    assert.equal(validateAvatarParameter(glasses, { type: 'T', value: true }), true);
+    assert.equal(validateAvatarParameter(glasses, { type: 'F', value: false }), true);
+    assert.equal(validateAvatarParameter(glasses, { type: 'i', value: 1 }), false);
+});
+
+test('VRChatOSCQuery.loadAvatarConfig logs skipped files and parameters', async () => {
+    const warnings = [];
+    const logger = { warn: message => warnings.push(message), info: () => {} };
+    const vrchat = new VRChatOSCQuery('Test', { logger, logLevel: 'warn' });
+
+    const configs = await vrchat.loadAvatarConfig(FIXTURES);
+
+    assert.equal(configs.size, 2);
+    assert.ok(warnings.some(message => /Skipped avatar config: .*settings\.json/.test(message)));
+    assert.ok(warnings.some(message => /Skipped avatar parameter Position/.test(message)));
+});
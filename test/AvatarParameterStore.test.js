@@ -0,0 +1,129 @@
+/**
+ * AvatarParameterStore.test.js - Tests for the avatar parameter cache
+ *
+ * The last tests feed OSC to VRChatOSCQuery to check how the cache follows
+ * incoming parameters and avatar changes.
+ *
+ * Run with: npm test
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { AvatarParameterStore } = require('../lib/AvatarParameterStore');
+const { VRChatOSCQuery } = require('../lib/VRChatOSCQuery');
+const { encodeMessage } = require('../lib/OSCCodec');
+
+const RINFO = { address: '127.0.0.1', port: 9000 };
+
+/**
+ * Feed one OSC message to an instance as if it arrived over the network
+ *
+ * @param {VRChatOSCQuery} vrchat - Instance to feed
+ * @param {string} address - OSC address
+ * @param {Array<{type: string, value: *}>} args - Typed arguments
+ */
+function receive(vrchat, address, args) {
+    vrchat.receivePacket(encodeMessage(address, args), RINFO);
+}
+
+// ============================================================================
+// AvatarParameterStore
+// ============================================================================
+
+test('set() keeps the latest value with its type and timestamp', () => {
+    const store = new AvatarParameterStore();
+    const before = Date.now();
+
+    store.set('VRCEmote', 3, 'i');
+    store.set('Size', 0.5, 'f');
+    store.set('VRCEmote', 4);
+
+    assert.equal(store.get('VRCEmote'), 4);
+    const entry = store.getEntry('VRCEmote');
+    assert.equal(entry.type, 'i'); // Kept from the first update
+    assert.ok(entry.timestamp >= before);
+    assert.deepEqual(store.getAll(), { VRCEmote: 4, Size: 0.5 });
+    assert.equal(store.size, 2);
+    assert.equal(store.has('Size'), true);
+    assert.equal(store.get('Unknown'), undefined);
+    assert.equal(store.getEntry('Unknown'), undefined);
+});
+
+test('change events carry the old and new value and skip repeats', () => {
+    const store = new AvatarParameterStore();
+    const changes = [];
+    store.on('change', (name, value, oldValue) => changes.push([name, oldValue, value]));
+
+    assert.equal(store.set('Size', 0.5, 'f'), true);
+    assert.equal(store.set('Size', 0.5, 'f'), false);
+    assert.equal(store.set('Size', 1, 'f'), true);
+
+    assert.deepEqual(changes, [['Size', undefined, 0.5], ['Size', 0.5, 1]]);
+});
+
+test('getEntry() returns a copy', () => {
+    const store = new AvatarParameterStore();
+    store.set('Size', 0.5, 'f');
+
+    store.getEntry('Size').value = 2;
+
+    assert.equal(store.get('Size'), 0.5);
+});
+
+test('reset() drops all values and remembers the new avatar', () => {
+    const store = new AvatarParameterStore();
+    const resets = [];
+    store.on('reset', (avatarId, previousAvatarId) => resets.push([avatarId, previousAvatarId]));
+    store.set('Size', 0.5, 'f');
+
+    store.reset('avtr_a');
+    store.reset('avtr_b');
+
+    assert.equal(store.size, 0);
+    assert.equal(store.avatarId, 'avtr_b');
+    assert.deepEqual(resets, [['avtr_a', null], ['avtr_b', 'avtr_a']]);
+});
+
+// ============================================================================
+// VRChatOSCQuery integration
+// ============================================================================
+
+test('incoming avatar parameters fill the cache and /avatar/change resets it', () => {
+    const vrchat = new VRChatOSCQuery('Test');
+
+    receive(vrchat, '/avatar/parameters/Size', [{ type: 'f', value: 0.5 }]);
+    receive(vrchat, '/avatar/parameters/IsLocal', [{ type: 'T', value: true }]);
+    assert.deepEqual(vrchat.avatarParameters.getAll(), { Size: 0.5, IsLocal: true });
+    assert.equal(vrchat.avatarParameters.getEntry('IsLocal').type, 'T');
+
+    receive(vrchat, '/avatar/change', [{ type: 's', value: 'avtr_other' }]);
+    assert.equal(vrchat.avatarParameters.size, 0);
+    assert.equal(vrchat.avatarParameters.avatarId, 'avtr_other');
+});
+
+test('the cache is kept even when nobody is subscribed to avatar parameters', () => {
+    const vrchat = new VRChatOSCQuery('Test');
+    vrchat.subscribe('/input/*');
+
+    receive(vrchat, '/avatar/parameters/Size', [{ type: 'f', value: 0.5 }]);
+
+    assert.equal(vrchat.avatarParameters.get('Size'), 0.5);
+});
+
+test('mirrored parameters hold the latest value and can be turned off', () => {
+    const vrchat = new VRChatOSCQuery('Test');
+
+    receive(vrchat, '/avatar/parameters/Mode', [{ type: 'i', value: 1 }]);
+    receive(vrchat, '/avatar/parameters/Mode', [{ type: 'i', value: 2 }]);
+    receive(vrchat, '/avatar/parameters/IsLocal', [{ type: 'F', value: false }]);
+    const mode = vrchat.oscQueryServer.exportNamespace('/avatar/parameters/Mode');
+    assert.equal(mode.TYPE, 'i');
+    assert.deepEqual(mode.VALUE, [2]);
+    // T and F share one boolean parameter
+    assert.equal(vrchat.oscQueryServer.exportNamespace('/avatar/parameters/IsLocal').TYPE, 'T');
+
+    const quiet = new VRChatOSCQuery('Test', { mirrorAvatarParameters: false });
+    receive(quiet, '/avatar/parameters/Mode', [{ type: 'i', value: 1 }]);
+    assert.equal(quiet.avatarParameters.get('Mode'), 1);
+    assert.equal(quiet.oscQueryServer.exportNamespace('/avatar/parameters/Mode'), null);
+});
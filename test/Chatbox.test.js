@@ -0,0 +1,223 @@
+/**
+ * Chatbox.test.js - Tests for chatbox text splitting and the message queue
+ *
+ * The queue tests use a recording sender and short spacings; the last test
+ * checks the OSC that actually goes out with a local UDP socket.
+ *
+ * Run with: npm test
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const dgram = require('dgram');
+const { Chatbox, splitChatboxText, CHATBOX_MAX_LENGTH } = require('../lib/Chatbox');
+const { VRChatOSCQuery } = require('../lib/VRChatOSCQuery');
+const { decodePacket } = require('../lib/OSCCodec');
+
+/**
+ * Create a sender that records every message instead of sending it
+ *
+ * @param {Error} [failWith] - Reject every send with this error
+ * @returns {{messages: Array<{address: string, args: Array, at: number}>, send: function}}
+ */
+function recordingSender(failWith) {
+    const messages = [];
+    return {
+        messages,
+        send(address, ...args) {
+            messages.push({ address, args, at: Date.now() });
+            return failWith ? Promise.reject(failWith) : Promise.resolve();
+        },
+    };
+}
+
+/**
+ * Wait for a number of milliseconds
+ *
+ * @param {number} ms - Time to wait
+ * @returns {Promise}
+ */
+function delay(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// ============================================================================
+// splitChatboxText
+// ============================================================================
+
+test('splitChatboxText keeps short text in one part', () => {
+    assert.deepEqual(splitChatboxText('Hello world'), ['Hello world']);
+    assert.deepEqual(splitChatboxText('x'.repeat(CHATBOX_MAX_LENGTH)), ['x'.repeat(CHATBOX_MAX_LENGTH)]);
+});
+
+test('splitChatboxText returns nothing for blank text', () => {
+    assert.deepEqual(splitChatboxText(''), []);
+    assert.deepEqual(splitChatboxText('   \n  '), []);
+});
+
+test('splitChatboxText splits on word boundaries', () => {
+    const words = Array.from({ length: 60 }, (_, i) => `word${i}`);
+    const parts = splitChatboxText(words.join(' '));
+
+    assert.ok(parts.length > 1);
+    for (const part of parts) {
+        assert.ok(part.length <= CHATBOX_MAX_LENGTH, `${part.length} characters`);
+        assert.equal(part, part.trim());
+    }
+    assert.deepEqual(parts.join(' ').split(' '), words);
+});
+
+test('splitChatboxText hard-splits words longer than a part', () => {
+    assert.deepEqual(splitChatboxText('a'.repeat(25) + ' b', 10), ['a'.repeat(10), 'a'.repeat(10), 'a'.repeat(5) + ' b']);
+});
+
+test('splitChatboxText counts characters, not UTF-16 code units', () => {
+    const parts = splitChatboxText('😀'.repeat(15), 10);
+
+    assert.deepEqual(parts.map(part => Array.from(part).length), [10, 5]);
+    assert.ok(parts.every(part => !/[\uD800-\uDBFF]$/.test(part)), 'no part ends with half an emoji');
+});
+
+test('splitChatboxText keeps line breaks within a part', () => {
+    assert.deepEqual(splitChatboxText('first line\nsecond line'), ['first line\nsecond line']);
+});
+
+// ============================================================================
+// Chatbox queue
+// ============================================================================
+
+test('say() sends the parts in order with the configured spacing', async () => {
+    const sender = recordingSender();
+    const chatbox = new Chatbox(sender, { spacing: 60, maxLength: 10 });
+
+    assert.equal(await chatbox.say('one two three four'), true);
+
+    const inputs = sender.messages.filter(message => message.address === '/chatbox/input');
+    assert.deepEqual(inputs.map(message => message.args), [
+        ['one two', true, true],
+        ['three four', true, true],
+    ]);
+    assert.ok(inputs[1].at - inputs[0].at >= 50, `${inputs[1].at - inputs[0].at} ms apart`);
+    assert.equal(chatbox.pending, 0);
+});
+
+test('the typing indicator is on while messages wait and off afterwards', async () => {
+    const sender = recordingSender();
+    const chatbox = new Chatbox(sender, { spacing: 30, maxLength: 10 });
+
+    await chatbox.say('one two three four');
+    await delay(10);
+
+    const typing = sender.messages.filter(message => message.address === '/chatbox/typing').map(message => message.args[0]);
+    assert.deepEqual(typing, [true, false]);
+});
+
+test('the typing indicator can be turned off', async () => {
+    const sender = recordingSender();
+    const chatbox = new Chatbox(sender, { spacing: 30, maxLength: 10, typingIndicator: false });
+
+    await chatbox.say('one two three four');
+
+    assert.ok(sender.messages.every(message => message.address === '/chatbox/input'));
+});
+
+test('say() passes the keyboard and notification flags on', async () => {
+    const sender = recordingSender();
+    const chatbox = new Chatbox(sender, { spacing: 0 });
+
+    await chatbox.say('Edit me', { immediate: false });
+    await chatbox.say('Quiet one', { notify: false });
+
+    assert.deepEqual(sender.messages.map(message => message.args), [
+        ['Edit me', false, true],
+        ['Quiet one', true, false],
+    ]);
+});
+
+test('clear() drops queued messages and resolves them with false', async () => {
+    const sender = recordingSender();
+    const chatbox = new Chatbox(sender, { spacing: 1000, typingIndicator: false });
+
+    const first = chatbox.say('first');
+    const second = chatbox.say('second');
+    await first;
+    assert.equal(chatbox.pending, 1);
+    chatbox.clear();
+
+    assert.equal(await second, false);
+    assert.equal(chatbox.pending, 0);
+    assert.deepEqual(sender.messages.map(message => message.args[0]), ['first']);
+});
+
+test('a failed send rejects say() and emits error', async () => {
+    const failure = new Error('network down');
+    const chatbox = new Chatbox(recordingSender(failure), { spacing: 0, typingIndicator: false });
+    const errors = [];
+    chatbox.on('error', error => errors.push(error));
+
+    await assert.rejects(chatbox.say('hello'), /network down/);
+    assert.deepEqual(errors, [failure]);
+});
+
+test('the status line is refreshed without sound and erased by clearStatus()', async () => {
+    const sender = recordingSender();
+    const chatbox = new Chatbox(sender, { spacing: 0, typingIndicator: false });
+    let count = 0;
+
+    chatbox.setStatus(() => `Status ${++count}`, { interval: 20 });
+    await delay(70);
+    await chatbox.clearStatus();
+    const sent = sender.messages.length;
+    await delay(40);
+
+    const texts = sender.messages.map(message => message.args[0]);
+    assert.ok(texts.length >= 3, `${texts.length} messages`);
+    assert.deepEqual(texts.slice(0, 2), ['Status 1', 'Status 2']);
+    assert.equal(texts[texts.length - 1], '');
+    assert.ok(sender.messages.every(message => message.args[2] === false), 'no notification sound');
+    assert.equal(sender.messages.length, sent, 'nothing sent after clearStatus()');
+});
+
+test('queued messages take priority over the status line', async () => {
+    const sender = recordingSender();
+    const chatbox = new Chatbox(sender, { spacing: 30, typingIndicator: false });
+
+    chatbox.setStatus('AFK', { interval: 1000 });
+    await delay(5);
+    await chatbox.say('Back!');
+    await delay(50);
+    chatbox.stop();
+
+    assert.deepEqual(sender.messages.map(message => message.args[0]), ['AFK', 'Back!', 'AFK']);
+});
+
+// ============================================================================
+// Chatbox output over OSC
+// ============================================================================
+
+test('VRChatOSCQuery.chatbox sends /chatbox/input and /chatbox/typing over UDP', async (t) => {
+    const socket = dgram.createSocket('udp4');
+    await new Promise(resolve => socket.bind(0, '127.0.0.1', resolve));
+    const received = [];
+    socket.on('message', packet => received.push(decodePacket(packet)));
+
+    const vrchat = new VRChatOSCQuery('Test', {
+        sendHost: '127.0.0.1',
+        sendPort: socket.address().port,
+        chatbox: { spacing: 30, maxLength: 10 },
+    });
+    t.after(async () => {
+        socket.close();
+        await vrchat.closeServers();
+    });
+
+    await vrchat.chatbox.say('one two three four', { notify: false });
+    await delay(50);
+
+    assert.deepEqual(received.map(message => [message.address, message.args.map(arg => arg.type + String(arg.value))]), [
+        ['/chatbox/typing', ['Ttrue']],
+        ['/chatbox/input', ['sone two', 'Ttrue', 'Ffalse']],
+        ['/chatbox/input', ['sthree four', 'Ttrue', 'Ffalse']],
+        ['/chatbox/typing', ['Ffalse']],
+    ]);
+});
@@ -0,0 +1,204 @@
+/**
+ * HTTPSecurity.test.js - Tests for the client, token and origin restrictions
+ *
+ * The first tests check HTTPSecurity on its own, the rest send real requests
+ * to an OSCQueryServer on localhost.
+ *
+ * Run with: npm test
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const WebSocket = require('ws');
+const { HTTPSecurity, createAddressList } = require('../lib/HTTPSecurity');
+const { OSCQueryServer } = require('../lib/OSCQueryServer');
+const { OSCTypeSimple, OSCQAccess } = require('../lib/OSCNode');
+
+/**
+ * Build the parts of a request that HTTPSecurity looks at
+ *
+ * @param {Object} headers - Request headers (lower case names)
+ * @returns {{headers: Object}}
+ */
+function fakeRequest(headers = {}) {
+    return { headers: { host: '127.0.0.1:8080', ...headers } };
+}
+
+/**
+ * Start an OSCQueryServer with a writable /volume parameter on a free port
+ *
+ * @param {test.TestContext} t - Test context, stops the server afterwards
+ * @param {Object} [opts] - Extra server options (security settings)
+ * @returns {Promise<OSCQueryServer>}
+ */
+async function startServer(t, opts = {}) {
+    const server = new OSCQueryServer({ oscPort: 9000, bindAddress: '127.0.0.1', httpWrites: true, ...opts });
+    server.addMethod('/volume', { access: OSCQAccess.READWRITE, arguments: [{ type: OSCTypeSimple.FLOAT }] });
+    server.setValue('/volume', 0, 0.5);
+    await server.start();
+    t.after(() => server.stop());
+    return server;
+}
+
+/**
+ * Send an HTTP request to a server
+ *
+ * http.request is used instead of fetch because fetch decides on its own
+ * whether to send an Origin header. Each request gets its own connection, so
+ * none is reused from a stopped server that had the same port.
+ *
+ * @param {OSCQueryServer} server - Running server
+ * @param {string} method - HTTP method
+ * @param {string} path - Path and query string
+ * @param {Object} [headers] - Request headers
+ * @param {Object} [body] - JSON body
+ * @returns {Promise<{status: number, headers: Object, body: string}>}
+ */
+function request(server, method, path, headers = {}, body = undefined) {
+    return new Promise((resolve, reject) => {
+        const req = http.request({ host: '127.0.0.1', port: server.httpPort, method, path, headers, agent: false }, res => {
+            let data = '';
+            res.setEncoding('utf8');
+            res.on('data', chunk => data += chunk);
+            res.on('end', () => resolve({ status: res.statusCode, headers: res.headers, body: data }));
+        });
+        req.on('error', reject);
+        req.end(body === undefined ? undefined : JSON.stringify(body));
+    });
+}
+
+// ============================================================================
+// HTTPSecurity
+// ============================================================================
+
+test('address lists match single addresses, subnets and IPv4-mapped addresses', () => {
+    const list = createAddressList(['127.0.0.1', '192.168.1.0/24', 'fd00::/8']);
+    const security = new HTTPSecurity({ allowedClients: ['127.0.0.1', '192.168.1.0/24', 'fd00::/8'] });
+
+    assert.equal(list.check('192.168.1.20', 'ipv4'), true);
+    assert.equal(security.isClientAllowed('127.0.0.1'), true);
+    assert.equal(security.isClientAllowed('::ffff:127.0.0.1'), true);
+    assert.equal(security.isClientAllowed('192.168.1.254'), true);
+    assert.equal(security.isClientAllowed('fd12::1'), true);
+    assert.equal(security.isClientAllowed('192.168.2.1'), false);
+    assert.equal(security.isClientAllowed('::1'), false);
+    assert.equal(security.isClientAllowed(undefined), false);
+    assert.throws(() => createAddressList(['localhost']), /Invalid client address or subnet: localhost/);
+});
+
+test('without options every client, origin-less request and write is allowed', () => {
+    const security = new HTTPSecurity();
+
+    assert.equal(security.isClientAllowed('10.1.2.3'), true);
+    assert.equal(security.isAuthorized(fakeRequest()), true);
+    assert.equal(security.isOriginAllowed(fakeRequest(), true), true);
+});
+
+test('bearer tokens are checked when a token is configured', () => {
+    const security = new HTTPSecurity({ authToken: 'secret' });
+
+    assert.equal(security.isAuthorized(fakeRequest({ authorization: 'Bearer secret' })), true);
+    assert.equal(security.isAuthorized(fakeRequest({ authorization: 'bearer  secret ' })), true);
+    assert.equal(security.isAuthorized(fakeRequest({ authorization: 'Bearer wrong' })), false);
+    assert.equal(security.isAuthorized(fakeRequest({ authorization: 'Basic secret' })), false);
+    assert.equal(security.isAuthorized(fakeRequest()), false);
+});
+
+test('cross-origin browsers may only read unless their origin is allowlisted', () => {
+    const open = new HTTPSecurity();
+    const page = fakeRequest({ origin: 'http://evil.example' });
+    const sameOrigin = fakeRequest({ origin: 'http://127.0.0.1:8080' });
+    assert.equal(open.isOriginAllowed(page, false), true);
+    assert.equal(open.isOriginAllowed(page, true), false);
+    assert.equal(open.isOriginAllowed(sameOrigin, true), true);
+
+    const restricted = new HTTPSecurity({ allowedOrigins: ['http://localhost:5173'] });
+    assert.equal(restricted.isOriginAllowed(fakeRequest({ origin: 'http://localhost:5173' }), true), true);
+    assert.equal(restricted.isOriginAllowed(page, false), false);
+    assert.equal(new HTTPSecurity({ allowedOrigins: '*' }).isOriginAllowed(page, true), true);
+});
+
+test('CORS headers echo allowlisted origins and open reads otherwise', () => {
+    const headersFor = (security, origin, mutating) => {
+        const headers = {};
+        security.setCorsHeaders(fakeRequest(origin ? { origin } : {}), { setHeader: (name, value) => headers[name] = value }, mutating);
+        return headers;
+    };
+    const open = new HTTPSecurity();
+    const restricted = new HTTPSecurity({ allowedOrigins: ['http://localhost:5173'] });
+
+    assert.deepEqual(headersFor(open, 'http://a.example', false), { 'Access-Control-Allow-Origin': '*' });
+    assert.deepEqual(headersFor(open, 'http://a.example', true), {});
+    assert.deepEqual(headersFor(open, undefined, false), {});
+    assert.deepEqual(headersFor(restricted, 'http://localhost:5173', true), {
+        'Access-Control-Allow-Origin': 'http://localhost:5173',
+        'Vary': 'Origin',
+    });
+    assert.deepEqual(headersFor(restricted, 'http://a.example', false), {});
+});
+
+// ============================================================================
+// OSCQueryServer
+// ============================================================================
+
+test('clients outside allowedClients get 403 for HTTP and LISTEN', async (t) => {
+    const server = await startServer(t, { allowedClients: ['10.0.0.0/8'] });
+
+    assert.equal((await request(server, 'GET', '/')).status, 403);
+
+    const ws = new WebSocket(`ws://127.0.0.1:${server.httpPort}/`);
+    const status = await new Promise(resolve => ws.on('unexpected-response', (req, res) => resolve(res.statusCode)));
+    assert.equal(status, 403);
+});
+
+test('writes need the bearer token, reads do not', async (t) => {
+    const server = await startServer(t, { allowedClients: ['127.0.0.1', '::1'], authToken: 'secret' });
+
+    const read = await request(server, 'GET', '/volume?VALUE');
+    assert.equal(read.status, 200);
+    assert.deepEqual(JSON.parse(read.body), { VALUE: [0.5] });
+
+    const refused = await request(server, 'PUT', '/volume', {}, { VALUE: [0.75] });
+    assert.equal(refused.status, 401);
+    assert.equal(refused.headers['www-authenticate'], 'Bearer realm="OSCQuery"');
+    assert.equal((await request(server, 'PUT', '/volume', { Authorization: 'Bearer wrong' }, { VALUE: [0.75] })).status, 401);
+    assert.deepEqual(server.getNode('/volume').getValue(0), 0.5);
+
+    const accepted = await request(server, 'PUT', '/volume', { Authorization: 'Bearer secret' }, { VALUE: [0.75] });
+    assert.equal(accepted.status, 200);
+    assert.deepEqual(server.getNode('/volume').getValue(0), 0.75);
+});
+
+test('cross-origin pages can read with CORS but not write', async (t) => {
+    const server = await startServer(t);
+    const origin = { Origin: 'http://evil.example' };
+
+    const read = await request(server, 'GET', '/volume?VALUE', origin);
+    assert.equal(read.status, 200);
+    assert.equal(read.headers['access-control-allow-origin'], '*');
+
+    assert.equal((await request(server, 'PUT', '/volume', origin, { VALUE: [1] })).status, 403);
+    const preflight = await request(server, 'OPTIONS', '/volume', { ...origin, 'Access-Control-Request-Method': 'PUT' });
+    assert.equal(preflight.status, 403);
+    assert.deepEqual(server.getNode('/volume').getValue(0), 0.5);
+});
+
+test('allowlisted origins may write and get their origin back', async (t) => {
+    const server = await startServer(t, { allowedOrigins: ['http://localhost:5173'] });
+    const origin = { Origin: 'http://localhost:5173' };
+
+    const preflight = await request(server, 'OPTIONS', '/volume', {
+        ...origin,
+        'Access-Control-Request-Method': 'PUT',
+        'Access-Control-Request-Headers': 'content-type',
+    });
+    assert.equal(preflight.status, 204);
+    assert.equal(preflight.headers['access-control-allow-origin'], 'http://localhost:5173');
+    assert.match(preflight.headers['access-control-allow-methods'], /PUT/);
+
+    const write = await request(server, 'PUT', '/volume', origin, { VALUE: [1] });
+    assert.equal(write.status, 200);
+    assert.equal(write.headers['access-control-allow-origin'], 'http://localhost:5173');
+    assert.equal((await request(server, 'GET', '/', { Origin: 'http://evil.example' })).status, 403);
+});
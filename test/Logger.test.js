@@ -0,0 +1,132 @@
+/**
+ * Logger.test.js - Tests for leveled, per-subsystem logging
+ *
+ * Targets are small recording objects shaped like console and like pino.
+ *
+ * Run with: npm test
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { Logger, LOG_LEVELS, LOG_SUBSYSTEMS } = require('../lib/Logger');
+const { VRChatOSCQuery } = require('../lib/VRChatOSCQuery');
+const { encodeMessage } = require('../lib/OSCCodec');
+
+const LEVELS = ['trace', 'debug', 'info', 'warn', 'error'];
+
+/**
+ * Build a console-like target that records its calls
+ *
+ * @param {Array<string>} [methods] - Methods the target has
+ * @returns {{calls: Array<Array>}} Target with one method per name, calls as [method, ...args]
+ */
+function consoleTarget(methods = [...LEVELS, 'log']) {
+    const target = { calls: [] };
+    for (const method of methods) {
+        target[method] = (...args) => target.calls.push([method, ...args]);
+    }
+    return target;
+}
+
+/**
+ * Build a pino-like target (child() and a levels property) that records its calls
+ *
+ * @returns {{calls: Array<Array>}} Target, calls as [level, fields, message]
+ */
+function pinoTarget() {
+    const target = consoleTarget(LEVELS);
+    target.child = () => target;
+    target.levels = { values: { trace: 10, debug: 20, info: 30, warn: 40, error: 50 } };
+    return target;
+}
+
+test('levels are ordered like pino and bunyan', () => {
+    assert.deepEqual(LEVELS.map(level => LOG_LEVELS[level]), [10, 20, 30, 40, 50]);
+    assert.equal(LOG_LEVELS.silent, Infinity);
+});
+
+test('nothing is logged without a target', () => {
+    const logger = new Logger({ level: 'trace' });
+
+    assert.equal(logger.isEnabled('error', LOG_SUBSYSTEMS.OSC), false);
+    logger.child(LOG_SUBSYSTEMS.OSC).error('Lost'); // Must not throw
+});
+
+test('lines below the level are dropped, info is the default', () => {
+    const target = consoleTarget();
+    const log = new Logger({ logger: target }).child(LOG_SUBSYSTEMS.OSC);
+
+    for (const level of LEVELS) {
+        log[level](`${level} line`);
+    }
+
+    assert.deepEqual(target.calls, [['info', 'info line'], ['warn', 'warn line'], ['error', 'error line']]);
+    assert.equal(log.isEnabled('debug'), false);
+    assert.equal(log.isEnabled('warn'), true);
+});
+
+test('subsystems can have their own level', () => {
+    const target = consoleTarget();
+    const logger = new Logger({ logger: target, level: 'warn', levels: { osc: 'debug' } });
+
+    logger.child(LOG_SUBSYSTEMS.OSC).debug('OSC detail');
+    logger.child(LOG_SUBSYSTEMS.DISCOVERY).info('Discovery detail');
+    logger.setLevel('silent', LOG_SUBSYSTEMS.HTTP);
+    logger.child(LOG_SUBSYSTEMS.HTTP).error('HTTP failure');
+    logger.setLevel('info');
+    logger.child(LOG_SUBSYSTEMS.DISCOVERY).info('Discovery again');
+
+    assert.deepEqual(target.calls.map(call => call[1]), ['OSC detail', 'Discovery again']);
+});
+
+test('unknown levels are rejected', () => {
+    assert.throws(() => new Logger({ level: 'verbose' }), /Unknown log level: verbose/);
+    assert.throws(() => new Logger({ levels: { osc: 'loud' } }), /Unknown log level: loud/);
+    assert.throws(() => new Logger().setLevel('loud'), /Unknown log level: loud/);
+});
+
+test('console targets get the name as a prefix and the fields as a second argument', () => {
+    const target = consoleTarget();
+    const log = new Logger({ logger: target, name: 'MyApp', level: 'trace' }).child(LOG_SUBSYSTEMS.OSC);
+
+    log.info('Received OSC', { address: '/input/Jump', values: [1] });
+    log.warn('No fields');
+    log.trace('Sending OSC packet');
+
+    assert.deepEqual(target.calls, [
+        ['info', '[MyApp] Received OSC', { address: '/input/Jump', values: [1] }],
+        ['warn', '[MyApp] No fields'],
+        ['debug', '[MyApp] Sending OSC packet'], // console.trace would print a stack trace
+    ]);
+});
+
+test('targets with only log() still get every line', () => {
+    const target = consoleTarget(['log']);
+    const log = new Logger({ logger: target }).child(LOG_SUBSYSTEMS.APP);
+
+    log.error('Failed');
+
+    assert.deepEqual(target.calls, [['log', 'Failed']]);
+});
+
+test('pino-style targets get the fields first, with name and subsystem', () => {
+    const target = pinoTarget();
+    const log = new Logger({ logger: target, name: 'MyApp', level: 'trace' }).child(LOG_SUBSYSTEMS.DISCOVERY);
+
+    log.trace('Found peer', { peer: 'VRChat-Client-ABC', port: 9000 });
+
+    assert.deepEqual(target.calls, [
+        ['trace', { name: 'MyApp', subsystem: 'discovery', peer: 'VRChat-Client-ABC', port: 9000 }, 'Found peer'],
+    ]);
+});
+
+test('VRChatOSCQuery logs through the logger option with its own levels', () => {
+    const target = pinoTarget();
+    const vrchat = new VRChatOSCQuery('MyApp', { logger: target, logLevel: 'warn', logLevels: { osc: 'debug' } });
+
+    vrchat.receivePacket(encodeMessage('/input/Jump', [1]), { address: '127.0.0.1', port: 9000 });
+
+    const received = target.calls.find(([, , message]) => message === 'Received OSC');
+    assert.deepEqual(received, ['debug', { name: 'MyApp', subsystem: 'osc', address: '/input/Jump', values: [1] }, 'Received OSC']);
+    assert.ok(target.calls.every(([level, fields]) => fields.subsystem === 'osc' || LOG_LEVELS[level] >= LOG_LEVELS.warn));
+});
@@ -0,0 +1,180 @@
+/**
+ * OSCCodec.test.js - Tests for encoding and decoding OSC messages and bundles
+ *
+ * Run with: npm test
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    encodeMessage,
+    encodeBundle,
+    decodeMessage,
+    decodePacket,
+    inferType,
+    OSCTypedValue,
+    OSCInt,
+    OSCFloat,
+    OSCDouble,
+    OSCBigInt,
+    OSCSymbol,
+    OSCChar,
+    OSCBlob,
+    OSCColor,
+    OSCMidi,
+    OSCTimetag,
+} = require('../lib/OSCCodec');
+
+/**
+ * Encode a message, decode it again and strip the arguments to { type, value }
+ *
+ * @param {Array} args - Message arguments
+ * @returns {Array<{type: string, value: *}>}
+ */
+function roundTrip(args) {
+    return decodeMessage(encodeMessage('/test', args)).args.map(({ type, value }) => ({ type, value }));
+}
+
+// ============================================================================
+// Type tags
+// ============================================================================
+
+test('every OSC type survives a round trip with its type tag', () => {
+    const args = [
+        new OSCInt(-42),
+        new OSCFloat(0.5),
+        new OSCDouble(Math.PI),
+        new OSCBigInt(2n ** 62n),
+        new OSCTypedValue('s', 'héllo'),
+        new OSCSymbol('symbol'),
+        new OSCChar('x'),
+        new OSCBlob([1, 2, 3, 4, 5]),
+        new OSCColor(255, 128, 0, 64),
+        new OSCMidi(1, 0x90, 60, 127),
+        new OSCTimetag(3900000000, 12345),
+        new OSCTypedValue('T', true),
+        new OSCTypedValue('F', false),
+        new OSCTypedValue('N', null),
+        new OSCTypedValue('I', Infinity),
+    ];
+
+    assert.deepEqual(roundTrip(args), args.map(({ type, value }) => ({ type, value })));
+});
+
+test('decoded arguments are typed wrappers that still work as numbers', () => {
+    const [int, float] = decodeMessage(encodeMessage('/test', [new OSCInt(1), new OSCFloat(1)])).args;
+
+    assert.ok(int instanceof OSCInt);
+    assert.ok(float instanceof OSCFloat);
+    assert.equal(int + float, 2);
+});
+
+test('plain values get an inferred type', () => {
+    assert.deepEqual(roundTrip([1, 1.5, true, false, null, 'text', 5n, Infinity]).map(arg => arg.type).join(''), 'ifTFNshI');
+    assert.equal(inferType(new Date()), 't');
+    assert.equal(inferType(Buffer.from('x')), 'b');
+});
+
+test('{ type, value } objects are converted to the type', () => {
+    assert.deepEqual(roundTrip([{ type: 'f', value: 1 }, { type: 'i', value: 2.9 }, { type: 'T', value: 0 }]), [
+        { type: 'f', value: 1 },
+        { type: 'i', value: 2 },
+        { type: 'F', value: false },
+    ]);
+});
+
+test('OSC arrays are encoded between [ and ]', () => {
+    const packet = encodeMessage('/test', [{ type: ['f', 'f'], value: [0.5, 0.25] }, 1]);
+
+    assert.ok(packet.includes(Buffer.from(',[ff]i')));
+    assert.deepEqual(roundTrip([{ type: ['f', 'f'], value: [0.5, 0.25] }, 1]), [
+        { type: ['f', 'f'], value: [0.5, 0.25] },
+        { type: 'i', value: 1 },
+    ]);
+});
+
+test('strings and blobs are padded to four bytes', () => {
+    for (const text of ['', 'a', 'abc', 'abcd']) {
+        assert.equal(encodeMessage('/test', [text]).length % 4, 0, JSON.stringify(text));
+    }
+    assert.deepEqual(roundTrip([new OSCBlob([1, 2, 3]), 7]).map(arg => arg.type), ['b', 'i']);
+});
+
+test('a message without a type tag string has no arguments', () => {
+    assert.deepEqual(decodeMessage(Buffer.from('/ping\0\0\0')), { address: '/ping', args: [] });
+});
+
+test('malformed packets are rejected', () => {
+    const valid = encodeMessage('/test', [1]);
+
+    assert.throws(() => decodeMessage(Buffer.from('test\0\0\0\0')), /Invalid OSC address/);
+    assert.throws(() => decodeMessage(valid.subarray(0, valid.length - 2)), /truncated/);
+    assert.throws(() => decodeMessage(Buffer.concat([Buffer.from('/test\0\0\0'), Buffer.from(',X\0\0')])), /Unsupported OSC type tag: X/);
+    assert.throws(() => decodeMessage(Buffer.concat([Buffer.from('/test\0\0\0'), Buffer.from(',[T\0')])), /Unbalanced/);
+    assert.throws(() => encodeMessage('/test', [{ type: 'X', value: 1 }]), /Unsupported OSC type: X/);
+});
+
+test('decodePacket() decodes plain messages', () => {
+    const message = decodePacket(encodeMessage('/avatar/parameters/VRCEmote', [new OSCInt(3)]));
+
+    assert.equal(message.address, '/avatar/parameters/VRCEmote');
+    assert.deepEqual(message.args.map(arg => arg.value), [3]);
+});
+
+// ============================================================================
+// Bundles and timetags
+// ============================================================================
+
+test('bundles keep their timetag and element order, including nested bundles', () => {
+    const timetag = new OSCTimetag(3900000000, 0x80000000);
+    const packet = encodeBundle(timetag, [
+        ['/light/r', new OSCFloat(1)],
+        { address: '/light/g', args: [new OSCFloat(0.5)] },
+        encodeMessage('/light/b', [0]),
+        { timetag: OSCTimetag.immediate(), elements: [['/light/on', true]] },
+    ]);
+
+    const bundle = decodePacket(packet);
+    assert.deepEqual(bundle.timetag.value, { seconds: 3900000000, fraction: 0x80000000 });
+    assert.deepEqual(bundle.elements.slice(0, 3).map(message => [message.address, message.args[0].value]), [
+        ['/light/r', 1],
+        ['/light/g', 0.5],
+        ['/light/b', 0],
+    ]);
+    const nested = bundle.elements[3];
+    assert.equal(nested.timetag.isImmediate(), true);
+    assert.equal(nested.elements[0].address, '/light/on');
+});
+
+test('a bundle without a timetag is sent as "immediately"', () => {
+    const bundle = decodePacket(encodeBundle(undefined, [['/ping']]));
+
+    assert.equal(bundle.timetag.isImmediate(), true);
+    assert.equal(bundle.elements[0].address, '/ping');
+});
+
+test('bundle timetags can be given as Dates and Unix milliseconds', () => {
+    const at = Date.UTC(2030, 0, 1, 12, 0, 0, 250);
+
+    for (const timetag of [new Date(at), at, OSCTimetag.fromDate(at)]) {
+        const decoded = decodePacket(encodeBundle(timetag, [])).timetag;
+        assert.ok(Math.abs(decoded.toMillis() - at) < 0.001, `${decoded.toMillis()} != ${at}`);
+    }
+});
+
+test('timetags convert between NTP time and Unix time', () => {
+    const timetag = OSCTimetag.fromDate(new Date(Date.UTC(1970, 0, 1)));
+    assert.deepEqual(timetag.value, { seconds: 2208988800, fraction: 0 });
+
+    const soon = OSCTimetag.now(1000);
+    assert.ok(Math.abs(soon.toMillis() - (Date.now() + 1000)) < 50);
+    assert.equal(soon.isImmediate(), false);
+    assert.ok(Math.abs(soon.toDate().getTime() - soon.toMillis()) < 1);
+});
+
+test('truncated bundles are rejected', () => {
+    const packet = encodeBundle(OSCTimetag.immediate(), [['/ping', 1]]);
+
+    assert.throws(() => decodePacket(packet.subarray(0, 12)), /truncated/);
+    assert.throws(() => decodePacket(packet.subarray(0, packet.length - 4)), /truncated/);
+});
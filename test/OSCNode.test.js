@@ -0,0 +1,49 @@
+/**
+ * OSCNode.test.js - Tests for parameter nodes and value checking
+ *
+ * Run with: npm test
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { OSCNode, OSCTypeSimple, OSCQAccess, OSCValueError } = require('../lib/OSCNode');
+
+/**
+ * Create a parameter node with the given arguments
+ *
+ * @param {Array<Object>} args - Argument definitions ({ type, range, clipmode, ... })
+ * @returns {OSCNode}
+ */
+function parameter(args) {
+    const node = new OSCNode('param');
+    node.setOpts({ access: OSCQAccess.READWRITE, arguments: args });
+    return node;
+}
+
+test('rejected BigInt values are described in the error message', () => {
+    const node = parameter([{ type: OSCTypeSimple.INT }]);
+
+    assert.throws(() => node.checkValue(0, 5n), error =>
+        error instanceof OSCValueError && error.code === 'TYPE_MISMATCH' && /got 5n/.test(error.message));
+});
+
+test('values outside VALS are described in the error message', () => {
+    const node = parameter([{ type: OSCTypeSimple.BIGINT, range: { vals: [1n, 2n] } }]);
+
+    assert.throws(() => node.checkValue(0, 3n), error =>
+        error instanceof OSCValueError && error.code === 'NOT_ALLOWED' && /\[ 1n, 2n \], got 3n/.test(error.message));
+});
+
+test('methods() lists the parameters of a subtree with their full paths', () => {
+    const root = new OSCNode('');
+    const avatar = root.getOrCreateChild('avatar');
+    const parameters = avatar.getOrCreateChild('parameters');
+    parameters.getOrCreateChild('Size').setOpts({ access: OSCQAccess.READWRITE, arguments: [{ type: OSCTypeSimple.FLOAT }] });
+    parameters.getOrCreateChild('IsLocal').setOpts({ access: OSCQAccess.READONLY, arguments: [{ type: OSCTypeSimple.TRUE }] });
+
+    assert.deepEqual([...avatar.methods('/avatar')].map(method => [method.full_path, method.access]), [
+        ['/avatar/parameters/Size', OSCQAccess.READWRITE],
+        ['/avatar/parameters/IsLocal', OSCQAccess.READONLY],
+    ]);
+    assert.deepEqual([...root.methods()].map(method => method.full_path), ['/avatar/parameters/Size', '/avatar/parameters/IsLocal']);
+});
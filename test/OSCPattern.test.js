@@ -0,0 +1,76 @@
+/**
+ * OSCPattern.test.js - Tests for OSC address pattern matching and subscriptions
+ *
+ * Run with: npm test
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { OSCPattern } = require('../lib/OSCPattern');
+const { VRChatOSCQuery } = require('../lib/VRChatOSCQuery');
+
+/**
+ * List which of the addresses a pattern matches
+ *
+ * @param {string} pattern - OSC address pattern
+ * @param {Array<string>} addresses - Addresses to try
+ * @param {Object} [opts] - OSCPattern options
+ * @returns {Array<string>} The matching addresses
+ */
+function matching(pattern, addresses, opts) {
+    const compiled = new OSCPattern(pattern, opts);
+    return addresses.filter(address => compiled.matches(address));
+}
+
+test('standard OSC pattern syntax', () => {
+    const gestures = ['/avatar/parameters/GestureLeft', '/avatar/parameters/GestureRight', '/avatar/parameters/GestureLeftWeight'];
+
+    assert.deepEqual(matching('/avatar/parameters/{GestureLeft,GestureRight}', gestures), gestures.slice(0, 2));
+    assert.deepEqual(matching('/avatar/parameters/Gesture[LR]*', gestures), gestures);
+    assert.deepEqual(matching('/avatar/parameters/Gesture[!L]*', gestures), ['/avatar/parameters/GestureRight']);
+    assert.deepEqual(matching('/avatar/parameters/Gesture????', gestures), ['/avatar/parameters/GestureLeft']);
+    assert.deepEqual(matching('/[a-c]', ['/a', '/b', '/d', '/-']), ['/a', '/b']);
+});
+
+test('* stays within one path segment unless prefixWildcard is set', () => {
+    const addresses = ['/avatar/change', '/avatar/parameters/VRCEmote', '/input/Jump'];
+
+    assert.deepEqual(matching('/avatar/*', addresses), ['/avatar/change']);
+    assert.deepEqual(matching('/avatar/*', addresses, { prefixWildcard: true }), addresses.slice(0, 2));
+    // Only a trailing * is affected
+    assert.deepEqual(matching('/*/change', addresses, { prefixWildcard: true }), ['/avatar/change']);
+});
+
+test('// matches any number of path segments', () => {
+    const addresses = ['/Jump', '/input/Jump', '/a/b/Jump', '/input/JumpHigh'];
+
+    assert.deepEqual(matching('//Jump', addresses), addresses.slice(0, 3));
+    assert.deepEqual(matching('/avatar//*', ['/avatar/change', '/avatar/parameters/Size', '/input/Jump']),
+        ['/avatar/change', '/avatar/parameters/Size']);
+});
+
+test('the (!?text) exclusion and plain addresses', () => {
+    assert.deepEqual(matching('/avatar/parameters/(!?vrcft)', ['/avatar/parameters/Size', '/avatar/parameters/vrcft/Eye']),
+        ['/avatar/parameters/Size']);
+    assert.deepEqual(matching('/input/Jump', ['/input/Jump', '/input/Jumps']), ['/input/Jump']);
+    assert.equal(OSCPattern.isPattern('/input/Jump'), false);
+    assert.equal(OSCPattern.isPattern('/input/J?mp'), true);
+});
+
+test('malformed patterns are rejected when compiled', () => {
+    assert.throws(() => new OSCPattern('/avatar/[abc'), /Unclosed '\['/);
+    assert.throws(() => new OSCPattern('/avatar/{a,b'), /Unclosed '\{'/);
+    assert.throws(() => new VRChatOSCQuery('Test').subscribe('/avatar/[abc'), /Unclosed/);
+});
+
+test('subscribe() keeps prefix matching for a trailing * unless strictPatterns is set', () => {
+    const compatible = new VRChatOSCQuery('Test');
+    compatible.subscribe('/avatar/*');
+    assert.equal(compatible.shouldProcessMessage('/avatar/parameters/VRCEmote'), true);
+    assert.equal(compatible.shouldProcessMessage('/input/Jump'), false);
+
+    const strict = new VRChatOSCQuery('Test', { strictPatterns: true });
+    strict.subscribe('/avatar/*');
+    assert.equal(strict.shouldProcessMessage('/avatar/change'), true);
+    assert.equal(strict.shouldProcessMessage('/avatar/parameters/VRCEmote'), false);
+});
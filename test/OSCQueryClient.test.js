@@ -0,0 +1,109 @@
+/**
+ * OSCQueryClient.test.js - Tests for reading a remote OSC Query namespace
+ *
+ * The client talks to an OSCQueryServer on localhost, or to a plain HTTP
+ * server where a test needs answers our own server wouldn't give.
+ *
+ * Run with: npm test
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const { OSCQueryClient } = require('../lib/OSCQueryClient');
+const { OSCQueryServer } = require('../lib/OSCQueryServer');
+const { OSCTypeSimple, OSCQAccess } = require('../lib/OSCNode');
+
+/**
+ * Start an OSCQueryServer on a free port
+ *
+ * @param {test.TestContext} t - Test context, stops the server afterwards
+ * @returns {Promise<OSCQueryServer>}
+ */
+async function startServer(t) {
+    const server = new OSCQueryServer({ oscPort: 9000, bindAddress: '127.0.0.1' });
+    await server.start();
+    t.after(() => server.stop());
+    return server;
+}
+
+/**
+ * Start a plain HTTP server answering fixed responses by URL
+ *
+ * @param {test.TestContext} t - Test context, closes the server afterwards
+ * @param {Object<string, {status: number, body: *}>} routes - URL -> response
+ * @returns {Promise<number>} The port
+ */
+async function startStandIn(t, routes) {
+    const server = http.createServer((req, res) => {
+        const route = routes[req.url] || { status: 404 };
+        res.statusCode = route.status;
+        res.end(route.body === undefined ? undefined : JSON.stringify(route.body));
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    t.after(() => server.close());
+    return server.address().port;
+}
+
+test('connect() fetches HOST_INFO and the namespace', async (t) => {
+    const server = await startServer(t);
+    server.addMethod('/lights/brightness', {
+        access: OSCQAccess.READWRITE,
+        arguments: [{ type: OSCTypeSimple.FLOAT, range: { min: 0, max: 1 }, value: 0.5 }],
+    });
+    const client = new OSCQueryClient({ host: '127.0.0.1', port: server.httpPort });
+
+    await client.connect();
+
+    assert.equal(client.hostInfo.OSC_PORT, 9000);
+    assert.deepEqual(client.getType('/lights/brightness'), ['f']);
+    assert.deepEqual(client.getRange('/lights/brightness'), [{ min: 0, max: 1, vals: undefined }]);
+    assert.equal(client.getAccess('/lights/brightness'), OSCQAccess.READWRITE);
+    assert.equal(client.getType('/lights/unknown'), null);
+});
+
+test('getValue() mirrors a partially set node', async (t) => {
+    const server = await startServer(t);
+    server.addMethod('/pair', {
+        access: OSCQAccess.READWRITE,
+        arguments: [{ type: OSCTypeSimple.FLOAT }, { type: OSCTypeSimple.INT, range: { min: 0, max: 10 }, value: 4 }],
+    });
+    const client = new OSCQueryClient({ host: '127.0.0.1', port: server.httpPort });
+    await client.connect();
+
+    assert.deepEqual(await client.getValue('/pair'), [null, 4]);
+    assert.equal(client.getNode('/pair').getValue(0), undefined);
+    assert.equal(client.getNode('/pair').getValue(1), 4);
+
+    server.setValue('/pair', 0, 0.25);
+    assert.deepEqual(await client.getValue('/pair'), [0.25, 4]);
+    assert.equal(client.getNode('/pair').getValue(0), 0.25);
+});
+
+test('getValue() keeps remote values even outside the remote RANGE', async (t) => {
+    const port = await startStandIn(t, {
+        '/': { status: 200, body: { FULL_PATH: '/', CONTENTS: {
+            level: { FULL_PATH: '/level', ACCESS: 3, TYPE: 'i', RANGE: [{ MIN: 0, MAX: 10 }], VALUE: [5] },
+        } } },
+        '/level?VALUE': { status: 200, body: { VALUE: [42] } },
+    });
+    const client = new OSCQueryClient({ host: '127.0.0.1', port });
+    await client.refresh();
+
+    assert.deepEqual(await client.getValue('/level'), [42]);
+    assert.equal(client.getNode('/level').getValue(0), 42);
+});
+
+test('refresh() rejects an answer without a node and keeps the local tree', async (t) => {
+    const port = await startStandIn(t, {
+        '/': { status: 200, body: { FULL_PATH: '/', CONTENTS: {
+            level: { FULL_PATH: '/level', ACCESS: 3, TYPE: 'i', VALUE: [5] },
+        } } },
+        '/level': { status: 204 },
+    });
+    const client = new OSCQueryClient({ host: '127.0.0.1', port });
+    await client.refresh();
+
+    await assert.rejects(client.refresh('/level'), /returned no OSC Query node/);
+    assert.deepEqual(client.getType('/level'), ['i']);
+});
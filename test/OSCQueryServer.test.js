@@ -0,0 +1,546 @@
+/**
+ * OSCQueryServer.test.js - Tests for the OSC Query server: HTTP API, LISTEN
+ * extension, namespace import/export and mDNS advertisement
+ *
+ * Most tests start their own server on a free port on localhost. LISTEN clients
+ * connect with the ws package, like browser-based OSC Query tools do.
+ *
+ * Run with: npm test
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('http');
+const zlib = require('zlib');
+const WebSocket = require('ws');
+const { OSCQueryServer } = require('../lib/OSCQueryServer');
+const { OSCServiceBrowser } = require('../lib/OSCServiceBrowser');
+const { OSCTypeSimple, OSCQAccess, OSCClipMode, OSCValueError } = require('../lib/OSCNode');
+const { decodePacket } = require('../lib/OSCCodec');
+
+/**
+ * Start an OSCQueryServer on a free port
+ *
+ * @param {test.TestContext} t - Test context, stops the server afterwards
+ * @param {Object} [opts] - Extra server options
+ * @returns {Promise<OSCQueryServer>}
+ */
+async function startServer(t, opts = {}) {
+    const server = new OSCQueryServer({ oscPort: 9000, bindAddress: '127.0.0.1', ...opts });
+    await server.start();
+    t.after(() => server.stop());
+    return server;
+}
+
+/**
+ * Wait for a number of milliseconds
+ *
+ * @param {number} ms - Time to wait
+ * @returns {Promise}
+ */
+function delay(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Connect a LISTEN client that queues everything the server sends
+ *
+ * Binary frames are decoded as OSC ({ address, values }), text frames are
+ * parsed as JSON commands.
+ *
+ * @param {test.TestContext} t - Test context, closes the connection afterwards
+ * @param {OSCQueryServer} server - Running server
+ * @returns {Promise<{ws: WebSocket, command: function(string, string): Promise, next: function(): Promise<Object>, received: Array}>}
+ */
+async function connectListener(t, server) {
+    const ws = new WebSocket(`ws://127.0.0.1:${server.httpPort}/`);
+    const received = [];
+    const waiting = [];
+    ws.on('message', (data, isBinary) => {
+        const message = isBinary ? decodePacket(data) : JSON.parse(data.toString());
+        const entry = isBinary ? { address: message.address, values: message.args.map(arg => arg.value) } : message;
+        if (waiting.length > 0) {
+            waiting.shift()(entry);
+        } else {
+            received.push(entry);
+        }
+    });
+    await new Promise((resolve, reject) => {
+        ws.once('open', resolve);
+        ws.once('error', reject);
+    });
+    t.after(() => ws.close());
+
+    return {
+        ws,
+        received,
+        // Send a command and give the server a moment to act on it
+        command: async (COMMAND, DATA) => {
+            ws.send(JSON.stringify({ COMMAND, DATA }));
+            await delay(30);
+        },
+        next: () => received.length > 0 ? Promise.resolve(received.shift()) : new Promise(resolve => waiting.push(resolve)),
+    };
+}
+
+// ============================================================================
+// LISTEN extension
+// ============================================================================
+
+test('LISTEN clients receive value changes as binary OSC until they IGNORE the path', async (t) => {
+    const server = await startServer(t);
+    server.addMethod('/lights/brightness', { access: OSCQAccess.READWRITE, arguments: [{ type: OSCTypeSimple.FLOAT }] });
+    server.addMethod('/lights/color', { access: OSCQAccess.READWRITE, arguments: [{ type: OSCTypeSimple.STRING }] });
+    const listener = await connectListener(t, server);
+
+    await listener.command('LISTEN', '/lights/brightness');
+    server.setValue('/lights/color', 0, 'red'); // Not listened to
+    server.setValue('/lights/brightness', 0, 0.5);
+    assert.deepEqual(await listener.next(), { address: '/lights/brightness', values: [0.5] });
+
+    await listener.command('IGNORE', '/lights/brightness');
+    server.setValue('/lights/brightness', 0, 0.75);
+    await delay(30);
+    assert.deepEqual(listener.received, []);
+});
+
+test('values written over OSC are pushed to LISTEN clients when stored', async (t) => {
+    const server = await startServer(t);
+    server.addMethod('/stored', { access: OSCQAccess.READWRITE, arguments: [{ type: OSCTypeSimple.INT }], store: true });
+    server.addMethod('/passed', { access: OSCQAccess.READWRITE, arguments: [{ type: OSCTypeSimple.INT }] });
+    const listener = await connectListener(t, server);
+    await listener.command('LISTEN', '/stored');
+    await listener.command('LISTEN', '/passed');
+
+    server.write('/passed', [1]);
+    server.write('/stored', [2]);
+
+    assert.deepEqual(await listener.next(), { address: '/stored', values: [2] });
+    await delay(30);
+    assert.deepEqual(listener.received, []);
+});
+
+test('values of write-only and partially set parameters are not pushed', async (t) => {
+    const server = await startServer(t);
+    server.addMethod('/secret', { access: OSCQAccess.WRITEONLY, arguments: [{ type: OSCTypeSimple.INT }] });
+    server.addMethod('/pair', { access: OSCQAccess.READWRITE, arguments: [{ type: OSCTypeSimple.INT }, { type: OSCTypeSimple.INT }] });
+    const listener = await connectListener(t, server);
+    await listener.command('LISTEN', '/secret');
+    await listener.command('LISTEN', '/pair');
+
+    server.setValue('/secret', 0, 1);
+    server.setValue('/pair', 0, 1);
+    await delay(30);
+    assert.deepEqual(listener.received, []);
+
+    server.setValue('/pair', 1, 2);
+    assert.deepEqual(await listener.next(), { address: '/pair', values: [1, 2] });
+});
+
+test('namespace changes are announced to every client without LISTEN', async (t) => {
+    const server = await startServer(t);
+    const listener = await connectListener(t, server);
+
+    server.addMethod('/a/b', { access: OSCQAccess.READWRITE, arguments: [{ type: OSCTypeSimple.INT }] });
+    server.addMethod('/a/b', { access: OSCQAccess.READONLY, arguments: [{ type: OSCTypeSimple.INT }] });
+    server.renameMethod('/a/b', '/a/c');
+    server.removeMethod('/a/c');
+
+    assert.deepEqual(await listener.next(), { COMMAND: 'PATH_ADDED', DATA: '/a' });
+    assert.deepEqual(await listener.next(), { COMMAND: 'PATH_CHANGED', DATA: '/a/b' });
+    assert.deepEqual(await listener.next(), { COMMAND: 'PATH_RENAMED', DATA: { OLD: '/a/b', NEW: '/a/c' } });
+    assert.deepEqual(await listener.next(), { COMMAND: 'PATH_REMOVED', DATA: '/a' });
+});
+
+test('HOST_INFO announces the LISTEN and PATH_* extensions', async (t) => {
+    const server = await startServer(t);
+    const response = await fetch(`http://127.0.0.1:${server.httpPort}/?HOST_INFO`);
+    const hostInfo = await response.json();
+
+    assert.equal(hostInfo.EXTENSIONS.LISTEN, true);
+    assert.equal(hostInfo.EXTENSIONS.PATH_ADDED, true);
+    assert.equal(hostInfo.EXTENSIONS.PATH_REMOVED, true);
+    assert.equal(hostInfo.EXTENSIONS.PATH_RENAMED, true);
+    assert.equal(hostInfo.EXTENSIONS.PATH_CHANGED, true);
+});
+
+// ============================================================================
+// Namespace notifications
+// ============================================================================
+
+test('removing a subtree announces only its top-most node', async (t) => {
+    const server = await startServer(t);
+    server.addMethod('/avatar/change', { access: OSCQAccess.WRITEONLY, arguments: [{ type: OSCTypeSimple.STRING }] });
+    server.addMethod('/avatar/parameters/Size', { access: OSCQAccess.READWRITE, arguments: [{ type: OSCTypeSimple.FLOAT }] });
+    server.addMethod('/avatar/parameters/VRCEmote', { access: OSCQAccess.READWRITE, arguments: [{ type: OSCTypeSimple.INT }] });
+    const listener = await connectListener(t, server);
+
+    server.removeMethod('/avatar/parameters', { recursive: true });
+
+    assert.deepEqual(await listener.next(), { COMMAND: 'PATH_REMOVED', DATA: '/avatar/parameters' });
+    await delay(30);
+    assert.deepEqual(listener.received, []);
+    assert.equal(server.getNode('/avatar/parameters'), null);
+    assert.notEqual(server.getNode('/avatar/change'), null);
+});
+
+test('a removed parameter that still has children stays as a container', async (t) => {
+    const server = await startServer(t);
+    server.addMethod('/lights', { access: OSCQAccess.READWRITE, arguments: [{ type: OSCTypeSimple.TRUE }] });
+    server.addMethod('/lights/brightness', { access: OSCQAccess.READWRITE, arguments: [{ type: OSCTypeSimple.FLOAT }] });
+    const listener = await connectListener(t, server);
+
+    server.removeMethod('/lights');
+
+    assert.deepEqual(await listener.next(), { COMMAND: 'PATH_CHANGED', DATA: '/lights' });
+    assert.equal(server.getNode('/lights').isContainer(), true);
+    assert.notEqual(server.getNode('/lights/brightness'), null);
+});
+
+test('a rename onto an existing path fails without a notification', async (t) => {
+    const server = await startServer(t);
+    server.addMethod('/a', { access: OSCQAccess.READWRITE, arguments: [{ type: OSCTypeSimple.INT }] });
+    server.addMethod('/b', { access: OSCQAccess.READWRITE, arguments: [{ type: OSCTypeSimple.INT }] });
+    const listener = await connectListener(t, server);
+
+    assert.throws(() => server.renameMethod('/a', '/b'));
+    assert.equal(server.renameMethod('/missing', '/c'), false);
+    await delay(30);
+    assert.deepEqual(listener.received, []);
+});
+
+test('the namespace over HTTP follows the notifications', async (t) => {
+    const server = await startServer(t);
+    server.addMethod('/a/b', { access: OSCQAccess.READWRITE, arguments: [{ type: OSCTypeSimple.INT }] });
+    server.renameMethod('/a/b', '/c/d');
+
+    const root = await (await fetch(`http://127.0.0.1:${server.httpPort}/`)).json();
+    assert.deepEqual(Object.keys(root.CONTENTS), ['c']);
+    assert.equal(root.CONTENTS.c.CONTENTS.d.FULL_PATH, '/c/d');
+});
+
+// ============================================================================
+// Namespace export and import
+// ============================================================================
+
+/**
+ * Build a server (not started) with a small lighting namespace
+ *
+ * @returns {OSCQueryServer}
+ */
+function lightingServer() {
+    const server = new OSCQueryServer({ oscPort: 9000 });
+    server.addMethod('/lights/brightness', {
+        description: 'Brightness',
+        access: OSCQAccess.READWRITE,
+        tags: ['light'],
+        critical: true,
+        arguments: [{ type: OSCTypeSimple.FLOAT, range: { min: 0, max: 1 }, clipmode: OSCClipMode.BOTH }],
+    });
+    server.addMethod('/lights/mode', { access: OSCQAccess.READWRITE, arguments: [{ type: OSCTypeSimple.STRING, range: { vals: ['on', 'off'] } }] });
+    server.addMethod('/lights/secret', { access: OSCQAccess.WRITEONLY, arguments: [{ type: OSCTypeSimple.INT }] });
+    server.setValue('/lights/brightness', 0, 0.5);
+    server.setValue('/lights/mode', 0, 'on');
+    server.setValue('/lights/secret', 0, 42);
+    return server;
+}
+
+test('an exported namespace imports into another server unchanged', () => {
+    const exported = lightingServer().exportNamespace('/', { allValues: true });
+    const server = new OSCQueryServer({ oscPort: 9000 });
+
+    server.importNamespace(JSON.stringify(exported));
+
+    assert.deepEqual(server.exportNamespace('/', { allValues: true }), exported);
+    const brightness = server.exportNamespace('/lights/brightness');
+    assert.deepEqual(JSON.parse(JSON.stringify(brightness.RANGE)), [{ MIN: 0, MAX: 1 }]); // As sent over HTTP
+    assert.deepEqual(brightness.CLIPMODE, ['both']);
+    assert.deepEqual(brightness.TAGS, ['light']);
+    assert.equal(brightness.CRITICAL, true);
+});
+
+test('write-only values are only exported with allValues', () => {
+    const server = lightingServer();
+
+    assert.equal(server.exportNamespace('/lights/secret').VALUE, undefined);
+    assert.deepEqual(server.exportNamespace('/lights/secret', { allValues: true }).VALUE, [42]);
+    assert.equal(server.exportNamespace('/missing'), null);
+});
+
+test('subtrees are imported at their FULL_PATH or at options.path', () => {
+    const subtree = lightingServer().exportNamespace('/lights');
+    const server = new OSCQueryServer({ oscPort: 9000 });
+
+    server.importNamespace(subtree);
+    server.importNamespace(subtree, { path: '/stage/lights' });
+
+    assert.deepEqual(server.getNode('/lights/mode').getValue(0), 'on');
+    assert.deepEqual(server.getNode('/stage/lights/mode').getValue(0), 'on');
+    assert.equal(server.exportNamespace('/stage/lights/mode').FULL_PATH, '/stage/lights/mode');
+});
+
+test('merge keeps other nodes, replace removes them', () => {
+    const merged = lightingServer();
+    const replaced = lightingServer();
+    const json = { FULL_PATH: '/lights', CONTENTS: { color: { FULL_PATH: '/lights/color', ACCESS: 3, TYPE: 's', VALUE: ['red'] } } };
+
+    merged.importNamespace(json);
+    replaced.importNamespace(json, { mode: 'replace' });
+
+    assert.deepEqual(Object.keys(merged.exportNamespace('/lights').CONTENTS).sort(), ['brightness', 'color', 'mode', 'secret']);
+    assert.deepEqual(Object.keys(replaced.exportNamespace('/lights').CONTENTS), ['color']);
+    assert.deepEqual(replaced.getNode('/lights/color').getValue(0), 'red');
+});
+
+test('merging arguments keeps the RANGE and CLIPMODE the import leaves out', () => {
+    const server = lightingServer();
+
+    server.importNamespace({ FULL_PATH: '/lights/brightness', TYPE: 'f', VALUE: [2] });
+
+    const brightness = server.exportNamespace('/lights/brightness');
+    assert.deepEqual(JSON.parse(JSON.stringify(brightness.RANGE)), [{ MIN: 0, MAX: 1 }]); // As sent over HTTP
+    assert.deepEqual(brightness.CLIPMODE, ['both']);
+    assert.deepEqual(brightness.VALUE, [1]); // Clamped by the kept clip mode
+    assert.equal(brightness.DESCRIPTION, 'Brightness');
+});
+
+test('a value that does not fit imports nothing', () => {
+    const server = lightingServer();
+    const before = server.exportNamespace('/', { allValues: true });
+
+    assert.throws(() => server.importNamespace({
+        FULL_PATH: '/lights',
+        CONTENTS: {
+            brightness: { FULL_PATH: '/lights/brightness', TYPE: 'f', VALUE: [0.25] },
+            mode: { FULL_PATH: '/lights/mode', TYPE: 's', VALUE: ['dim'] },
+            extra: { FULL_PATH: '/lights/extra', ACCESS: 3, TYPE: 'i', VALUE: [1] },
+        },
+    }), error => error instanceof OSCValueError && error.code === 'NOT_ALLOWED' && /\/lights\/mode/.test(error.message));
+    assert.throws(() => server.importNamespace({
+        FULL_PATH: '/lights',
+        CONTENTS: { level: { FULL_PATH: '/lights/level', ACCESS: 3, TYPE: 'i', RANGE: [{ MIN: 0, MAX: 10 }], VALUE: [11] } },
+    }, { mode: 'replace' }), error => error instanceof OSCValueError && error.code === 'OUT_OF_RANGE');
+
+    assert.deepEqual(server.exportNamespace('/', { allValues: true }), before);
+});
+
+test('invalid namespaces and modes are rejected', () => {
+    const server = new OSCQueryServer({ oscPort: 9000 });
+
+    assert.throws(() => server.importNamespace([]), /OSC Query JSON object/);
+    assert.throws(() => server.importNamespace('null'), /OSC Query JSON object/);
+    assert.throws(() => server.importNamespace('{'), SyntaxError);
+    assert.throws(() => server.importNamespace({}, { mode: 'append' }), /Unknown import mode: append/);
+});
+
+test('imports are announced to WebSocket clients', async (t) => {
+    const server = await startServer(t);
+    server.addMethod('/lights/brightness', { access: OSCQAccess.READWRITE, arguments: [{ type: OSCTypeSimple.FLOAT }] });
+    const listener = await connectListener(t, server);
+    await listener.command('LISTEN', '/lights/brightness');
+
+    server.importNamespace({
+        FULL_PATH: '/lights',
+        CONTENTS: {
+            brightness: { FULL_PATH: '/lights/brightness', TYPE: 'f', VALUE: [0.5] },
+            color: { FULL_PATH: '/lights/color', ACCESS: 3, TYPE: 's' },
+        },
+    });
+
+    const received = [await listener.next(), await listener.next(), await listener.next()];
+    assert.deepEqual(received.filter(entry => entry.COMMAND).sort((a, b) => a.COMMAND.localeCompare(b.COMMAND)), [
+        { COMMAND: 'PATH_ADDED', DATA: '/lights/color' },
+        { COMMAND: 'PATH_CHANGED', DATA: '/lights/brightness' },
+    ]);
+    assert.deepEqual(received.find(entry => entry.address), { address: '/lights/brightness', values: [0.5] });
+});
+
+// ============================================================================
+// HTTP API
+// ============================================================================
+
+/**
+ * Send an HTTP request to a server
+ *
+ * http.request is used instead of fetch because fetch adds its own
+ * Accept-Encoding and unpacks gzipped bodies. Each request gets its own
+ * connection, so none is reused from a stopped server that had the same port.
+ *
+ * @param {OSCQueryServer} server - Running server
+ * @param {string} method - HTTP method
+ * @param {string} path - Path and query string
+ * @param {Object} [headers] - Request headers
+ * @returns {Promise<{status: number, headers: Object, body: Buffer}>}
+ */
+function request(server, method, path, headers = {}) {
+    return new Promise((resolve, reject) => {
+        const req = http.request({ host: '127.0.0.1', port: server.httpPort, method, path, headers, agent: false }, res => {
+            const chunks = [];
+            res.on('data', chunk => chunks.push(chunk));
+            res.on('end', () => resolve({ status: res.statusCode, headers: res.headers, body: Buffer.concat(chunks) }));
+        });
+        req.on('error', reject);
+        req.end();
+    });
+}
+
+test('attribute queries answer 404, 204 and 400 as the specification asks', async (t) => {
+    const server = await startServer(t);
+    server.addMethod('/volume', { access: OSCQAccess.READWRITE, arguments: [{ type: OSCTypeSimple.FLOAT }] });
+    server.addMethod('/trigger', { access: OSCQAccess.WRITEONLY, arguments: [{ type: OSCTypeSimple.INT }] });
+    server.setValue('/volume', 0, 0.5);
+
+    const both = await request(server, 'GET', '/volume?TYPE&VALUE');
+    assert.equal(both.status, 200);
+    assert.deepEqual(JSON.parse(both.body), { TYPE: 'f', VALUE: [0.5] });
+
+    assert.equal((await request(server, 'GET', '/missing')).status, 404);
+    assert.equal((await request(server, 'GET', '/missing?VALUE')).status, 404);
+    assert.equal((await request(server, 'GET', '/volume?RANGE')).status, 204);    // Attribute the node doesn't have
+    assert.equal((await request(server, 'GET', '/trigger?VALUE')).status, 204);   // Not readable
+    assert.equal((await request(server, 'GET', '/volume?COLOR')).status, 400);    // Unknown attribute
+    assert.equal((await request(server, 'GET', '/?HOST_INFO&VALUE')).status, 400);
+    assert.equal((await request(server, 'GET', '/volume?%E0')).status, 400);     // Malformed escape
+});
+
+test('HEAD answers with the headers of GET and no body', async (t) => {
+    const server = await startServer(t);
+    server.addMethod('/volume', { access: OSCQAccess.READWRITE, arguments: [{ type: OSCTypeSimple.FLOAT }] });
+
+    const get = await request(server, 'GET', '/volume');
+    const head = await request(server, 'HEAD', '/volume');
+
+    assert.equal(head.status, 200);
+    assert.equal(head.body.length, 0);
+    assert.equal(head.headers['content-length'], String(get.body.length));
+    assert.equal(head.headers['content-type'], 'application/json');
+    assert.equal(head.headers.etag, get.headers.etag);
+});
+
+test('OPTIONS lists the allowed methods, other methods get 405', async (t) => {
+    const server = await startServer(t);
+    const writable = await startServer(t, { httpWrites: true });
+
+    const options = await request(server, 'OPTIONS', '/');
+    assert.equal(options.status, 204);
+    assert.equal(options.headers.allow, 'GET, HEAD, OPTIONS');
+    assert.equal(options.headers['access-control-allow-methods'], undefined); // Not a preflight
+    assert.equal((await request(writable, 'OPTIONS', '/')).headers.allow, 'GET, HEAD, OPTIONS, PUT, POST');
+
+    const deleted = await request(server, 'DELETE', '/');
+    assert.equal(deleted.status, 405);
+    assert.equal(deleted.headers.allow, 'GET, HEAD, OPTIONS');
+    const put = await request(server, 'PUT', '/');
+    assert.equal(put.status, 405);
+    assert.equal(put.headers.allow, 'GET, HEAD, OPTIONS');
+});
+
+test('browser preflights and reads get CORS headers', async (t) => {
+    const server = await startServer(t);
+    const origin = { Origin: 'http://explorer.example' };
+
+    const preflight = await request(server, 'OPTIONS', '/', { ...origin, 'Access-Control-Request-Method': 'GET' });
+    assert.equal(preflight.status, 204);
+    assert.equal(preflight.headers['access-control-allow-origin'], '*');
+    assert.equal(preflight.headers['access-control-allow-methods'], 'GET, HEAD, OPTIONS');
+    assert.ok(preflight.headers['access-control-max-age']);
+
+    const read = await request(server, 'GET', '/?HOST_INFO', origin);
+    assert.equal(read.headers['access-control-allow-origin'], '*');
+    assert.equal((await request(server, 'GET', '/?HOST_INFO')).headers['access-control-allow-origin'], undefined);
+});
+
+test('unchanged nodes are answered with 304 until their value changes', async (t) => {
+    const server = await startServer(t);
+    server.addMethod('/volume', { access: OSCQAccess.READWRITE, arguments: [{ type: OSCTypeSimple.FLOAT }] });
+    server.setValue('/volume', 0, 0.5);
+
+    const first = await request(server, 'GET', '/volume?VALUE');
+    assert.match(first.headers.etag, /^W\/"/);
+    assert.equal(first.headers['cache-control'], 'no-cache');
+
+    const cached = await request(server, 'GET', '/volume?VALUE', { 'If-None-Match': first.headers.etag });
+    assert.equal(cached.status, 304);
+    assert.equal(cached.body.length, 0);
+    // Weak comparison: the tag also matches without W/ and in a list
+    assert.equal((await request(server, 'GET', '/volume?VALUE', { 'If-None-Match': `"x", ${first.headers.etag.substring(2)}` })).status, 304);
+
+    server.setValue('/volume', 0, 0.75);
+    const changed = await request(server, 'GET', '/volume?VALUE', { 'If-None-Match': first.headers.etag });
+    assert.equal(changed.status, 200);
+    assert.notEqual(changed.headers.etag, first.headers.etag);
+    assert.deepEqual(JSON.parse(changed.body), { VALUE: [0.75] });
+});
+
+test('large responses are gzipped for clients that accept it', async (t) => {
+    const server = await startServer(t);
+    for (let i = 0; i < 100; i++) {
+        server.addMethod(`/avatar/parameters/Param${i}`, { access: OSCQAccess.READWRITE, arguments: [{ type: OSCTypeSimple.FLOAT }] });
+    }
+
+    const plain = await request(server, 'GET', '/');
+    const gzipped = await request(server, 'GET', '/', { 'Accept-Encoding': 'gzip, deflate' });
+
+    assert.equal(plain.headers['content-encoding'], undefined);
+    assert.equal(gzipped.headers['content-encoding'], 'gzip');
+    assert.match(gzipped.headers.vary, /Accept-Encoding/);
+    assert.ok(gzipped.body.length < plain.body.length);
+    assert.deepEqual(JSON.parse(zlib.gunzipSync(gzipped.body)), JSON.parse(plain.body));
+    assert.equal(gzipped.headers.etag, plain.headers.etag); // Same content, same tag
+
+    // Small responses are sent as they are
+    const small = await request(server, 'GET', '/?HOST_INFO', { 'Accept-Encoding': 'gzip' });
+    assert.equal(small.headers['content-encoding'], undefined);
+});
+
+// ============================================================================
+// mDNS advertisement
+// ============================================================================
+
+/**
+ * Start a service browser that is stopped after the test
+ *
+ * @param {test.TestContext} t - Test context
+ * @returns {OSCServiceBrowser}
+ */
+function startBrowser(t) {
+    const browser = new OSCServiceBrowser();
+    browser.start();
+    t.after(() => browser.stop());
+    return browser;
+}
+
+test('the OSC Query and OSC services are advertised together under one name', { timeout: 10000 }, async (t) => {
+    const name = `OSCQueryServer-Test-${process.pid}`;
+    const browser = startBrowser(t);
+    const server = await startServer(t, { oscPort: 9123, serviceName: name });
+
+    const [oscjson, osc] = await Promise.all([
+        browser.waitFor(name, { type: 'oscjson', timeout: 5000 }),
+        browser.waitFor(name, { type: 'osc', timeout: 5000 }),
+    ]);
+    assert.equal(oscjson.protocol, 'tcp');
+    assert.equal(oscjson.port, server.httpPort);
+    assert.equal(osc.protocol, 'udp');
+    assert.equal(osc.port, 9123);
+    assert.deepEqual(osc.txt, { txtvers: '1' });
+
+    // Both records are withdrawn on stop()
+    const gone = new Set();
+    const bothDown = new Promise(resolve => browser.on('down', peer => {
+        if (peer.name === name) gone.add(peer.type);
+        if (gone.size === 2) resolve();
+    }));
+    await server.stop();
+    await bothDown;
+});
+
+test('OSC over TCP is advertised as _osc._tcp', { timeout: 10000 }, async (t) => {
+    const name = `OSCQueryServer-TCP-${process.pid}`;
+    const browser = startBrowser(t);
+    await startServer(t, { oscPort: 9124, serviceName: name, oscTransport: 'TCP' });
+
+    const osc = await browser.waitFor(name, { type: 'osc', timeout: 5000 });
+    assert.equal(osc.protocol, 'tcp');
+    assert.equal(osc.port, 9124);
+});
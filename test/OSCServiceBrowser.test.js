@@ -0,0 +1,136 @@
+/**
+ * OSCServiceBrowser.test.js - Tests for the registry of OSC and OSC Query peers
+ *
+ * No mDNS traffic is involved: the tests feed service records shaped like the
+ * ones bonjour-service reports straight into the registry.
+ *
+ * Run with: npm test
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { OSCServiceBrowser } = require('../lib/OSCServiceBrowser');
+
+/**
+ * Build a service record as bonjour-service reports it
+ *
+ * @param {string} name - Service instance name
+ * @param {string} type - "oscjson" or "osc"
+ * @param {Object} [fields] - Fields to override (port, addresses, txt, ...)
+ * @returns {Object} Service record
+ */
+function service(name, type, fields = {}) {
+    const protocol = type === 'oscjson' ? 'tcp' : 'udp';
+    return {
+        name,
+        type,
+        protocol,
+        fqdn: `${name}._${type}._${protocol}.local`,
+        host: 'DESKTOP.local',
+        port: 9000,
+        addresses: ['fe80::1', '192.168.1.20'],
+        txt: {},
+        ...fields,
+    };
+}
+
+/**
+ * Collect the events a browser emits
+ *
+ * @param {OSCServiceBrowser} browser - Browser to watch
+ * @returns {Array<Array>} [event, peer name] pairs
+ */
+function recordEvents(browser) {
+    const events = [];
+    for (const event of ['up', 'down', 'changed']) {
+        browser.on(event, peer => events.push([event, peer.name]));
+    }
+    return events;
+}
+
+test('discovered services are added with their best address', () => {
+    const browser = new OSCServiceBrowser();
+    const events = recordEvents(browser);
+
+    browser._addPeer(service('VRChat-Client-ABC', 'oscjson', { port: 9001, txt: { txtvers: '1' } }));
+
+    assert.deepEqual(events, [['up', 'VRChat-Client-ABC']]);
+    const peer = browser.getPeer('VRChat-Client-ABC');
+    assert.equal(peer.address, '192.168.1.20'); // IPv4 preferred over the link-local IPv6 address
+    assert.equal(peer.port, 9001);
+    assert.equal(peer.protocol, 'tcp');
+    assert.deepEqual(peer.txt, { txtvers: '1' });
+});
+
+test('a service without addresses falls back to the sender of the record', () => {
+    const browser = new OSCServiceBrowser();
+
+    browser._addPeer(service('Quiet', 'osc', { addresses: [], referer: { address: '10.0.0.5' } }));
+
+    assert.equal(browser.getPeer('Quiet').address, '10.0.0.5');
+});
+
+test('changes are reported once, repeated records are not', () => {
+    const browser = new OSCServiceBrowser();
+    const events = recordEvents(browser);
+    const changes = [];
+    browser.on('changed', (peer, previous) => changes.push([previous.port, peer.port]));
+
+    browser._addPeer(service('App', 'osc'));
+    browser._addPeer(service('App', 'osc'));
+    browser._updatePeer(service('App', 'osc', { port: 9002 }));
+    browser._updatePeer(service('App', 'osc', { port: 9002 }));
+
+    assert.deepEqual(events, [['up', 'App'], ['changed', 'App']]);
+    assert.deepEqual(changes, [[9000, 9002]]);
+    assert.equal(browser.getPeer('App').port, 9002);
+});
+
+test('services that go away are removed', () => {
+    const browser = new OSCServiceBrowser();
+    const events = recordEvents(browser);
+
+    browser._addPeer(service('App', 'osc'));
+    browser._removePeer(service('App', 'osc'));
+    browser._removePeer(service('App', 'osc'));
+
+    assert.deepEqual(events, [['up', 'App'], ['down', 'App']]);
+    assert.deepEqual(browser.getPeers(), []);
+});
+
+test('getPeers() filters by type, protocol and name pattern', () => {
+    const browser = new OSCServiceBrowser();
+    browser._addPeer(service('VRChat-Client-ABC', 'oscjson'));
+    browser._addPeer(service('VRChat-Client-ABC', 'osc'));
+    browser._addPeer(service('Other-App', 'osc'));
+
+    const names = filter => browser.getPeers(filter).map(peer => `${peer.name}/${peer.type}`);
+    assert.deepEqual(names({ name: 'VRChat-Client-*' }), ['VRChat-Client-ABC/oscjson', 'VRChat-Client-ABC/osc']);
+    assert.deepEqual(names({ type: 'osc' }), ['VRChat-Client-ABC/osc', 'Other-App/osc']);
+    assert.deepEqual(names({ protocol: 'tcp' }), ['VRChat-Client-ABC/oscjson']);
+    assert.deepEqual(names({ name: /^Other/ }), ['Other-App/osc']);
+    // Only "*" is special in name patterns
+    assert.deepEqual(names({ name: 'VRChat-Client-AB.' }), []);
+});
+
+test('waitFor() resolves with a known peer or the next matching one', async () => {
+    const browser = new OSCServiceBrowser();
+    browser._addPeer(service('Other-App', 'osc'));
+
+    assert.equal((await browser.waitFor('Other-*')).name, 'Other-App');
+
+    const waiting = browser.waitFor('VRChat-Client-*', { type: 'oscjson' });
+    browser._addPeer(service('VRChat-Client-ABC', 'osc')); // Wrong type
+    browser._addPeer(service('VRChat-Client-ABC', 'oscjson'));
+
+    const peer = await waiting;
+    assert.equal(peer.type, 'oscjson');
+    assert.equal(browser.listenerCount('up'), 0);
+});
+
+test('waitFor() rejects after its timeout', async () => {
+    const browser = new OSCServiceBrowser();
+
+    await assert.rejects(browser.waitFor('VRChat-Client-*', { timeout: 20 }), /not found within 20ms/);
+    assert.equal(browser.listenerCount('up'), 0);
+});
@@ -0,0 +1,219 @@
+/**
+ * OSCTCPTransport.test.js - Tests for OSC over TCP with SLIP and length-prefixed framing
+ *
+ * The framing tests work on buffers only. The transport tests connect a sender
+ * to a server on localhost, once for each framing.
+ *
+ * Run with: npm test
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const net = require('net');
+const {
+    OSCFraming,
+    framePacket,
+    encodeSLIP,
+    encodeLengthPrefixed,
+    OSCStreamDecoder,
+    OSCTCPServer,
+    OSCTCPSender,
+} = require('../lib/OSCTCPTransport');
+const { VRChatOSCQuery } = require('../lib/VRChatOSCQuery');
+const { encodeMessage, decodePacket, OSCBlob } = require('../lib/OSCCodec');
+
+/**
+ * Start an OSCTCPServer on a free port on localhost
+ *
+ * @param {test.TestContext} t - Test context, closes the server afterwards
+ * @param {string} framing - OSCFraming value
+ * @returns {Promise<{server: OSCTCPServer, port: number, next: function(): Promise<Buffer>}>}
+ */
+async function startTCPServer(t, framing) {
+    const server = new OSCTCPServer({ framing });
+    await server.listen(0, '127.0.0.1');
+    t.after(() => server.close());
+    const received = [];
+    const waiting = [];
+    server.on('packet', packet => waiting.length > 0 ? waiting.shift()(packet) : received.push(packet));
+    return {
+        server,
+        port: server._server.address().port,
+        next: () => received.length > 0 ? Promise.resolve(received.shift()) : new Promise(resolve => waiting.push(resolve)),
+    };
+}
+
+// ============================================================================
+// Framing
+// ============================================================================
+
+test('SLIP frames are delimited by END and escape END and ESC inside the packet', () => {
+    const packet = Buffer.from([0x01, 0xC0, 0x02, 0xDB, 0x03]);
+
+    assert.deepEqual(encodeSLIP(packet), Buffer.from([0xC0, 0x01, 0xDB, 0xDC, 0x02, 0xDB, 0xDD, 0x03, 0xC0]));
+    assert.deepEqual(new OSCStreamDecoder(OSCFraming.SLIP).push(encodeSLIP(packet)), [packet]);
+});
+
+test('length framing prefixes the packet with its size as a big-endian int32', () => {
+    const packet = encodeMessage('/test', [1]);
+    const frame = encodeLengthPrefixed(packet);
+
+    assert.equal(frame.readInt32BE(0), packet.length);
+    assert.deepEqual(frame.subarray(4), packet);
+    assert.deepEqual(framePacket(packet, OSCFraming.LENGTH), frame);
+    assert.deepEqual(framePacket(packet), encodeSLIP(packet)); // SLIP is the default
+});
+
+for (const framing of Object.values(OSCFraming)) {
+    test(`the ${framing} decoder reassembles packets split over chunks and joined in one`, () => {
+        const packets = [encodeMessage('/a', [1]), encodeMessage('/b', ['text']), encodeMessage('/c', [new OSCBlob([0xC0, 0xDB])])];
+        const stream = Buffer.concat(packets.map(packet => framePacket(packet, framing)));
+
+        // Byte by byte
+        const decoder = new OSCStreamDecoder(framing);
+        const byByte = [];
+        for (const byte of stream) {
+            byByte.push(...decoder.push(Buffer.from([byte])));
+        }
+        assert.deepEqual(byByte, packets);
+
+        // All at once
+        assert.deepEqual(new OSCStreamDecoder(framing).push(stream), packets);
+    });
+}
+
+test('empty frames are skipped', () => {
+    const packet = encodeMessage('/a', []);
+
+    assert.deepEqual(new OSCStreamDecoder(OSCFraming.SLIP).push(Buffer.concat([Buffer.from([0xC0, 0xC0]), encodeSLIP(packet)])), [packet]);
+    assert.deepEqual(new OSCStreamDecoder(OSCFraming.LENGTH).push(Buffer.concat([Buffer.alloc(4), encodeLengthPrefixed(packet)])), [packet]);
+});
+
+test('invalid sizes and unknown framings are rejected', () => {
+    const negative = Buffer.alloc(4);
+    negative.writeInt32BE(-1, 0);
+    const huge = Buffer.alloc(4);
+    huge.writeInt32BE(64 * 1024 * 1024, 0);
+
+    assert.throws(() => new OSCStreamDecoder(OSCFraming.LENGTH).push(negative), /Invalid OSC packet size -1/);
+    assert.throws(() => new OSCStreamDecoder(OSCFraming.LENGTH).push(huge), /Invalid OSC packet size/);
+    assert.throws(() => new OSCStreamDecoder('cobs'), /Unknown OSC TCP framing: cobs/);
+    assert.throws(() => framePacket(Buffer.alloc(4), 'cobs'), /Unknown OSC TCP framing: cobs/);
+});
+
+// ============================================================================
+// OSCTCPServer and OSCTCPSender
+// ============================================================================
+
+for (const framing of Object.values(OSCFraming)) {
+    test(`packets arrive complete and in order with ${framing} framing`, async (t) => {
+        const { port, next } = await startTCPServer(t, framing);
+        const sender = new OSCTCPSender({ framing });
+        t.after(() => sender.close());
+
+        const large = new OSCBlob(Buffer.alloc(200 * 1024, 0xC0)); // Larger than a UDP datagram, all SLIP END bytes
+        await sender.send(encodeMessage('/first', [1]), port, '127.0.0.1');
+        await sender.send(encodeMessage('/large', [large]), port, '127.0.0.1');
+        await sender.send(encodeMessage('/last', [3]), port, '127.0.0.1');
+
+        assert.equal(decodePacket(await next()).address, '/first');
+        const decoded = decodePacket(await next());
+        assert.equal(decoded.address, '/large');
+        assert.deepEqual(decoded.args[0].value, large.value);
+        assert.equal(decodePacket(await next()).address, '/last');
+    });
+}
+
+test('the sender reuses its connection and reports packets sent back on it', async (t) => {
+    const { server, port, next } = await startTCPServer(t, OSCFraming.SLIP);
+    const connections = [];
+    server.on('connection', socket => connections.push(socket));
+    const sender = new OSCTCPSender();
+    t.after(() => sender.close());
+    const reply = new Promise(resolve => sender.once('packet', (packet, rinfo) => resolve({ packet, rinfo })));
+
+    await Promise.all([
+        sender.send(encodeMessage('/ping', [1]), port, '127.0.0.1'),
+        sender.send(encodeMessage('/ping', [2]), port, '127.0.0.1'),
+    ]);
+    await next();
+    await next();
+    assert.equal(connections.length, 1);
+
+    connections[0].write(encodeSLIP(encodeMessage('/pong', [])));
+    const { packet, rinfo } = await reply;
+    assert.equal(decodePacket(packet).address, '/pong');
+    assert.deepEqual(rinfo, { address: '127.0.0.1', port });
+});
+
+test('a client that sends a malformed frame is disconnected', async (t) => {
+    const { port } = await startTCPServer(t, OSCFraming.LENGTH);
+    const socket = net.connect(port, '127.0.0.1');
+    t.after(() => socket.destroy());
+    socket.on('error', () => {});
+    await new Promise(resolve => socket.once('connect', resolve));
+
+    const closed = new Promise(resolve => socket.once('close', resolve));
+    socket.write(Buffer.from([0xFF, 0xFF, 0xFF, 0xFF]));
+    await closed;
+});
+
+test('listen() rejects when the port is in use', async (t) => {
+    const { port } = await startTCPServer(t, OSCFraming.SLIP);
+    const second = new OSCTCPServer();
+    const errors = [];
+    second.on('error', error => errors.push(error));
+
+    await assert.rejects(second.listen(port, '127.0.0.1'), { code: 'EADDRINUSE' });
+    assert.deepEqual(errors, []); // Reported through the promise only
+});
+
+test('send() rejects when nobody listens', async (t) => {
+    const { server, port } = await startTCPServer(t, OSCFraming.SLIP);
+    await server.close();
+    const sender = new OSCTCPSender();
+    t.after(() => sender.close());
+
+    await assert.rejects(sender.send(encodeMessage('/ping', []), port, '127.0.0.1'), { code: 'ECONNREFUSED' });
+});
+
+// ============================================================================
+// VRChatOSCQuery over TCP
+// ============================================================================
+
+test('VRChatOSCQuery receives and sends OSC over TCP', async (t) => {
+    const target = await startTCPServer(t, OSCFraming.LENGTH);
+    const vrchat = new VRChatOSCQuery('Test', {
+        oscTransport: 'TCP',
+        tcpFraming: OSCFraming.LENGTH,
+        oscBindAddress: '127.0.0.1',
+        sendHost: '127.0.0.1',
+        sendPort: target.port,
+    });
+    t.after(() => vrchat.closeServers());
+    const port = await vrchat.setupOSCServer();
+    const messages = [];
+    const received = new Promise(resolve => vrchat.handleOSCMessage = (address, values) => {
+        messages.push([address, values]);
+        resolve();
+    });
+
+    // Receive
+    const sender = new OSCTCPSender({ framing: OSCFraming.LENGTH });
+    t.after(() => sender.close());
+    await sender.send(encodeMessage('/avatar/parameters/Size', [{ type: 'f', value: 0.5 }]), port, '127.0.0.1');
+    await received;
+    assert.deepEqual(messages, [['/avatar/parameters/Size', [0.5]]]);
+
+    // Send
+    await vrchat.send('/input/Jump', 1);
+    assert.equal(decodePacket(await target.next()).address, '/input/Jump');
+});
+
+test('VRChatOSCQuery rejects a fixed TCP port that is in use', async (t) => {
+    const { port } = await startTCPServer(t, OSCFraming.SLIP);
+    const vrchat = new VRChatOSCQuery('Test', { oscTransport: 'TCP', oscBindAddress: '127.0.0.1', oscPort: port });
+    t.after(() => vrchat.closeServers());
+
+    await assert.rejects(vrchat.setupOSCServer(), new RegExp(`Can't start OSC TCP server on 127.0.0.1:${port}: .*EADDRINUSE`));
+});
@@ -0,0 +1,374 @@
+/**
+ * VRChatOSCQuery.test.js - Tests for receiving and sending OSC in VRChatOSCQuery
+ *
+ * Incoming packets are fed to receivePacket() directly, so most tests need no
+ * sockets. Sent OSC goes to a local UDP socket.
+ *
+ * Run with: npm test
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const dgram = require('dgram');
+const { VRChatOSCQuery } = require('../lib/VRChatOSCQuery');
+const { encodeMessage, encodeBundle, decodePacket, OSCTimetag } = require('../lib/OSCCodec');
+const { OSCQAccess, OSCTypeSimple, OSCClipMode } = require('../lib/OSCNode');
+
+const RINFO = { address: '127.0.0.1', port: 9000 };
+
+/**
+ * Feed one OSC message to an instance as if it arrived over the network
+ *
+ * @param {VRChatOSCQuery} vrchat - Instance to feed
+ * @param {string} address - OSC address
+ * @param {Array<{type: string, value: *}>} args - Typed arguments
+ */
+function receive(vrchat, address, args) {
+    vrchat.receivePacket(encodeMessage(address, args), RINFO);
+}
+
+/**
+ * Bind a UDP socket on localhost that decodes what it receives
+ *
+ * @param {test.TestContext} t - Test context, closes the socket afterwards
+ * @returns {Promise<{port: number, next: function(): Promise<{address: string, args: Array<string>}>}>}
+ *   Arguments are reported as type tag plus value, e.g. "f0.5"
+ */
+async function startOSCReceiver(t) {
+    const socket = dgram.createSocket('udp4');
+    await new Promise(resolve => socket.bind(0, '127.0.0.1', resolve));
+    t.after(() => socket.close());
+    const next = () => new Promise(resolve => socket.once('message', packet => {
+        const message = decodePacket(packet);
+        resolve({ address: message.address, args: message.args.map(arg => arg.type + String(arg.value)) });
+    }));
+    return { port: socket.address().port, next };
+}
+
+/**
+ * Create an instance that sends to a receiver and is closed after the test
+ *
+ * @param {test.TestContext} t - Test context
+ * @param {{port: number}} receiver - Receiver from startOSCReceiver()
+ * @returns {VRChatOSCQuery}
+ */
+function senderTo(t, receiver) {
+    const vrchat = new VRChatOSCQuery('Test', { sendHost: '127.0.0.1', sendPort: receiver.port });
+    t.after(() => vrchat.closeServers());
+    return vrchat;
+}
+
+test('chatbox messages reach handleChatbox with one, two or three arguments', () => {
+    const vrchat = new VRChatOSCQuery('Test');
+    const calls = [];
+    vrchat.handleChatbox = (address, values) => calls.push(values);
+
+    receive(vrchat, '/chatbox/input', [{ type: 's', value: 'Hello' }, { type: 'T', value: true }, { type: 'F', value: false }]);
+    receive(vrchat, '/chatbox/input', [{ type: 's', value: 'Edit me' }, { type: 'F', value: false }]);
+    receive(vrchat, '/chatbox/input', [{ type: 's', value: 'Plain' }]);
+
+    assert.deepEqual(calls, [['Hello', true, false], ['Edit me', false], ['Plain']]);
+});
+
+test('chatbox messages with too many arguments are dropped', () => {
+    const vrchat = new VRChatOSCQuery('Test');
+    const calls = [];
+    vrchat.handleChatbox = (address, values) => calls.push(values);
+
+    receive(vrchat, '/chatbox/input', [
+        { type: 's', value: 'Hello' }, { type: 'T', value: true }, { type: 'T', value: true }, { type: 'i', value: 1 },
+    ]);
+
+    assert.deepEqual(calls, []);
+});
+
+test('a write whose onWrite callback fails still reaches the message handlers', () => {
+    const errors = [];
+    const logger = { error: message => errors.push(message), warn: () => {}, info: () => {} };
+    const vrchat = new VRChatOSCQuery('Test', { logger });
+    vrchat.oscQueryServer.addMethod('/test/level', {
+        access: OSCQAccess.READWRITE,
+        arguments: [{ type: OSCTypeSimple.FLOAT, range: { min: 0, max: 1 }, clipmode: OSCClipMode.BOTH }],
+        onWrite: () => { throw new Error('handler broke'); },
+        store: true,
+    });
+    const calls = [];
+    vrchat.handleOSCMessage = (address, values) => calls.push(values);
+
+    receive(vrchat, '/test/level', [{ type: 'f', value: 2 }]);
+
+    assert.deepEqual(calls, [[1]]);
+    assert.deepEqual(vrchat.oscQueryServer.exportNamespace('/test/level').VALUE, [1]);
+    assert.ok(errors.some(message => /Write handler for \/test\/level failed/.test(message)));
+});
+
+test('a write that fails for any other reason is dropped', () => {
+    const errors = [];
+    const logger = { error: message => errors.push(message), warn: () => {}, info: () => {} };
+    const vrchat = new VRChatOSCQuery('Test', { logger });
+    vrchat.oscQueryServer.write = () => { throw new TypeError('broken tree'); };
+    const calls = [];
+    vrchat.handleOSCMessage = (address, values) => calls.push(values);
+
+    receive(vrchat, '/test/level', [{ type: 'f', value: 0.5 }]);
+
+    assert.deepEqual(calls, []);
+    assert.ok(errors.some(message => /Write to \/test\/level failed/.test(message)));
+});
+
+test('OSC is sent over IPv6 to an IPv6 send target', async (t) => {
+    const socket = dgram.createSocket('udp6');
+    try {
+        await new Promise((resolve, reject) => {
+            socket.once('error', reject);
+            socket.bind(0, '::1', resolve);
+        });
+    } catch (error) {
+        socket.close();
+        return t.skip(`No IPv6 loopback: ${error.code}`);
+    }
+    const vrchat = new VRChatOSCQuery('Test', { sendHost: '::1', sendPort: socket.address().port });
+    t.after(async () => {
+        socket.close();
+        await vrchat.closeServers();
+    });
+
+    const received = new Promise(resolve => socket.once('message', packet => resolve(decodePacket(packet))));
+    await vrchat.send('/input/Jump', 1);
+
+    assert.equal((await received).address, '/input/Jump');
+});
+
+test('a restart keeps changes made to the built-in endpoints', async (t) => {
+    const vrchat = new VRChatOSCQuery('Test', {
+        oscBindAddress: '127.0.0.1', httpBindAddress: '127.0.0.1', fetchVRChatParameters: false,
+    });
+    t.after(() => vrchat.stop());
+    const written = [];
+    vrchat.oscQueryServer.addMethod('/chatbox/input', {
+        access: OSCQAccess.WRITEONLY,
+        arguments: [{ type: OSCTypeSimple.STRING }],
+        onWrite: values => written.push(values),
+    });
+
+    await vrchat.start();
+    await vrchat.stop();
+    await vrchat.start();
+    receive(vrchat, '/chatbox/input', [{ type: 's', value: 'Still mine' }]);
+
+    assert.deepEqual(written, [['Still mine']]);
+});
+
+// ============================================================================
+// Sending OSC
+// ============================================================================
+
+test('send() infers OSC types from plain values and keeps explicit ones', async (t) => {
+    const receiver = await startOSCReceiver(t);
+    const vrchat = senderTo(t, receiver);
+
+    let received = receiver.next();
+    await vrchat.send('/test', 1, 0.5, true, false, 'text');
+    assert.deepEqual(await received, { address: '/test', args: ['i1', 'f0.5', 'Ttrue', 'Ffalse', 'stext'] });
+
+    received = receiver.next();
+    await vrchat.send('/test', { type: OSCTypeSimple.FLOAT, value: 1 });
+    assert.deepEqual(await received, { address: '/test', args: ['f1'] });
+});
+
+test('sendChatbox() sends the text with the keyboard and sound flags', async (t) => {
+    const receiver = await startOSCReceiver(t);
+    const vrchat = senderTo(t, receiver);
+
+    let received = receiver.next();
+    await vrchat.sendChatbox('Hello');
+    assert.deepEqual(await received, { address: '/chatbox/input', args: ['sHello', 'Ttrue', 'Ttrue'] });
+
+    received = receiver.next();
+    await vrchat.sendChatbox(42, { immediate: false, notify: false });
+    assert.deepEqual(await received, { address: '/chatbox/input', args: ['s42', 'Ffalse', 'Ffalse'] });
+});
+
+test('sendInput() sends axes as floats and buttons as ints', async (t) => {
+    const receiver = await startOSCReceiver(t);
+    const vrchat = senderTo(t, receiver);
+
+    let received = receiver.next();
+    await vrchat.sendInput('Vertical', 1);
+    assert.deepEqual(await received, { address: '/input/Vertical', args: ['f1'] });
+
+    received = receiver.next();
+    await vrchat.sendInput('Jump', true);
+    assert.deepEqual(await received, { address: '/input/Jump', args: ['i1'] });
+
+    received = receiver.next();
+    await vrchat.sendInput('Jump', 0);
+    assert.deepEqual(await received, { address: '/input/Jump', args: ['i0'] });
+});
+
+test('sendAvatarParameter() infers the type of parameters nobody declared', async (t) => {
+    const receiver = await startOSCReceiver(t);
+    const vrchat = senderTo(t, receiver);
+
+    const received = receiver.next();
+    await vrchat.sendAvatarParameter('Unknown', 0.25);
+    assert.deepEqual(await received, { address: '/avatar/parameters/Unknown', args: ['f0.25'] });
+});
+
+test('the send target is the discovered VRChat client unless one is configured', () => {
+    const vrchat = new VRChatOSCQuery('Test');
+    assert.deepEqual(vrchat.getSendTarget(), { host: '127.0.0.1', port: 9000 });
+
+    vrchat.serviceBrowser._addPeer({
+        name: 'VRChat-Client-ABC', type: 'osc', protocol: 'udp', fqdn: 'VRChat-Client-ABC._osc._udp.local',
+        host: 'DESKTOP.local', port: 9010, addresses: ['192.168.1.20'], txt: {},
+    });
+    assert.deepEqual(vrchat.getSendTarget(), { host: '192.168.1.20', port: 9010 });
+
+    const configured = new VRChatOSCQuery('Test', { sendHost: '10.0.0.2', sendPort: 9020 });
+    assert.deepEqual(configured.getSendTarget(), { host: '10.0.0.2', port: 9020 });
+});
+
+// ============================================================================
+// Bundles
+// ============================================================================
+
+test('the messages of an incoming bundle are handled with its timetag', () => {
+    const vrchat = new VRChatOSCQuery('Test');
+    const calls = [];
+    vrchat.handleOSCMessage = (address, values, args, timetag) => calls.push([address, values, timetag.value]);
+
+    vrchat.receivePacket(encodeBundle(new OSCTimetag(100, 0), [['/a', 1], ['/b', 2]]), RINFO);
+
+    assert.deepEqual(calls, [['/a', [1], { seconds: 100, fraction: 0 }], ['/b', [2], { seconds: 100, fraction: 0 }]]);
+});
+
+test('with scheduleBundles, future bundles wait for their timetag', async (t) => {
+    const vrchat = new VRChatOSCQuery('Test', { scheduleBundles: true });
+    t.after(() => vrchat.closeServers());
+    const calls = [];
+    vrchat.handleOSCMessage = (address) => calls.push([address, Date.now()]);
+
+    const sentAt = Date.now();
+    vrchat.receivePacket(encodeBundle(OSCTimetag.now(80), [['/later', 1]]), RINFO);
+    vrchat.receivePacket(encodeBundle(OSCTimetag.immediate(), [['/now', 1]]), RINFO);
+    assert.deepEqual(calls.map(([address]) => address), ['/now']);
+
+    await new Promise(resolve => setTimeout(resolve, 150));
+    assert.deepEqual(calls.map(([address]) => address), ['/now', '/later']);
+    assert.ok(calls[1][1] - sentAt >= 70, `${calls[1][1] - sentAt} ms`);
+});
+
+test('bundles still waiting are dropped when the servers close', async () => {
+    const vrchat = new VRChatOSCQuery('Test', { scheduleBundles: true });
+    const calls = [];
+    vrchat.handleOSCMessage = (address) => calls.push(address);
+
+    vrchat.receivePacket(encodeBundle(OSCTimetag.now(30), [['/later', 1]]), RINFO);
+    await vrchat.closeServers();
+    await new Promise(resolve => setTimeout(resolve, 60));
+
+    assert.deepEqual(calls, []);
+});
+
+test('sendBundle() sends all messages in one packet', async (t) => {
+    const socket = dgram.createSocket('udp4');
+    await new Promise(resolve => socket.bind(0, '127.0.0.1', resolve));
+    t.after(() => socket.close());
+    const vrchat = new VRChatOSCQuery('Test', { sendHost: '127.0.0.1', sendPort: socket.address().port });
+    t.after(() => vrchat.closeServers());
+
+    const received = new Promise(resolve => socket.once('message', packet => resolve(decodePacket(packet))));
+    await vrchat.sendBundle([['/light/r', 1], ['/light/g', 0.5]], new OSCTimetag(3900000000, 0));
+
+    const bundle = await received;
+    assert.deepEqual(bundle.timetag.value, { seconds: 3900000000, fraction: 0 });
+    assert.deepEqual(bundle.elements.map(message => message.address), ['/light/r', '/light/g']);
+});
+
+// ============================================================================
+// Address handlers
+// ============================================================================
+
+test('several handlers can listen to the same addresses by pattern', () => {
+    const vrchat = new VRChatOSCQuery('Test');
+    const calls = [];
+    vrchat.on('/avatar/parameters/{GestureLeft,GestureRight}', (address, values) => calls.push(['gestures', address, values]));
+    vrchat.on('/avatar/parameters/GestureLeft', (address, values, args) => calls.push(['left', args[0].type]));
+
+    receive(vrchat, '/avatar/parameters/GestureLeft', [{ type: 'i', value: 3 }]);
+    receive(vrchat, '/avatar/parameters/GestureRight', [{ type: 'i', value: 1 }]);
+    receive(vrchat, '/avatar/parameters/VRCEmote', [{ type: 'i', value: 1 }]);
+
+    assert.deepEqual(calls, [
+        ['gestures', '/avatar/parameters/GestureLeft', [3]],
+        ['left', 'i'],
+        ['gestures', '/avatar/parameters/GestureRight', [1]],
+    ]);
+});
+
+test('once() handlers run once and off() removes handlers', () => {
+    const vrchat = new VRChatOSCQuery('Test');
+    const calls = [];
+    const handler = (address) => calls.push(['on', address]);
+    vrchat.once('/input/*', (address) => calls.push(['once', address]));
+    vrchat.on('/input/*', handler);
+
+    receive(vrchat, '/input/Jump', [{ type: 'i', value: 1 }]);
+    vrchat.off('/input/*', handler);
+    receive(vrchat, '/input/Jump', [{ type: 'i', value: 0 }]);
+
+    assert.deepEqual(calls, [['once', '/input/Jump'], ['on', '/input/Jump']]);
+    assert.equal(vrchat.addressHandlers.size, 0);
+});
+
+test('removeAllListeners() takes an address pattern or an event name', () => {
+    const vrchat = new VRChatOSCQuery('Test');
+    const calls = [];
+    vrchat.on('/a', () => calls.push('/a'));
+    vrchat.on('/b', () => calls.push('/b'));
+    vrchat.on('close', () => calls.push('close'));
+
+    vrchat.removeAllListeners('/a');
+    receive(vrchat, '/a', []);
+    receive(vrchat, '/b', []);
+    vrchat.emit('close');
+    vrchat.removeAllListeners();
+    receive(vrchat, '/b', []);
+    vrchat.emit('close');
+
+    assert.deepEqual(calls, ['/b', 'close']);
+});
+
+test('the built-in handlers still run, and a failing handler does not stop the others', () => {
+    const errors = [];
+    const logger = { error: message => errors.push(message), warn: () => {}, info: () => {} };
+    const vrchat = new VRChatOSCQuery('Test', { logger });
+    const calls = [];
+    vrchat.handleAvatarParameter = (address, values) => calls.push(['built-in', values[0]]);
+    vrchat.on('/avatar/parameters/Size', () => { throw new Error('broken'); });
+    vrchat.on('/avatar/parameters/Size', (address, values) => calls.push(['handler', values[0]]));
+
+    receive(vrchat, '/avatar/parameters/Size', [{ type: 'f', value: 0.5 }]);
+
+    assert.deepEqual(calls, [['built-in', 0.5], ['handler', 0.5]]);
+    assert.ok(errors.some(message => /Handler for \/avatar\/parameters\/Size failed/.test(message)));
+});
+
+test('address handlers only see subscribed messages', () => {
+    const vrchat = new VRChatOSCQuery('Test');
+    const calls = [];
+    vrchat.on('//*', (address) => calls.push(address));
+    vrchat.subscribe('/input/*');
+
+    receive(vrchat, '/input/Jump', [{ type: 'i', value: 1 }]);
+    receive(vrchat, '/avatar/parameters/Size', [{ type: 'f', value: 0.5 }]);
+
+    assert.deepEqual(calls, ['/input/Jump']);
+});
+
+test('handlers must be functions', () => {
+    const vrchat = new VRChatOSCQuery('Test');
+
+    assert.throws(() => vrchat.on('/a', 'not a function'), TypeError);
+});
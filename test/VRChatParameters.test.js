@@ -0,0 +1,213 @@
+/**
+ * VRChatParameters.test.js - Tests for reading VRChat's OSC Query tree and mirroring parameters
+ *
+ * A local HTTP server stands in for VRChat's OSC Query server and answers
+ * GET /avatar with a tree recorded from the game (test/fixtures/vrchat-avatar-tree.json).
+ * Sent OSC goes to a local UDP socket.
+ *
+ * Run with: npm test
+ */
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const http = require('http');
+const dgram = require('dgram');
+const { VRChatOSCQuery } = require('../lib/VRChatOSCQuery');
+const { OSCQAccess } = require('../lib/OSCNode');
+const { encodeMessage, decodePacket } = require('../lib/OSCCodec');
+
+const AVATAR_TREE = fs.readFileSync(path.join(__dirname, 'fixtures', 'vrchat-avatar-tree.json'));
+const AVATAR_CONFIG = path.join(__dirname, 'fixtures', 'avatars', 'usr_test', 'Avatars', 'avtr_valid.json');
+
+/**
+ * Start an HTTP server that answers like VRChat's OSC Query server
+ *
+ * @returns {Promise<{server: http.Server, port: number, requests: Array<string>}>}
+ */
+async function startVRChatStandIn() {
+    const requests = [];
+    const server = http.createServer((req, res) => {
+        requests.push(req.url);
+        if (req.url !== '/avatar') {
+            res.statusCode = 404;
+            return res.end();
+        }
+        res.setHeader('Content-Type', 'application/json');
+        res.end(AVATAR_TREE);
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    return { server, port: server.address().port, requests };
+}
+
+/**
+ * Bind a UDP socket that collects decoded OSC messages
+ *
+ * @returns {Promise<{socket: dgram.Socket, port: number, next: function(): Promise<Object>}>}
+ */
+async function startOSCReceiver() {
+    const socket = dgram.createSocket('udp4');
+    await new Promise(resolve => socket.bind(0, '127.0.0.1', resolve));
+    const next = () => new Promise(resolve => socket.once('message', packet => resolve(decodePacket(packet))));
+    return { socket, port: socket.address().port, next };
+}
+
+/**
+ * GET a path from an HTTP server on localhost and parse the JSON answer
+ *
+ * @param {number} port - HTTP port
+ * @param {string} urlPath - Path and query (e.g. "/avatar?VALUE")
+ * @returns {Promise<Object>} Parsed response body
+ */
+function getJson(port, urlPath) {
+    return new Promise((resolve, reject) => {
+        http.get({ host: '127.0.0.1', port, path: urlPath }, res => {
+            let body = '';
+            res.setEncoding('utf8');
+            res.on('data', chunk => body += chunk);
+            res.on('end', () => {
+                try {
+                    resolve(JSON.parse(body));
+                } catch (error) {
+                    reject(new Error(`${res.statusCode} ${body}`));
+                }
+            });
+        }).on('error', reject);
+    });
+}
+
+/**
+ * Strip decoded arguments down to plain { type, value } objects
+ *
+ * @param {{args: Array<Object>}} message - Decoded OSC message
+ * @returns {Array<{type: string, value: *}>}
+ */
+function plainArgs(message) {
+    return message.args.map(({ type, value }) => ({ type, value }));
+}
+
+test('refreshVRChatParameters reads types and access from the recorded tree', async (t) => {
+    const standIn = await startVRChatStandIn();
+    t.after(() => standIn.server.close());
+    const vrchat = new VRChatOSCQuery('Test', { vrchatQueryHost: '127.0.0.1', vrchatQueryPort: standIn.port });
+
+    const parameters = await vrchat.refreshVRChatParameters();
+
+    assert.deepEqual(standIn.requests, ['/avatar']);
+    assert.deepEqual(parameters.get('/avatar/parameters/Size'), {
+        address: '/avatar/parameters/Size', type: 'f', access: OSCQAccess.READWRITE,
+    });
+    assert.equal(parameters.get('/avatar/parameters/IsLocal').access, OSCQAccess.READONLY);
+    assert.equal(vrchat.getDeclaredType('/avatar/parameters/VRCEmote'), 'i');
+    assert.equal(vrchat.getDeclaredType('/avatar/parameters/Unknown'), undefined);
+});
+
+test('refreshVRChatParameters returns null without a known VRChat client', async () => {
+    const vrchat = new VRChatOSCQuery('Test');
+    assert.equal(await vrchat.refreshVRChatParameters(), null);
+});
+
+test('a refresh superseded by a newer one is dropped', async (t) => {
+    const standIn = await startVRChatStandIn();
+    t.after(() => standIn.server.close());
+    const vrchat = new VRChatOSCQuery('Test', { vrchatQueryHost: '127.0.0.1', vrchatQueryPort: standIn.port });
+
+    const [first, second] = await Promise.all([vrchat.refreshVRChatParameters(), vrchat.refreshVRChatParameters()]);
+
+    assert.equal(first, null);
+    assert.equal(second.size, 4);
+});
+
+test('the VRChat tree takes precedence over the avatar config', async (t) => {
+    const standIn = await startVRChatStandIn();
+    t.after(() => standIn.server.close());
+    const vrchat = new VRChatOSCQuery('Test', { vrchatQueryHost: '127.0.0.1', vrchatQueryPort: standIn.port });
+    await vrchat.loadAvatarConfig(AVATAR_CONFIG);
+
+    // Only the avatar config knows Glasses
+    assert.equal(vrchat.getDeclaredType('/avatar/parameters/Glasses'), 'T');
+
+    // Claim VRChat now declares Size as an int, the config says float
+    await vrchat.refreshVRChatParameters();
+    vrchat.vrchatParameters.get('/avatar/parameters/Size').type = 'i';
+    assert.equal(vrchat.getDeclaredType('/avatar/parameters/Size'), 'i');
+});
+
+test('incoming avatar parameters are passed on with their declared type', async (t) => {
+    const standIn = await startVRChatStandIn();
+    t.after(() => standIn.server.close());
+    const vrchat = new VRChatOSCQuery('Test', { vrchatQueryHost: '127.0.0.1', vrchatQueryPort: standIn.port });
+    await vrchat.refreshVRChatParameters();
+
+    const calls = [];
+    vrchat.handleAvatarParameter = (address, values, args, declaredType) => calls.push([address, values, declaredType]);
+    vrchat.receivePacket(encodeMessage('/avatar/parameters/Size', [{ type: 'f', value: 0.25 }]), { address: '127.0.0.1', port: 9000 });
+
+    assert.deepEqual(calls, [['/avatar/parameters/Size', [0.25], 'f']]);
+});
+
+test('sendAvatarParameter sends plain values with the declared type', async (t) => {
+    const standIn = await startVRChatStandIn();
+    const receiver = await startOSCReceiver();
+    const vrchat = new VRChatOSCQuery('Test', {
+        vrchatQueryHost: '127.0.0.1', vrchatQueryPort: standIn.port,
+        sendHost: '127.0.0.1', sendPort: receiver.port,
+    });
+    t.after(async () => {
+        standIn.server.close();
+        receiver.socket.close();
+        await vrchat.closeServers();
+    });
+    await vrchat.refreshVRChatParameters();
+
+    let received = receiver.next();
+    await vrchat.sendAvatarParameter('Size', 1);
+    assert.deepEqual(plainArgs(await received), [{ type: 'f', value: 1 }]);
+
+    received = receiver.next();
+    await vrchat.sendAvatarParameter('VRCEmote', 3.7);
+    assert.deepEqual(plainArgs(await received), [{ type: 'i', value: 3 }]);
+
+    // Explicitly typed values are sent as they are
+    received = receiver.next();
+    await vrchat.sendAvatarParameter('VRCEmote', { type: 'f', value: 2.5 });
+    assert.deepEqual(plainArgs(await received), [{ type: 'f', value: 2.5 }]);
+});
+
+test('received avatar parameters are mirrored into the OSC Query tree', () => {
+    const vrchat = new VRChatOSCQuery('Test');
+    const rinfo = { address: '127.0.0.1', port: 9000 };
+
+    vrchat.receivePacket(encodeMessage('/avatar/parameters/Size', [{ type: 'f', value: 0.75 }]), rinfo);
+    vrchat.receivePacket(encodeMessage('/avatar/parameters/IsLocal', [{ type: 'F', value: false }]), rinfo);
+
+    const size = vrchat.oscQueryServer.exportNamespace('/avatar/parameters/Size');
+    assert.equal(size.TYPE, 'f');
+    assert.deepEqual(size.VALUE, [0.75]);
+    const isLocal = vrchat.oscQueryServer.exportNamespace('/avatar/parameters/IsLocal');
+    assert.equal(isLocal.TYPE, 'T');
+    assert.deepEqual(isLocal.VALUE, [false]);
+
+    // An avatar change removes the mirrored values
+    vrchat.receivePacket(encodeMessage('/avatar/change', [{ type: 's', value: 'avtr_other' }]), rinfo);
+    assert.equal(vrchat.oscQueryServer.exportNamespace('/avatar/parameters/Size'), null);
+});
+
+test('64-bit integer parameters survive the HTTP tree', async (t) => {
+    const vrchat = new VRChatOSCQuery('Test');
+    const rinfo = { address: '127.0.0.1', port: 9000 };
+    await vrchat.oscQueryServer.start();
+    t.after(() => vrchat.oscQueryServer.stop());
+
+    vrchat.receivePacket(encodeMessage('/avatar/parameters/Big', [{ type: 'h', value: 5n }]), rinfo);
+    vrchat.receivePacket(encodeMessage('/avatar/parameters/Huge', [{ type: 'h', value: 2n ** 62n }]), rinfo);
+
+    const root = await getJson(vrchat.oscQueryServer.httpPort, '/');
+    const parameters = root.CONTENTS.avatar.CONTENTS.parameters.CONTENTS;
+    assert.equal(parameters.Big.TYPE, 'h');
+    assert.deepEqual(parameters.Big.VALUE, [5]);
+    // Beyond Number.MAX_SAFE_INTEGER the exact value is kept as a string
+    assert.deepEqual(parameters.Huge.VALUE, [String(2n ** 62n)]);
+    assert.deepEqual(await getJson(vrchat.oscQueryServer.httpPort, '/avatar/parameters/Big?VALUE'), { VALUE: [5] });
+});